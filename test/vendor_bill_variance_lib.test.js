@@ -0,0 +1,392 @@
+/**
+ * Pairing tests for vendor_bill_variance_lib.js, run under Node with stubbed N/ modules:
+ *
+ *     node --test test/
+ *
+ * The lib only touches its N/ modules when a search, record or file function is called, so the
+ * pairing functions run here exactly as they do in NetSuite.
+ */
+var test = require('node:test');
+var assert = require('node:assert');
+var path = require('path');
+
+var factory = null;
+global.define = function (deps, fn) {
+    factory = fn;
+};
+require(path.join(__dirname, '..', 'vendor_bill_variance_lib.js'));
+delete global.define;
+
+/**
+ * Calls the lib's AMD factory with stub N/ modules
+ * @param {Object} [searchStub] - Stub for N/search (empty when the test runs no search)
+ * @param {Object} [runtimeStub] - Stub for N/runtime
+ * @returns {Object} Lib exports
+ */
+function loadLib(searchStub, runtimeStub) {
+    var log = { debug: function () {}, audit: function () {}, error: function () {} };
+    return factory(searchStub || {}, {}, runtimeStub || {}, log, {}, {}, {});
+}
+
+var lib = loadLib();
+
+// Search column ('join.name') to raw row field, for the stub search results
+var SEARCH_COLUMNS = {
+    'internalid': 'po_id',
+    'trandate': 'po_date',
+    'lineuniquekey': 'po_line_id',
+    'item': 'item_id',
+    'fulfillingtransaction.internalid': 'ir_id',
+    'fulfillingtransaction.tranid': 'ir_number',
+    'fulfillingtransaction.trandate': 'ir_date',
+    'fulfillingtransaction.lineuniquekey': 'ir_line_id',
+    'fulfillingtransaction.quantity': 'ir_quantity',
+    'fulfillingtransaction.rate': 'ir_rate',
+    'billingtransaction.internalid': 'vb_id',
+    'billingtransaction.tranid': 'vb_number',
+    'billingtransaction.trandate': 'vb_date',
+    'billingtransaction.lineuniquekey': 'vb_line_id',
+    'billingtransaction.quantity': 'vb_quantity',
+    'billingtransaction.rate': 'vb_rate'
+};
+
+/**
+ * Builds an N/search stub: the variance search returns varianceRows, the PO line search
+ * (filtered by PO internal ID) returns lineRows and the open PO line search returns openRows
+ * @param {Array} varianceRows - Rows the variance search returns
+ * @param {Array} lineRows - Rows the line search returns
+ * @param {Array} [openRows] - Rows the search for PO lines with unbilled or unreceived quantity returns
+ * @returns {Object} N/search stub
+ */
+function stubSearch(varianceRows, lineRows, openRows) {
+    return {
+        Type: { TRANSACTION: 'transaction', ACCOUNTING_PERIOD: 'accountingperiod' },
+        Sort: { ASC: 'ASC' },
+        createColumn: function (column) {
+            return column;
+        },
+        create: function (options) {
+            var filters = JSON.stringify(options.filters);
+            var rows = varianceRows;
+            if (filters.indexOf('quantityshiprecv') !== -1) {
+                rows = openRows || [];
+            } else if (filters.indexOf('internalid') !== -1) {
+                rows = lineRows;
+            }
+
+            var results = rows.map(function (row) {
+                return {
+                    getValue: function (column) {
+                        var field = SEARCH_COLUMNS[(column.join ? column.join + '.' : '') + column.name];
+                        return field ? (row[field] || '') : '';
+                    },
+                    getText: function () {
+                        return '';
+                    }
+                };
+            });
+
+            return {
+                runPaged: function () {
+                    return {
+                        count: results.length,
+                        pageRanges: [{ index: 0 }],
+                        fetch: function () {
+                            return { data: results };
+                        }
+                    };
+                },
+                run: function () {
+                    return { each: function () {} };
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Builds a raw line row for one receipt/bill combination of a PO line
+ * @param {string} poLineId - PO line unique key
+ * @param {Array} [receipt] - [number, date, quantity, rate], or missing for no receipt
+ * @param {Array} [bill] - [number, date, quantity, rate], or missing for no bill
+ * @returns {Object} Raw row
+ */
+function lineRow(poLineId, receipt, bill) {
+    return {
+        po_id: '1',
+        po_date: '1/1/2025',
+        po_line_id: poLineId,
+        item_id: '10',
+        ir_id: receipt ? receipt[0] : '',
+        ir_number: receipt ? receipt[0] : '',
+        ir_date: receipt ? receipt[1] : '',
+        ir_line_id: receipt ? receipt[0] + '-' + poLineId : '',
+        ir_quantity: receipt ? String(receipt[2]) : '',
+        ir_rate: receipt ? String(receipt[3]) : '',
+        vb_id: bill ? bill[0] : '',
+        vb_number: bill ? bill[0] : '',
+        vb_date: bill ? bill[1] : '',
+        vb_line_id: bill ? bill[0] + '-' + poLineId : '',
+        vb_quantity: bill ? String(bill[2]) : '',
+        vb_rate: bill ? String(bill[3]) : ''
+    };
+}
+
+/**
+ * Builds a PO line group the way groupByPOLine does
+ * @param {Array} receipts - [quantity, rate] per IR, oldest first
+ * @param {Array} bills - [quantity, rate] per VB, oldest first
+ * @returns {Object} PO line group
+ */
+function buildGroup(receipts, bills) {
+    return {
+        poInfo: { po_id: '1', po_number: 'PO1', po_line_number: '1', item_id: '10', item_name: 'Widget', currency_code: 'USD' },
+        itemReceipts: receipts.map(function (receipt, index) {
+            return {
+                ir_id: 'ir' + index,
+                ir_number: 'IR-' + index,
+                ir_date: '2025-01-0' + (index + 1),
+                ir_line_id: 'irl' + index,
+                ir_quantity: receipt[0],
+                ir_conversion_rate: 1,
+                ir_raw_rate: receipt[1],
+                ir_rate: receipt[1],
+                ir_exchange_rate: 1
+            };
+        }),
+        vendorBills: bills.map(function (bill, index) {
+            return {
+                vb_id: 'vb' + index,
+                vb_number: 'VB-' + index,
+                vb_date: '2025-02-0' + (index + 1),
+                vb_line_id: 'vbl' + index,
+                vb_quantity: bill[0],
+                vb_conversion_rate: 1,
+                vb_raw_rate: bill[1],
+                vb_rate: bill[1],
+                vb_exchange_rate: 1
+            };
+        })
+    };
+}
+
+test('roundQuantity removes floating point noise and treats blank as 0', function () {
+    assert.strictEqual(lib.roundQuantity(0.1 + 0.2), 0.3);
+    assert.strictEqual(lib.roundQuantity(10 - 9.99999999), 0);
+    assert.strictEqual(lib.roundQuantity(null), 0);
+    assert.strictEqual(lib.roundQuantity(undefined), 0);
+});
+
+test('index pairing matches the i-th receipt with the i-th bill and leaves the rest unmatched', function () {
+    var result = lib.matchReceiptsToBills(buildGroup([[5, 10], [5, 10], [5, 10]], [[5, 12], [4, 11]]), 'index');
+
+    assert.deepStrictEqual(result.matches.map(function (match) {
+        return [match.ir.ir_number, match.vb.vb_number, match.matched_quantity];
+    }), [['IR-0', 'VB-0', 5], ['IR-1', 'VB-1', 4]]);
+    assert.deepStrictEqual(result.unmatched.map(function (leftover) {
+        return [leftover.ir.ir_number, leftover.quantity];
+    }), [['IR-2', 5]]);
+});
+
+test('FIFO pairing splits a bill across receipts and reports the leftover quantity', function () {
+    var result = lib.matchReceiptsToBills(buildGroup([[4, 10], [6, 10]], [[7, 12], [5, 11]]), 'fifo');
+
+    assert.deepStrictEqual(result.matches.map(function (match) {
+        return [match.ir.ir_number, match.vb.vb_number, match.matched_quantity];
+    }), [['IR-0', 'VB-0', 4], ['IR-1', 'VB-0', 3], ['IR-1', 'VB-1', 3]]);
+    assert.deepStrictEqual(result.unmatched.map(function (leftover) {
+        return [leftover.vb.vb_number, leftover.quantity];
+    }), [['VB-1', 2]]);
+});
+
+test('FIFO pairing leaves every receipt unmatched when the PO line has no bill', function () {
+    var result = lib.matchReceiptsToBills(buildGroup([[4, 10], [6, 10]], []), 'fifo');
+
+    assert.strictEqual(result.matches.length, 0);
+    assert.deepStrictEqual(result.unmatched.map(function (leftover) {
+        return [leftover.ir.ir_number, leftover.quantity];
+    }), [['IR-0', 4], ['IR-1', 6]]);
+});
+
+test('single rate strategy uses the paired bill rate', function () {
+    var matches = lib.matchReceiptsToBills(buildGroup([[5, 10]], [[5, 12]]), 'index').matches;
+    var rated = lib.applyRateStrategy(matches, 'single');
+
+    assert.strictEqual(rated.length, 1);
+    assert.strictEqual(rated[0].target_rate, 12);
+    assert.strictEqual(rated[0].rate_calculation, 'Rate of VB-0: 12.00');
+});
+
+test('single rate strategy weights a receipt that FIFO split across several bills', function () {
+    var matches = lib.matchReceiptsToBills(buildGroup([[10, 10]], [[4, 12], [6, 11]]), 'fifo').matches;
+    var rated = lib.applyRateStrategy(matches, 'single');
+
+    assert.strictEqual(rated.length, 1);
+    assert.strictEqual(rated[0].matched_quantity, 10);
+    assert.ok(Math.abs(rated[0].target_rate - 11.4) < 0.000001);
+    assert.strictEqual(rated[0].rate_calculation.indexOf('Billed on 2 bills'), 0);
+});
+
+test('FIFO pairs every receipt and bill of a variance PO line, not only the rows that differ', function () {
+    var receiptA = ['IR-A', '1/1/2025', 5, 10];
+    var receiptB = ['IR-B', '1/2/2025', 5, 10];
+    var billX = ['VB-X', '2/1/2025', 5, 10];
+    var billY = ['VB-Y', '2/2/2025', 5, 12];
+
+    // The variance search only returns the combinations whose rates differ
+    var varianceRows = [lineRow('1', receiptA, billY), lineRow('1', receiptB, billY)];
+    var lineRows = [
+        lineRow('1', receiptA, billX),
+        lineRow('1', receiptA, billY),
+        lineRow('1', receiptB, billX),
+        lineRow('1', receiptB, billY),
+        // Same PO, no variance on this line - not paired
+        lineRow('2', ['IR-C', '1/3/2025', 3, 5], ['VB-Z', '2/3/2025', 3, 5])
+    ];
+
+    var data = loadLib(stubSearch(varianceRows, lineRows)).getIRVBVarianceData(0.01, null, 'fifo', 'single');
+
+    assert.deepStrictEqual(data.pairs.map(function (pair) {
+        return [pair.ir_number, pair.vb_number, pair.matched_quantity, pair.variance];
+    }), [['IR-B', 'VB-Y', 5, 2]]);
+    assert.strictEqual(data.unmatched.length, 0);
+});
+
+test('a receipt with no bill is reported as unmatched although it has no variance row', function () {
+    var varianceRows = [lineRow('1', ['IR-A', '1/1/2025', 5, 10], ['VB-Y', '2/2/2025', 5, 12])];
+    var lineRows = [
+        lineRow('1', ['IR-A', '1/1/2025', 5, 10], ['VB-Y', '2/2/2025', 5, 12]),
+        lineRow('3', ['IR-D', '1/4/2025', 2, 7], null)
+    ];
+    var openRows = [{ po_id: '1', po_line_id: '3' }];
+
+    var data = loadLib(stubSearch(varianceRows, lineRows, openRows)).getIRVBVarianceData(0.01, null, 'fifo', 'single');
+
+    assert.strictEqual(data.pairs.length, 1);
+    assert.deepStrictEqual(data.unmatched.map(function (line) {
+        return [line.category, line.tran_number, line.quantity];
+    }), [['Received Not Billed', 'IR-D', 2]]);
+});
+
+test('line rows with a blank receipt or bill side group without phantom documents', function () {
+    var groups = lib.groupByPOLine([
+        lineRow('1', ['IR-A', '1/1/2025', 5, 10], null),
+        lineRow('2', null, ['VB-X', '2/1/2025', 5, 10])
+    ]);
+
+    assert.strictEqual(groups['1'].itemReceipts.length, 1);
+    assert.strictEqual(groups['1'].vendorBills.length, 0);
+    assert.strictEqual(groups['2'].itemReceipts.length, 0);
+    assert.strictEqual(groups['2'].vendorBills.length, 1);
+});
+
+test('weighted rate strategy merges the bills of one receipt into a quantity-weighted rate', function () {
+    var matches = lib.matchReceiptsToBills(buildGroup([[10, 10]], [[4, 12], [6, 11]]), 'fifo').matches;
+    var rated = lib.applyRateStrategy(matches, 'weighted');
+
+    assert.strictEqual(rated.length, 1);
+    assert.strictEqual(rated[0].matched_quantity, 10);
+    assert.ok(Math.abs(rated[0].target_rate - 11.4) < 0.000001);
+});
+
+test('variance pairs apply the threshold in base currency', function () {
+    var group = buildGroup([[5, 10]], [[5, 10.008]]);
+    group.itemReceipts[0].ir_exchange_rate = 1.5;
+
+    var pairs = lib.createVariancePairs({ pol1: group }, 0.01, 'index', 'single');
+    assert.strictEqual(pairs.length, 1);
+    assert.ok(Math.abs(pairs[0].base_variance - 0.012) < 0.000001);
+
+    group.itemReceipts[0].ir_exchange_rate = 1;
+    assert.strictEqual(lib.createVariancePairs({ pol1: group }, 0.01, 'index', 'single').length, 0);
+});
+
+test('exclusion rules match by vendor, by item, or by the combination', function () {
+    var pairs = [
+        { vendor_id: '1', item_id: '10' },
+        { vendor_id: '1', item_id: '11' },
+        { vendor_id: '2', item_id: '10' },
+        { vendor_id: '2', item_id: '12' }
+    ];
+
+    var result = lib.applyExclusionRules(pairs, [
+        { vendor_id: '1', item_id: '', reason: 'Vendor' },
+        { vendor_id: '2', item_id: '12', reason: 'Combination' }
+    ]);
+
+    assert.deepStrictEqual(result.included, [{ vendor_id: '2', item_id: '10' }]);
+    assert.deepStrictEqual(result.excluded.map(function (pair) { return pair.exclusion_reason; }), ['Vendor', 'Vendor', 'Combination']);
+});
+
+test('change ceilings flag changes over the base currency amount or the percentage', function () {
+    var ceilings = lib.getChangeCeilings('1', '20');
+
+    assert.strictEqual(lib.getChangeCeilingReason(10, 10.5, ceilings), '');
+    assert.strictEqual(lib.getChangeCeilingReason(10, 11.5, ceilings), 'Change of 1.50 (base currency) exceeds the 1.00 ceiling');
+    assert.strictEqual(lib.getChangeCeilingReason(10, 10.5, ceilings, 3), 'Change of 1.50 (base currency) exceeds the 1.00 ceiling');
+    assert.strictEqual(lib.getChangeCeilingReason(2, 2.9, ceilings), 'Change of 45.0% exceeds the 20% ceiling');
+    assert.deepStrictEqual(lib.getChangeCeilings('', null), { amount: null, percent: null });
+});
+
+test('closed period journal posts in the bill currency and offsets the expense line in base currency', function () {
+    var journal = lib.buildClosedPeriodJournal(-12.34, { number: 'VB100', currency: '4', exchangeRate: '1.1', subsidiary: '3' },
+        { accruedAccount: '200', cogsAccount: '500', cogsDepartment: '7' }, 'Widget');
+
+    assert.strictEqual(journal.currency, '4');
+    assert.strictEqual(journal.exchangeRate, 1.1);
+    assert.strictEqual(journal.subsidiary, '3');
+    assert.deepStrictEqual(journal.lines.map(function (line) { return [line.account, line.side, line.amount, line.baseAmount, line.department]; }),
+        [['200', 'debit', 12.34, 13.57, null], ['500', 'credit', 12.34, 13.57, '7']]);
+
+    // The bill's expense line credits Accrued Purchases by the same base amount the JE debits it
+    var accruedNet = journal.expenseBaseAmount + (journal.lines[0].side === 'debit' ? 1 : -1) * journal.lines[0].baseAmount;
+    assert.strictEqual(accruedNet, 0);
+});
+
+test('the open PO line search takes the date scope and the line reads share the row cap', function () {
+    var varianceRows = [lineRow('1', ['IR-A', '1/1/2025', 5, 10], ['VB-Y', '2/2/2025', 5, 12])];
+    var openRows = [{ po_id: '2', po_line_id: '5' }];
+    var lineRows = [
+        lineRow('1', ['IR-A', '1/1/2025', 5, 10], ['VB-Y', '2/2/2025', 5, 12]),
+        Object.assign(lineRow('5', ['IR-B', '1/5/2025', 2, 7], null), { po_id: '2', po_date: '1/5/2025' }),
+        Object.assign(lineRow('5', ['IR-C', '1/6/2025', 1, 7], null), { po_id: '2', po_date: '1/5/2025' })
+    ];
+
+    var searchStub = stubSearch(varianceRows, lineRows, openRows);
+    var openFilters = null;
+    var create = searchStub.create;
+    searchStub.create = function (options) {
+        if (JSON.stringify(options.filters).indexOf('quantityshiprecv') !== -1) {
+            openFilters = JSON.stringify(options.filters);
+        }
+        return create(options);
+    };
+
+    var result = loadLib(searchStub).searchIRVBLines({ irDateFrom: '1/1/2025', vbDateTo: '3/31/2025' }, 2);
+
+    assert.ok(openFilters.indexOf('"fulfillingtransaction.trandate","onorafter","1/1/2025"') !== -1);
+    assert.ok(openFilters.indexOf('"billingtransaction.trandate","onorbefore","3/31/2025"') !== -1);
+
+    // Two of three line rows fit the cap; the PO the cap cut through is left out rather than half read
+    assert.deepStrictEqual(result.rows.map(function (row) { return row.ir_number; }), ['IR-A']);
+    assert.strictEqual(result.truncated, true);
+    assert.strictEqual(result.rowCount, 4);
+    assert.strictEqual(result.totalRows, 5);
+});
+
+test('deployment roles match the current role in a multi-select parameter', function () {
+    var params = { custscript_roles: '3\u00051077', custscript_none: '' };
+    var runtimeStub = {
+        getCurrentScript: function () {
+            return { getParameter: function (options) { return params[options.name]; } };
+        },
+        getCurrentUser: function () {
+            return { role: 1077 };
+        }
+    };
+    var roleLib = loadLib(null, runtimeStub);
+
+    assert.strictEqual(roleLib.hasDeploymentRole('custscript_roles'), true);
+    assert.strictEqual(roleLib.hasDeploymentRole('custscript_none'), false);
+    assert.strictEqual(roleLib.hasDeploymentRole('custscript_missing'), false);
+});
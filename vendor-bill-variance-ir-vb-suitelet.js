@@ -3,7 +3,7 @@
  * @NScriptType Suitelet
  * @NModuleScope SameAccount
  */
-define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/runtime'],
+define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/runtime', './vendor_bill_variance_lib'],
     /**
      * @param {serverWidget} serverWidget
      * @param {search} search
@@ -11,8 +11,27 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
      * @param {redirect} redirect
      * @param {log} log
      * @param {runtime} runtime
+     * @param {Object} varianceLib - Shared variance engine (vendor_bill_variance_lib.js)
      */
-    function (serverWidget, search, record, redirect, log, runtime) {
+    function (serverWidget, search, record, redirect, log, runtime, varianceLib) {
+
+        // Journaled rate changes older than this are no longer offered for revert
+        var REVERT_WINDOW_DAYS = 30;
+        var MAX_RECENT_CHANGES = 200;
+
+        // Closed period adjustment accounts and COGS department rule used when no GL configuration record gives them
+        var DEFAULT_GL_CONFIG = {
+            accruedAccount: '112',
+            cogsAccount: '353',
+            passThroughDepartments: ['13', '10'],
+            defaultDepartment: '107'
+        };
+        var GL_CONFIG_FIELD_LABELS = {
+            accruedAccount: 'Accrued Purchases account',
+            cogsAccount: 'COGS account',
+            passThroughDepartments: 'pass-through departments',
+            defaultDepartment: 'default COGS department'
+        };
 
         /**
          * Handles GET and POST requests to the Suitelet
@@ -42,8 +61,10 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             });
 
             try {
-                // Build and add HTML content
-                var htmlContent = buildPageHTML(request.parameters);
+                // Build and add HTML content - the adjustment preview replaces the variance page
+                var htmlContent = request.parameters.adjustment_preview === 'T' ?
+                    buildAdjustmentPreviewHTML(request.parameters) :
+                    buildPageHTML(request.parameters);
 
                 var htmlField = form.addField({
                     id: 'custpage_html_content',
@@ -59,7 +80,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     type: serverWidget.FieldType.INLINEHTML,
                     label: 'Error'
                 });
-                errorField.defaultValue = '<div style="color: red; padding: 20px;">Error: ' + escapeHtml(e.toString()) + '</div>';
+                errorField.defaultValue = '<div style="color: red; padding: 20px;">Error: ' + varianceLib.escapeHtml(e.toString()) + '</div>';
             }
 
             response.writePage(form);
@@ -84,6 +105,24 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 return;
             }
 
+            // Check if this is an approve/reject decision on a rate change awaiting approval
+            if (request.parameters.action === 'approve_change' || request.parameters.action === 'reject_change') {
+                handleApprovalDecision(context);
+                return;
+            }
+
+            // Check if this is a revert of journaled rate changes
+            if (request.parameters.action === 'revert_change') {
+                handleRevertChanges(context);
+                return;
+            }
+
+            // Check if this is an export of the search results as a fixture
+            if (request.parameters.action === 'export_fixture') {
+                handleExportFixture(context);
+                return;
+            }
+
             var request = context.request;
             var selectedVariances = request.parameters.selected_variances;
             var batchIndex = parseInt(request.parameters.batch_index || '0');
@@ -113,22 +152,45 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             var previousErrorCount = parseInt(request.parameters.error_count || '0');
             var previousErrors = request.parameters.previous_errors ? JSON.parse(request.parameters.previous_errors) : [];
             var previousUpdated = request.parameters.previous_updated ? JSON.parse(request.parameters.previous_updated) : [];
+            var previousAwaiting = request.parameters.previous_awaiting ? JSON.parse(request.parameters.previous_awaiting) : [];
+            var previousInUse = request.parameters.previous_in_use ? JSON.parse(request.parameters.previous_in_use) : [];
+            var previousExcluded = request.parameters.previous_excluded ? JSON.parse(request.parameters.previous_excluded) : [];
+
+            // Every batch of one submission is journaled under the same key so it can be reverted together
+            var journal = {
+                source: 'Suitelet',
+                batch: request.parameters.change_batch || 'Suitelet ' + new Date().toISOString()
+            };
 
             var successCount = 0;
             var errorCount = 0;
             var errors = [];
             var updatedRecords = [];
+            var awaitingApproval = [];
+            var inUse = [];
+            var excluded = [];
+            var lockHolder = getSuiteletLockHolder();
+
+            // Changes above these ceilings wait for a second user's approval instead of being applied
+            var ceilings = getChangeCeilings();
+
+            // Re-checked here because the posted lines may not come from the page the rules filtered
+            var exclusionRules = varianceLib.getExclusionRules();
 
             // Process current batch
             currentBatch.forEach(function (update) {
                 try {
                     var parts = update.split('|');
                     var irId = parts[0];
-                    var poLineId = parts[1];
+                    var irLineId = parts[1];
                     var newRate = parts[2];
                     var irNumber = parts[3];
                     var itemName = parts[4];
                     var itemId = parts[5];
+                    var poLineNumber = parts[6];
+                    // parts[7] is the rate shown on the page - the checks below use the rate on the IR itself
+                    var vbId = parts[8];
+                    var currencyCode = parts[9] || '';
 
                     log.debug('Processing Update', {
                         irId: irId,
@@ -138,14 +200,71 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         recordIndex: startIndex + currentBatch.indexOf(update)
                     });
 
-                    // Update the IR line rate
-                    updateItemReceiptLineRate(irId, poLineId, itemId, newRate);
+                    // Another update of this IR is in progress - report it rather than fail
+                    var lock = varianceLib.acquireItemReceiptLock(irId, lockHolder);
+                    if (!lock.lockId) {
+                        inUse.push({
+                            irId: irId,
+                            irNumber: irNumber,
+                            itemName: itemName,
+                            newRate: newRate,
+                            reason: 'In use by ' + lock.heldBy + ' - retry later'
+                        });
+                        return;
+                    }
+
+                    try {
+                        // Check the change against the rate and exchange rate on the IR, not the posted values
+                        var irLine = varianceLib.loadItemReceiptLine(irId, irLineId, poLineNumber, itemId);
+
+                        // Vendors and items on the exclusion list are skipped, not failed
+                        var exclusionReason = getExclusionReason(irLine, exclusionRules);
+                        if (exclusionReason !== null) {
+                            excluded.push({
+                                irId: irId,
+                                irNumber: irNumber,
+                                itemName: itemName,
+                                reason: exclusionReason || 'Excluded by rule'
+                            });
+                            return;
+                        }
+
+                        // Large changes are routed for approval instead of being applied
+                        var ceilingReason = varianceLib.getChangeCeilingReason(irLine.rate, newRate, ceilings, irLine.exchangeRate);
+                        if (ceilingReason) {
+                            var approval = varianceLib.createApprovalRequest({
+                                irId: irId,
+                                irLineId: irLineId,
+                                poLineNumber: poLineNumber,
+                                itemId: itemId,
+                                vbId: vbId,
+                                oldRate: irLine.rate,
+                                newRate: newRate
+                            }, ceilingReason);
+
+                            awaitingApproval.push({
+                                irId: irId,
+                                irNumber: irNumber,
+                                itemName: itemName,
+                                newRate: newRate,
+                                currencyCode: currencyCode,
+                                reason: ceilingReason + (approval.status === varianceLib.APPROVAL_STATUS.REJECTED ? ' (previously rejected)' : '')
+                            });
+                            return;
+                        }
+
+                        // Update the IR line rate
+                        varianceLib.saveItemReceiptLineRate(irLine, newRate, false, journal);
+                    } finally {
+                        varianceLib.releaseItemReceiptLock(lock.lockId);
+                    }
 
                     successCount++;
                     updatedRecords.push({
                         irNumber: irNumber,
                         itemName: itemName,
-                        newRate: newRate
+                        newRate: newRate,
+                        currencyCode: currencyCode
                     });
 
                 } catch (e) {
@@ -157,6 +276,8 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         errorMessage = 'Period is closed - cannot modify GL impact';
                     } else if (errorMessage.indexOf('No lines found') !== -1) {
                         errorMessage = 'Item not found on Item Receipt';
+                    } else if (errorMessage.indexOf('Multiple lines found') !== -1) {
+                        errorMessage = 'Item is on more than one IR line - cannot match the Vendor Bill line';
                     } else if (errorMessage.indexOf('governance') !== -1 || errorMessage.indexOf('Usage Limit') !== -1) {
                         errorMessage = 'Script usage limit exceeded';
                     }
@@ -183,6 +304,9 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             var totalErrorCount = previousErrorCount + errorCount;
             var allErrors = previousErrors.concat(errors);
             var allUpdated = previousUpdated.concat(updatedRecords);
+            var allAwaiting = previousAwaiting.concat(awaitingApproval);
+            var allInUse = previousInUse.concat(inUse);
+            var allExcluded = previousExcluded.concat(excluded);
 
             // Check if there are more batches to process
             if (endIndex < allUpdates.length) {
@@ -206,6 +330,10 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         error_count: totalErrorCount,
                         previous_errors: JSON.stringify(allErrors),
                         previous_updated: JSON.stringify(allUpdated),
+                        previous_awaiting: JSON.stringify(allAwaiting),
+                        previous_in_use: JSON.stringify(allInUse),
+                        previous_excluded: JSON.stringify(allExcluded),
+                        change_batch: journal.batch,
                         processing: 'true'
                     }
                 });
@@ -214,7 +342,8 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 log.audit('All Batches Complete', {
                     totalBatches: batchIndex + 1,
                     totalSuccess: totalSuccessCount,
-                    totalErrors: totalErrorCount
+                    totalErrors: totalErrorCount,
+                    totalExcluded: allExcluded.length
                 });
 
                 redirect.toSuitelet({
@@ -225,12 +354,484 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         successCount: totalSuccessCount,
                         errorCount: totalErrorCount,
                         errors: totalErrorCount > 0 ? JSON.stringify(allErrors) : null,
-                        updatedRecords: JSON.stringify(allUpdated)
+                        updatedRecords: JSON.stringify(allUpdated),
+                        awaitingApproval: allAwaiting.length > 0 ? JSON.stringify(allAwaiting) : null,
+                        inUse: allInUse.length > 0 ? JSON.stringify(allInUse) : null,
+                        excluded: allExcluded.length > 0 ? JSON.stringify(allExcluded) : null
                     }
                 });
             }
         }
 
+        /**
+         * Checks the vendor and item of a loaded IR line against the exclusion rules
+         * @param {Object} irLine - Line from varianceLib.loadItemReceiptLine
+         * @param {Array} rules - Rules from varianceLib.getExclusionRules
+         * @returns {string|null} Rule reason ('' if the rule has none), or null when not excluded
+         */
+        function getExclusionReason(irLine, rules) {
+            var excluded = varianceLib.applyExclusionRules([{
+                vendor_id: irLine.vendorId,
+                item_id: irLine.itemId
+            }], rules).excluded;
+
+            return excluded.length > 0 ? (excluded[0].exclusion_reason || '') : null;
+        }
+
+        /**
+         * Gets the rate changes awaiting approval
+         * @returns {Array} Pending approval request objects
+         */
+        function getPendingApprovals() {
+            var approvals = [];
+
+            search.create({
+                type: 'customrecord_vb_variance_approval',
+                filters: [
+                    ['custrecord_vbva_status', 'is', varianceLib.APPROVAL_STATUS.PENDING],
+                    'AND',
+                    ['isinactive', 'is', 'F']
+                ],
+                columns: [
+                    search.createColumn({ name: 'created', sort: search.Sort.ASC }),
+                    'custrecord_vbva_item_receipt',
+                    'custrecord_vbva_ir_line_id',
+                    'custrecord_vbva_item',
+                    'custrecord_vbva_vendor_bill',
+                    'custrecord_vbva_old_rate',
+                    'custrecord_vbva_new_rate',
+                    'custrecord_vbva_reason',
+                    'custrecord_vbva_requested_by',
+                    search.createColumn({ name: 'currency', join: 'custrecord_vbva_item_receipt' })
+                ]
+            }).run().each(function (result) {
+                approvals.push({
+                    id: result.id,
+                    created: result.getValue({ name: 'created' }),
+                    ir_id: result.getValue({ name: 'custrecord_vbva_item_receipt' }),
+                    ir_number: result.getText({ name: 'custrecord_vbva_item_receipt' }),
+                    ir_line_id: result.getValue({ name: 'custrecord_vbva_ir_line_id' }),
+                    item_name: result.getText({ name: 'custrecord_vbva_item' }),
+                    vb_id: result.getValue({ name: 'custrecord_vbva_vendor_bill' }),
+                    vb_number: result.getText({ name: 'custrecord_vbva_vendor_bill' }),
+                    old_rate: parseFloat(result.getValue({ name: 'custrecord_vbva_old_rate' })),
+                    new_rate: parseFloat(result.getValue({ name: 'custrecord_vbva_new_rate' })),
+                    reason: result.getValue({ name: 'custrecord_vbva_reason' }),
+                    requested_by_id: result.getValue({ name: 'custrecord_vbva_requested_by' }),
+                    requested_by: result.getText({ name: 'custrecord_vbva_requested_by' }) || 'Scheduled Update',
+                    currency_id: result.getValue({ name: 'currency', join: 'custrecord_vbva_item_receipt' })
+                });
+                return true;
+            });
+
+            return addCurrencyCodes(approvals);
+        }
+
+        /**
+         * Checks whether the current user's role may approve rate changes
+         * @returns {boolean} True if the role is in the deployment's approver roles
+         */
+        function canApproveChanges() {
+            return varianceLib.hasDeploymentRole('custscript_ir_vb_sl_approver_roles');
+        }
+
+        /**
+         * Checks whether the current user's role may export the search results as a fixture file
+         * @returns {boolean} True if the role is in the deployment's fixture export roles
+         */
+        function canExportFixtures() {
+            return varianceLib.hasDeploymentRole('custscript_ir_vb_sl_fixture_roles');
+        }
+
+        /**
+         * Exports the current search rows to a fixture file in the deployment's fixture folder,
+         * then redirects to the replay of that file. Only roles listed on the deployment may export.
+         * @param {Object} context
+         */
+        function handleExportFixture(context) {
+            var redirectParams = {};
+
+            try {
+                var fixtureFolder = getFixtureFolder();
+                if (!fixtureFolder) {
+                    throw new Error('No fixture folder is set on this deployment - the search results were not exported');
+                }
+                if (!canExportFixtures()) {
+                    throw new Error('Your role is not allowed to export fixtures');
+                }
+
+                var exportSearch = varianceLib.searchIRVBLines(null, getMaxRows(), getQueryEngine());
+                var fixtureFileId = varianceLib.saveFixture('irvb', exportSearch.rows, fixtureFolder, {
+                    pairingMode: getPairingMode(),
+                    rateStrategy: getRateStrategy(),
+                    queryEngine: getQueryEngine()
+                });
+
+                log.audit('Fixture Exported', {
+                    fileId: fixtureFileId,
+                    rows: exportSearch.rows.length,
+                    user: runtime.getCurrentUser().id
+                });
+
+                redirectParams = {
+                    fixture: fixtureFileId,
+                    fixtureExported: 'T'
+                };
+                if (exportSearch.truncated) {
+                    redirectParams.fixtureRowCount = exportSearch.rowCount;
+                    redirectParams.fixtureTotalRows = exportSearch.totalRows;
+                    redirectParams.fixtureUnreadPOs = exportSearch.unreadPOs;
+                }
+            } catch (e) {
+                log.error('Error Exporting Fixture', e.toString());
+                redirectParams = { error: e.message || e.toString() };
+            }
+
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: redirectParams
+            });
+        }
+
+        /**
+         * Handles an approve or reject decision on a rate change awaiting approval.
+         * The approver must hold an approver role and must not be the user who requested the change.
+         * @param {Object} context
+         */
+        function handleApprovalDecision(context) {
+            var request = context.request;
+            var approvalId = request.parameters.approval_id;
+            var approve = request.parameters.action === 'approve_change';
+            var irNumber = request.parameters.ir_number;
+
+            try {
+                var approval = record.load({
+                    type: 'customrecord_vb_variance_approval',
+                    id: approvalId,
+                    isDynamic: false
+                });
+
+                var status = approval.getValue({ fieldId: 'custrecord_vbva_status' });
+                if (status !== varianceLib.APPROVAL_STATUS.PENDING) {
+                    throw new Error('This rate change is no longer awaiting approval (status: ' + status + ')');
+                }
+
+                if (!canApproveChanges()) {
+                    throw new Error('Your role is not allowed to approve or reject rate changes');
+                }
+
+                var currentUser = runtime.getCurrentUser();
+                if (String(approval.getValue({ fieldId: 'custrecord_vbva_requested_by' })) === String(currentUser.id)) {
+                    throw new Error('A rate change must be approved or rejected by a different user than the one who requested it');
+                }
+
+                log.audit(approve ? 'Rate Change Approved' : 'Rate Change Rejected', {
+                    approvalId: approvalId,
+                    irNumber: irNumber,
+                    user: currentUser.id
+                });
+
+                if (approve) {
+                    var approvalIrId = approval.getValue({ fieldId: 'custrecord_vbva_item_receipt' });
+                    var approvalLock = varianceLib.acquireItemReceiptLock(approvalIrId, getSuiteletLockHolder());
+                    if (!approvalLock.lockId) {
+                        throw new Error('IR is in use by ' + approvalLock.heldBy + ' - retry later');
+                    }
+
+                    try {
+                        var approvalLine = varianceLib.loadItemReceiptLine(
+                            approvalIrId,
+                            approval.getValue({ fieldId: 'custrecord_vbva_ir_line_id' }),
+                            approval.getValue({ fieldId: 'custrecord_vbva_po_line_number' }),
+                            approval.getValue({ fieldId: 'custrecord_vbva_item' })
+                        );
+
+                        var approvalExclusion = getExclusionReason(approvalLine, varianceLib.getExclusionRules());
+                        if (approvalExclusion !== null) {
+                            throw new Error('The vendor or item is now excluded by rule' + (approvalExclusion ? ': ' + approvalExclusion : ''));
+                        }
+
+                        // The approver saw this old rate - if the line changed since, the approval no longer applies
+                        var approvedOldRate = parseFloat(approval.getValue({ fieldId: 'custrecord_vbva_old_rate' })) || 0;
+                        if (Math.abs(approvalLine.rate - approvedOldRate) > 0.000001) {
+                            throw new Error('The IR line rate changed from ' + approvedOldRate + ' to ' + approvalLine.rate +
+                                ' since this change was requested - reject it and let the next run re-evaluate the variance');
+                        }
+
+                        varianceLib.saveItemReceiptLineRate(
+                            approvalLine,
+                            approval.getValue({ fieldId: 'custrecord_vbva_new_rate' }),
+                            false,
+                            { source: 'Suitelet Approval', batch: 'Approval ' + approvalId }
+                        );
+                    } finally {
+                        varianceLib.releaseItemReceiptLock(approvalLock.lockId);
+                    }
+                }
+
+                approval.setValue({ fieldId: 'custrecord_vbva_status', value: approve ? varianceLib.APPROVAL_STATUS.APPROVED : varianceLib.APPROVAL_STATUS.REJECTED });
+                approval.setValue({ fieldId: 'custrecord_vbva_decided_by', value: currentUser.id });
+                approval.setValue({ fieldId: 'custrecord_vbva_decided_date', value: new Date() });
+                approval.save({
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                });
+
+                redirect.toSuitelet({
+                    scriptId: runtime.getCurrentScript().id,
+                    deploymentId: runtime.getCurrentScript().deploymentId,
+                    parameters: {
+                        approvalDecision: approve ? 'approved' : 'rejected',
+                        irNumber: irNumber
+                    }
+                });
+
+            } catch (e) {
+                log.error('Approval Decision Failed', e);
+
+                redirect.toSuitelet({
+                    scriptId: runtime.getCurrentScript().id,
+                    deploymentId: runtime.getCurrentScript().deploymentId,
+                    parameters: {
+                        error: 'Failed to ' + (approve ? 'approve' : 'reject') + ' rate change: ' + e.message,
+                        irNumber: irNumber
+                    }
+                });
+            }
+        }
+
+        /**
+         * Gets the journaled rate changes that have not been reverted, newest first
+         * @returns {Array} Rate change objects
+         */
+        function getRecentRateChanges() {
+            var changes = [];
+
+            search.create({
+                type: 'customrecord_vb_variance_rate_change',
+                filters: [
+                    ['custrecord_vbrc_reverted', 'is', 'F'],
+                    'AND',
+                    ['custrecord_vbrc_changed_date', 'onorafter', 'daysago' + REVERT_WINDOW_DAYS],
+                    'AND',
+                    ['isinactive', 'is', 'F']
+                ],
+                columns: [
+                    search.createColumn({ name: 'custrecord_vbrc_changed_date', sort: search.Sort.DESC }),
+                    'custrecord_vbrc_item_receipt',
+                    'custrecord_vbrc_line_key',
+                    'custrecord_vbrc_item',
+                    'custrecord_vbrc_old_rate',
+                    'custrecord_vbrc_new_rate',
+                    'custrecord_vbrc_source',
+                    'custrecord_vbrc_batch',
+                    'custrecord_vbrc_changed_by',
+                    search.createColumn({ name: 'currency', join: 'custrecord_vbrc_item_receipt' })
+                ]
+            }).run().each(function (result) {
+                changes.push({
+                    id: result.id,
+                    changed_date: result.getValue({ name: 'custrecord_vbrc_changed_date' }),
+                    ir_id: result.getValue({ name: 'custrecord_vbrc_item_receipt' }),
+                    ir_number: result.getText({ name: 'custrecord_vbrc_item_receipt' }),
+                    line_key: result.getValue({ name: 'custrecord_vbrc_line_key' }),
+                    item_name: result.getText({ name: 'custrecord_vbrc_item' }),
+                    old_rate: parseFloat(result.getValue({ name: 'custrecord_vbrc_old_rate' })),
+                    new_rate: parseFloat(result.getValue({ name: 'custrecord_vbrc_new_rate' })),
+                    source: result.getValue({ name: 'custrecord_vbrc_source' }),
+                    batch: result.getValue({ name: 'custrecord_vbrc_batch' }),
+                    changed_by: result.getText({ name: 'custrecord_vbrc_changed_by' }) || result.getValue({ name: 'custrecord_vbrc_source' }),
+                    currency_id: result.getValue({ name: 'currency', join: 'custrecord_vbrc_item_receipt' })
+                });
+                return changes.length < MAX_RECENT_CHANGES;
+            });
+
+            return addCurrencyCodes(changes);
+        }
+
+        /**
+         * Sets currency_code on rows from their currency_id, with one lookup per currency
+         * @param {Array} rows - Rows with a currency_id
+         * @returns {Array} The same rows
+         */
+        function addCurrencyCodes(rows) {
+            var codes = {};
+
+            rows.forEach(function (row) {
+                if (!(row.currency_id in codes)) {
+                    codes[row.currency_id] = getCurrencyCode(row.currency_id);
+                }
+                row.currency_code = codes[row.currency_id];
+            });
+
+            return rows;
+        }
+
+        /**
+         * Handles a revert of one journaled rate change or a whole batch. Each IR line is restored
+         * to its old rate only while its period is open and it still carries the journaled new rate.
+         * @param {Object} context
+         */
+        function handleRevertChanges(context) {
+            var request = context.request;
+            var changeIds = (request.parameters.change_ids || '').split(',').filter(function (id) { return id; });
+            var label = request.parameters.revert_label;
+            var scriptObj = runtime.getCurrentScript();
+
+            var revertedCount = 0;
+            var errors = [];
+            var lockHolder = getSuiteletLockHolder();
+
+            changeIds.some(function (changeId) {
+                // Leave the rest for another click rather than run out of usage mid-save
+                if (scriptObj.getRemainingUsage() < 100) {
+                    errors.push({ irNumber: '', error: (changeIds.length - revertedCount - errors.length) + ' change(s) not reverted - usage limit reached, click Revert again' });
+                    return true;
+                }
+
+                var irNumber = changeId;
+                var lock = null;
+                try {
+                    var entry = record.load({
+                        type: 'customrecord_vb_variance_rate_change',
+                        id: changeId,
+                        isDynamic: false
+                    });
+
+                    if (entry.getValue({ fieldId: 'custrecord_vbrc_reverted' })) {
+                        throw new Error('Already reverted');
+                    }
+
+                    var irId = entry.getValue({ fieldId: 'custrecord_vbrc_item_receipt' });
+                    irNumber = entry.getText({ fieldId: 'custrecord_vbrc_item_receipt' }) || irId;
+
+                    if (isItemReceiptPeriodClosed(irId)) {
+                        throw new Error('Period is closed - the rate can no longer be reverted');
+                    }
+
+                    lock = varianceLib.acquireItemReceiptLock(irId, lockHolder);
+                    if (!lock.lockId) {
+                        throw new Error('In use by ' + lock.heldBy + ' - retry later');
+                    }
+
+                    var oldRate = parseFloat(entry.getValue({ fieldId: 'custrecord_vbrc_old_rate' }));
+                    var newRate = parseFloat(entry.getValue({ fieldId: 'custrecord_vbrc_new_rate' }));
+
+                    var irRecord = record.load({
+                        type: record.Type.ITEM_RECEIPT,
+                        id: irId,
+                        isDynamic: false
+                    });
+
+                    var line = varianceLib.findItemReceiptLine(
+                        irRecord,
+                        irId,
+                        entry.getValue({ fieldId: 'custrecord_vbrc_line_key' }),
+                        null,
+                        entry.getValue({ fieldId: 'custrecord_vbrc_item' })
+                    );
+
+                    // A later change would be silently undone - the user must look at it first
+                    var currentRate = parseFloat(irRecord.getSublistValue({
+                        sublistId: 'item',
+                        fieldId: 'rate',
+                        line: line
+                    }));
+                    if (Math.abs(currentRate - newRate) >= 0.000001) {
+                        throw new Error('Rate has changed since (now ' + currentRate + ') - not reverted');
+                    }
+
+                    irRecord.setSublistValue({
+                        sublistId: 'item',
+                        fieldId: 'rate',
+                        line: line,
+                        value: oldRate
+                    });
+                    irRecord.save({
+                        enableSourcing: false,
+                        ignoreMandatoryFields: true
+                    });
+
+                    entry.setValue({ fieldId: 'custrecord_vbrc_reverted', value: true });
+                    entry.setValue({ fieldId: 'custrecord_vbrc_reverted_by', value: runtime.getCurrentUser().id });
+                    entry.setValue({ fieldId: 'custrecord_vbrc_reverted_date', value: new Date() });
+                    entry.save({
+                        enableSourcing: false,
+                        ignoreMandatoryFields: true
+                    });
+
+                    revertedCount++;
+
+                    log.audit('Rate Change Reverted', {
+                        changeId: changeId,
+                        irId: irId,
+                        line: line,
+                        restoredRate: oldRate
+                    });
+
+                } catch (e) {
+                    errors.push({ irNumber: irNumber, error: e.message });
+                    log.error('Rate Change Revert Failed', { changeId: changeId, error: e.message });
+                } finally {
+                    if (lock && lock.lockId) {
+                        varianceLib.releaseItemReceiptLock(lock.lockId);
+                    }
+                }
+                return false;
+            });
+
+            redirect.toSuitelet({
+                scriptId: scriptObj.id,
+                deploymentId: scriptObj.deploymentId,
+                parameters: {
+                    revertSuccess: 'true',
+                    revertLabel: label,
+                    revertedCount: revertedCount,
+                    revertErrors: errors.length > 0 ? JSON.stringify(errors) : null
+                }
+            });
+        }
+
+        /**
+         * Checks whether the Item Receipt's posting period is closed
+         * @param {string} irId - Item Receipt internal ID
+         * @returns {boolean} True if the posting period is closed
+         */
+        function isItemReceiptPeriodClosed(irId) {
+            var irFields = search.lookupFields({
+                type: search.Type.ITEM_RECEIPT,
+                id: irId,
+                columns: ['postingperiod']
+            });
+
+            var period = irFields.postingperiod && irFields.postingperiod[0];
+            if (!period) {
+                return false;
+            }
+
+            var periodFields = search.lookupFields({
+                type: search.Type.ACCOUNTING_PERIOD,
+                id: period.value,
+                columns: ['closed']
+            });
+
+            return periodFields.closed === true || periodFields.closed === 'T';
+        }
+
+        /**
+         * Gets the rate change ceilings configured on the deployment. A change above either ceiling
+         * is not applied automatically and waits for approval instead.
+         * @returns {Object} { amount: per unit change, percent: change % of the old rate } - null when not set
+         */
+        function getChangeCeilings() {
+            var scriptObj = runtime.getCurrentScript();
+            return varianceLib.getChangeCeilings(
+                scriptObj.getParameter({ name: 'custscript_ir_vb_sl_max_change_amount' }),
+                scriptObj.getParameter({ name: 'custscript_ir_vb_sl_max_change_pct' })
+            );
+        }
+
         /**
          * Handles queueing an IR for closed period adjustment
          * @param {Object} context
@@ -249,7 +850,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 });
 
                 // Set the checkbox field on the IR using submitFields (no GL impact)
-                updateIRClosedPeriodFlag(irId, true);
+                varianceLib.updateIRClosedPeriodFlag(irId, true);
 
                 // Redirect with success message
                 redirect.toSuitelet({
@@ -277,88 +878,47 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
         }
 
         /**
-         * Handles closed period adjustment request
+         * Handles closed period adjustment request. The adjustment is rebuilt from the live Vendor Bill
+         * and refused if it no longer matches the amount the user approved on the preview page.
          * @param {Object} context
          */
         function handleClosedPeriodAdjustment(context) {
             var request = context.request;
-            var vbId = request.parameters.vb_id;
-            var itemId = request.parameters.item_id;
-            var vbRate = parseFloat(request.parameters.vb_rate);
-            var irRate = parseFloat(request.parameters.ir_rate);
             var vbNumber = request.parameters.vb_number;
-            var itemName = request.parameters.item_name;
-            var irId = request.parameters.ir_id; // IR ID to uncheck the flag
+            var previewAmount = request.parameters.preview_amount;
 
             try {
                 log.audit('Closed Period Adjustment Started', {
-                    vbId: vbId,
-                    itemId: itemId,
-                    irId: irId,
-                    vbRate: vbRate,
-                    irRate: irRate
-                });
-
-                // Step 1: Load vendor bill and get original total
-                var vbRecord = record.load({
-                    type: record.Type.VENDOR_BILL,
-                    id: vbId,
-                    isDynamic: false
+                    vbId: request.parameters.vb_id,
+                    itemId: request.parameters.item_id,
+                    irId: request.parameters.ir_id,
+                    irLineId: request.parameters.ir_line_id,
+                    vbLineId: request.parameters.vb_line_id,
+                    previewAmount: previewAmount
                 });
 
-                var originalTotal = vbRecord.getValue({ fieldId: 'total' });
-                var department = null;
-
-                // Step 2: Find and update the item line
-                var itemLineCount = vbRecord.getLineCount({ sublistId: 'item' });
-                var itemLineFound = false;
-
-                for (var i = 0; i < itemLineCount; i++) {
-                    var lineItem = vbRecord.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'item',
-                        line: i
-                    });
-
-                    if (lineItem && lineItem.toString() === itemId.toString()) {
-                        var oldRate = vbRecord.getSublistValue({
-                            sublistId: 'item',
-                            fieldId: 'rate',
-                            line: i
-                        });
-
-                        // Get department from this line
-                        department = vbRecord.getSublistValue({
-                            sublistId: 'item',
-                            fieldId: 'department',
-                            line: i
-                        });
+                // Steps 1-3: Load the vendor bill, find the item line and work out every line to post
+                var adjustment = buildClosedPeriodAdjustment(request.parameters);
+                var vbRecord = adjustment.vbRecord;
+                var adjustmentAmount = adjustment.adjustmentAmount;
 
-                        // Update rate to match IR
-                        vbRecord.setSublistValue({
-                            sublistId: 'item',
-                            fieldId: 'rate',
-                            line: i,
-                            value: irRate
-                        });
-
-                        itemLineFound = true;
-                        log.debug('Item Line Updated', {
-                            line: i,
-                            oldRate: oldRate,
-                            newRate: irRate,
-                            department: department
-                        });
-                        break;
-                    }
+                // Only post what the user approved on the preview page
+                var previewedAmount = parseFloat(previewAmount);
+                if (isNaN(previewedAmount)) {
+                    throw new Error('Adjustment was not previewed - use Process Adjustment to preview it first');
                 }
-
-                if (!itemLineFound) {
-                    throw new Error('Item not found on Vendor Bill');
+                if (Math.abs(previewedAmount - adjustmentAmount) > 0.005) {
+                    throw new Error('Vendor Bill changed since the preview (' + varianceLib.formatCurrency(previewedAmount, adjustment.currencyCode) + ' previewed, ' +
+                        varianceLib.formatCurrency(adjustmentAmount, adjustment.currencyCode) + ' now) - preview the adjustment again');
                 }
 
-                // Step 3: Calculate adjustment amount (difference to offset)
-                var adjustmentAmount = vbRate - irRate;
+                // Update rate to match IR
+                vbRecord.setSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'rate',
+                    line: adjustment.itemLine,
+                    value: adjustment.irRate
+                });
 
                 // Step 4: Add expense line to offset the difference
                 var expenseLineCount = vbRecord.getLineCount({ sublistId: 'expense' });
@@ -372,33 +932,29 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     sublistId: 'expense',
                     fieldId: 'account',
                     line: expenseLineCount,
-                    value: '112' // Accrued Purchases
+                    value: adjustment.expenseLine.account
                 });
 
                 vbRecord.setSublistValue({
                     sublistId: 'expense',
                     fieldId: 'amount',
                     line: expenseLineCount,
-                    value: adjustmentAmount
+                    value: adjustment.expenseLine.amount
                 });
 
-                var memo = 'Closed Period Adj: Item ' + itemName + ' (ID: ' + itemId + ') - ' +
-                    'Orig VB Rate: $' + vbRate.toFixed(2) + ', ' +
-                    'IR Rate: $' + irRate.toFixed(2) + ', ' +
-                    'Diff: $' + adjustmentAmount.toFixed(2);
-
                 vbRecord.setSublistValue({
                     sublistId: 'expense',
                     fieldId: 'memo',
                     line: expenseLineCount,
-                    value: memo
+                    value: adjustment.expenseLine.memo
                 });
 
                 // Step 5: Validate total hasn't changed
                 var newTotal = vbRecord.getValue({ fieldId: 'total' });
 
-                if (Math.abs(newTotal - originalTotal) > 0.01) {
-                    throw new Error('VB total changed from $' + originalTotal.toFixed(2) + ' to $' + newTotal.toFixed(2) + ' - adjustment cancelled');
+                if (Math.abs(newTotal - adjustment.originalTotal) > 0.01) {
+                    throw new Error('VB total changed from ' + varianceLib.formatCurrency(adjustment.originalTotal, adjustment.currencyCode) + ' to ' +
+                        varianceLib.formatCurrency(newTotal, adjustment.currencyCode) + ' - adjustment cancelled');
                 }
 
                 // Save the vendor bill
@@ -409,6 +965,8 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
 
                 log.audit('Vendor Bill Updated', {
                     vbId: savedVbId,
+                    quantity: adjustment.billedQuantity,
+                    unitDifference: adjustment.unitDifference,
                     adjustmentAmount: adjustmentAmount
                 });
 
@@ -418,6 +976,24 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     isDynamic: false
                 });
 
+                // Same subsidiary, currency and exchange rate as the bill, so the JE offsets its expense line in base currency
+                if (adjustment.journal.subsidiary) {
+                    jeRecord.setValue({
+                        fieldId: 'subsidiary',
+                        value: adjustment.journal.subsidiary
+                    });
+                }
+
+                jeRecord.setValue({
+                    fieldId: 'currency',
+                    value: adjustment.journal.currency
+                });
+
+                jeRecord.setValue({
+                    fieldId: 'exchangerate',
+                    value: adjustment.journal.exchangeRate
+                });
+
                 jeRecord.setValue({
                     fieldId: 'trandate',
                     value: new Date()
@@ -425,115 +1001,37 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
 
                 jeRecord.setValue({
                     fieldId: 'memo',
-                    value: 'Closed Period Adjustment for VB ' + vbNumber + ' - Item: ' + itemName
+                    value: adjustment.jeMemo
                 });
 
-                // Determine debit/credit based on adjustment amount
-                if (adjustmentAmount > 0) {
-                    // VB expense was positive, so CREDIT Accrued Purchases, DEBIT COGS
-
-                    // Line 1: CREDIT Accrued Purchases (112)
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'account',
-                        line: 0,
-                        value: '112'
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'credit',
-                        line: 0,
-                        value: adjustmentAmount
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'memo',
-                        line: 0,
-                        value: 'Offset accrued purchases - VB ' + vbNumber
-                    });
-
-                    // Line 2: DEBIT COGS (353)
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'account',
-                        line: 1,
-                        value: '353'
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'debit',
-                        line: 1,
-                        value: adjustmentAmount
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'memo',
-                        line: 1,
-                        value: 'COGS adjustment for ' + itemName
-                    });
-
-                    // Set department on COGS line
-                    var cogsDept = department === '13' ? '13' : (department === '10' ? '10' : '107');
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'department',
-                        line: 1,
-                        value: cogsDept
-                    });
-
-                } else {
-                    // VB expense was negative, so DEBIT Accrued Purchases, CREDIT COGS
-                    var absAmount = Math.abs(adjustmentAmount);
-
-                    // Line 1: DEBIT Accrued Purchases (112)
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'account',
-                        line: 0,
-                        value: '112'
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'debit',
-                        line: 0,
-                        value: absAmount
-                    });
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'memo',
-                        line: 0,
-                        value: 'Offset accrued purchases - VB ' + vbNumber
-                    });
-
-                    // Line 2: CREDIT COGS (353)
+                adjustment.jeLines.forEach(function (jeLine, index) {
                     jeRecord.setSublistValue({
                         sublistId: 'line',
                         fieldId: 'account',
-                        line: 1,
-                        value: '353'
+                        line: index,
+                        value: jeLine.account
                     });
                     jeRecord.setSublistValue({
                         sublistId: 'line',
-                        fieldId: 'credit',
-                        line: 1,
-                        value: absAmount
+                        fieldId: jeLine.side,
+                        line: index,
+                        value: jeLine.amount
                     });
                     jeRecord.setSublistValue({
                         sublistId: 'line',
                         fieldId: 'memo',
-                        line: 1,
-                        value: 'COGS adjustment for ' + itemName
-                    });
-
-                    // Set department on COGS line
-                    var cogsDept = department === '13' ? '13' : (department === '10' ? '10' : '107');
-                    jeRecord.setSublistValue({
-                        sublistId: 'line',
-                        fieldId: 'department',
-                        line: 1,
-                        value: cogsDept
+                        line: index,
+                        value: jeLine.memo
                     });
-                }
+                    if (jeLine.department) {
+                        jeRecord.setSublistValue({
+                            sublistId: 'line',
+                            fieldId: 'department',
+                            line: index,
+                            value: jeLine.department
+                        });
+                    }
+                });
 
                 var jeId = jeRecord.save();
                 var jeNumber = record.load({
@@ -557,8 +1055,11 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         adjustmentSuccess: 'true',
                         vbNumber: vbNumber,
                         jeNumber: jeNumber,
-                        itemName: itemName,
-                        adjustmentAmount: adjustmentAmount.toFixed(2)
+                        itemName: adjustment.itemName,
+                        adjustmentQuantity: adjustment.billedQuantity,
+                        unitDifference: adjustment.unitDifference.toFixed(2),
+                        adjustmentAmount: adjustmentAmount.toFixed(2),
+                        currencyCode: adjustment.currencyCode
                     }
                 });
 
@@ -577,124 +1078,519 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
         }
 
         /**
-         * Updates IR header field using submitField (no GL impact)
-         * @param {string} irId - Item Receipt internal ID
-         * @param {boolean} flagValue - True to flag for closed period adj, false to clear
+         * Works out a closed period adjustment without saving anything: the Vendor Bill item line rate
+         * change, the Accrued Purchases expense line that offsets it and the two Journal Entry lines.
+         * The preview page and the posting both use it, so what is previewed is what posts. Both rates are
+         * read from the Vendor Bill and Item Receipt themselves - the request only says which lines to use.
+         * @param {Object} params - vb_id, vb_line_id, item_id, ir_id, ir_line_id, vb_number, item_name
+         * @returns {Object} Adjustment with the loaded (unchanged) vbRecord, itemLine, amounts, expenseLine and jeLines
          */
-        function updateIRClosedPeriodFlag(irId, flagValue) {
-            log.debug('Updating IR Closed Period Flag', {
-                irId: irId,
-                flagValue: flagValue
+        function buildClosedPeriodAdjustment(params) {
+            var vbId = params.vb_id;
+            var itemId = params.item_id;
+            var vbNumber = params.vb_number;
+            var itemName = params.item_name;
+
+            var vbRecord = record.load({
+                type: record.Type.VENDOR_BILL,
+                id: vbId,
+                isDynamic: false
             });
 
-            record.submitFields({
-                type: record.Type.ITEM_RECEIPT,
-                id: irId,
-                values: {
-                    custbody_ir_needs_closed_period_adj: flagValue
-                },
-                options: {
-                    enableSourcing: false,
-                    ignoreMandatoryFields: true
+            var itemLine = -1;
+            var itemLineCount = vbRecord.getLineCount({ sublistId: 'item' });
+
+            for (var i = 0; i < itemLineCount; i++) {
+                var lineItem = vbRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'item',
+                    line: i
+                });
+                var lineKey = vbRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'lineuniquekey',
+                    line: i
+                });
+
+                // The paired line when it is known, otherwise the first line with the item
+                if (params.vb_line_id ? String(lineKey) === String(params.vb_line_id) :
+                    lineItem && lineItem.toString() === itemId.toString()) {
+                    itemLine = i;
+                    break;
                 }
+            }
+
+            if (itemLine === -1) {
+                throw new Error('Item not found on Vendor Bill');
+            }
+
+            // Current bill rate, and the receipt's rate converted into the bill line's unit
+            var vbRate = parseFloat(vbRecord.getSublistValue({ sublistId: 'item', fieldId: 'rate', line: itemLine })) || 0;
+            var irRate = getReceiptRateInBillUnit(params.ir_id, params.ir_line_id, vbId,
+                vbRecord.getSublistValue({ sublistId: 'item', fieldId: 'lineuniquekey', line: itemLine }), itemId);
+
+            // The new rate applies to everything billed on the line
+            var billedQuantity = parseFloat(vbRecord.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'quantity',
+                line: itemLine
+            })) || 0;
+
+            if (!billedQuantity) {
+                throw new Error('Vendor Bill line for the item has no quantity');
+            }
+
+            var department = vbRecord.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'department',
+                line: itemLine
             });
 
-            log.audit('IR Flag Updated', {
-                irId: irId,
-                flagValue: flagValue
+            // The line location and the item's class pick the GL configuration override
+            var lineLocation = vbRecord.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'location',
+                line: itemLine
+            }) || vbRecord.getValue({ fieldId: 'location' });
+            var itemClass = getItemClass(itemId);
+
+            // Accounts and COGS department come from configuration, not code, so the script can move between accounts
+            var glConfig = getGLConfig(vbRecord.getValue({ fieldId: 'subsidiary' }), lineLocation, itemClass);
+            var cogsDept = getCOGSDepartment(glConfig, department);
+
+            // Amounts are in the bill's currency; the JE posts in it too, at the bill's exchange rate
+            var currencyId = vbRecord.getValue({ fieldId: 'currency' });
+            var currencyCode = getCurrencyCode(currencyId);
+
+            // Adjustment amount is the per unit difference times the billed quantity
+            var unitDifference = vbRate - irRate;
+            var adjustmentAmount = Math.round(unitDifference * billedQuantity * 100) / 100;
+
+            if (adjustmentAmount === 0) {
+                throw new Error('Rate difference on the billed quantity rounds to ' + varianceLib.formatCurrency(0, currencyCode) + ' - nothing to adjust');
+            }
+
+            var journal = varianceLib.buildClosedPeriodJournal(adjustmentAmount, {
+                number: vbNumber,
+                currency: currencyId,
+                exchangeRate: vbRecord.getValue({ fieldId: 'exchangerate' }),
+                subsidiary: vbRecord.getValue({ fieldId: 'subsidiary' })
+            }, {
+                accruedAccount: glConfig.accruedAccount,
+                cogsAccount: glConfig.cogsAccount,
+                cogsDepartment: cogsDept
+            }, itemName);
+
+            var adjustment = {
+                vbRecord: vbRecord,
+                vbId: vbId,
+                vbNumber: vbNumber,
+                itemId: itemId,
+                itemName: itemName,
+                itemLine: itemLine,
+                currentRate: vbRate,
+                vbRate: vbRate,
+                irRate: irRate,
+                billedQuantity: billedQuantity,
+                currencyCode: currencyCode,
+                department: department,
+                originalTotal: vbRecord.getValue({ fieldId: 'total' }),
+                unitDifference: unitDifference,
+                adjustmentAmount: adjustmentAmount,
+                glConfig: glConfig,
+                expenseLine: {
+                    account: glConfig.accruedAccount,
+                    amount: adjustmentAmount,
+                    memo: 'Closed Period Adj: Item ' + itemName + ' (ID: ' + itemId + ') - ' +
+                        'Orig VB Rate: ' + varianceLib.formatCurrency(vbRate, currencyCode) + ', ' +
+                        'IR Rate: ' + varianceLib.formatCurrency(irRate, currencyCode) + ', ' +
+                        'Diff: ' + varianceLib.formatCurrency(unitDifference, currencyCode) + ' x ' + billedQuantity + ' = ' +
+                        varianceLib.formatCurrency(adjustmentAmount, currencyCode)
+                },
+                jeMemo: 'Closed Period Adjustment for VB ' + vbNumber + ' - Item: ' + itemName + ' - ' +
+                    varianceLib.formatCurrency(adjustmentAmount, currencyCode),
+                journal: journal,
+                jeLines: journal.lines
+            };
+
+            log.debug('Closed Period Adjustment Built', {
+                line: itemLine,
+                quantity: billedQuantity,
+                department: department,
+                cogsDept: cogsDept,
+                glConfig: glConfig,
+                adjustmentAmount: adjustmentAmount
             });
+
+            return adjustment;
         }
 
         /**
-         * Updates a specific line on an Item Receipt with new rate
+         * Gets an Item Receipt line's rate in the unit of a Vendor Bill line. Search quantities are in base
+         * units, so each line's quantities give its unit conversion, as in the variance search.
          * @param {string} irId - Item Receipt internal ID
-         * @param {string} poLineId - PO Line unique ID (may be undefined)
+         * @param {string} [irLineId] - IR line unique key (blank when the item is on one IR line only)
+         * @param {string} vbId - Vendor Bill internal ID
+         * @param {string} vbLineKey - VB line unique key
          * @param {string} itemId - Item internal ID
-         * @param {number} newRate - New rate from vendor bill
+         * @returns {number} IR rate per VB unit
          */
-        function updateItemReceiptLineRate(irId, poLineId, itemId, newRate) {
-            log.debug('Updating IR Line', {
-                irId: irId,
-                itemId: itemId,
-                newRate: newRate
+        function getReceiptRateInBillUnit(irId, irLineId, vbId, vbLineKey, itemId) {
+            var irLines = [];
+            var vbConversionRate = 1;
+
+            search.create({
+                type: search.Type.TRANSACTION,
+                filters: [
+                    ['internalid', 'anyof', [irId, vbId]],
+                    'AND',
+                    ['mainline', 'is', 'F'],
+                    'AND',
+                    ['item', 'anyof', itemId]
+                ],
+                columns: ['internalid', 'lineuniquekey', 'rate', 'quantity', 'quantityuom']
+            }).run().each(function (result) {
+                var conversionRate = varianceLib.getUnitConversionRate(result.getValue({ name: 'quantity' }), result.getValue({ name: 'quantityuom' }));
+
+                if (String(result.getValue({ name: 'internalid' })) === String(irId)) {
+                    irLines.push({
+                        lineKey: String(result.getValue({ name: 'lineuniquekey' })),
+                        baseRate: (parseFloat(result.getValue({ name: 'rate' })) || 0) / conversionRate
+                    });
+                } else if (String(result.getValue({ name: 'lineuniquekey' })) === String(vbLineKey)) {
+                    vbConversionRate = conversionRate;
+                }
+                return true;
             });
 
-            // Load the Item Receipt in standard mode
-            var irRecord = record.load({
-                type: record.Type.ITEM_RECEIPT,
-                id: irId,
-                isDynamic: false
+            var matches = irLines.filter(function (line) {
+                return irLineId ? line.lineKey === String(irLineId) : true;
             });
 
-            // Find all matching lines by item ID and update them
-            var lineCount = irRecord.getLineCount({ sublistId: 'item' });
-            var linesUpdated = 0;
+            if (matches.length === 0) {
+                throw new Error('Item not found on Item Receipt');
+            }
+            if (matches.length > 1) {
+                throw new Error('Item is on more than one IR line - cannot match the Vendor Bill line');
+            }
 
-            log.debug('IR Line Count', 'Total lines: ' + lineCount);
+            return matches[0].baseRate * vbConversionRate;
+        }
 
-            for (var i = 0; i < lineCount; i++) {
-                var currentItem = irRecord.getSublistValue({
-                    sublistId: 'item',
-                    fieldId: 'item',
-                    line: i
-                });
+        /**
+         * Builds the preview of a closed period adjustment: the Vendor Bill changes and the Journal Entry
+         * as debit/credit tables, with a button that posts exactly these lines. Nothing is saved here.
+         * @param {Object} params - Request parameters (see buildClosedPeriodAdjustment)
+         * @returns {string} HTML content
+         */
+        function buildAdjustmentPreviewHTML(params) {
+            var html = '<style>' + getStyles() + '</style>';
+            html += '<div class="container">';
+            html += '<h2 style="color: #1a73e8;">Closed Period Adjustment Preview</h2>';
 
-                var currentRate = irRecord.getSublistValue({
-                    sublistId: 'item',
-                    fieldId: 'rate',
-                    line: i
-                });
+            var adjustment;
+            try {
+                adjustment = buildClosedPeriodAdjustment(params);
+            } catch (e) {
+                log.error('Adjustment Preview Failed', e);
+                html += '<div class="error-message">';
+                html += '<strong>✗ Cannot Preview Adjustment</strong><br />';
+                html += varianceLib.escapeHtml(e.message || e.toString());
+                html += '</div>';
+                html += '<a href="' + getSuiteletUrl({}) + '">Back to variances</a>';
+                html += '</div>';
+                return html;
+            }
+
+            var names = {};
+            var accountName = function (id) {
+                return names['account' + id] || (names['account' + id] = getRecordName(search.Type.ACCOUNT, id));
+            };
+            var departmentName = function (id) {
+                return names['department' + id] || (names['department' + id] = getRecordName(search.Type.DEPARTMENT, id));
+            };
+            var formatAmount = function (value) {
+                return varianceLib.formatCurrency(value, adjustment.currencyCode);
+            };
+            var currencyLabel = varianceLib.escapeHtml(adjustment.currencyCode || '$');
+            var journal = adjustment.journal;
+            // Foreign currency bills also show each line in base currency, at the exchange rate the JE posts with
+            var showBase = journal.exchangeRate !== 1;
+            var baseCells = function (side, baseAmount) {
+                return showBase ? '<td class="rate-cell">' + (side === 'debit' ? baseAmount.toFixed(2) : '') + '</td>' +
+                    '<td class="rate-cell">' + (side === 'credit' ? baseAmount.toFixed(2) : '') + '</td>' : '';
+            };
+            var baseHeaders = showBase ? '<th class="rate-cell">Debit (Base)</th><th class="rate-cell">Credit (Base)</th>' : '';
+            var amount = adjustment.adjustmentAmount;
+            var absAmount = Math.abs(amount);
+            var absBaseAmount = Math.abs(journal.expenseBaseAmount);
+            var currentAmount = adjustment.currentRate * adjustment.billedQuantity;
+            var newAmount = adjustment.irRate * adjustment.billedQuantity;
+
+            html += '<div class="summary-info">';
+            html += '<strong>Vendor Bill:</strong> <a href="/app/accounting/transactions/vendbill.nl?id=' + encodeURIComponent(adjustment.vbId) + '" target="_blank">' +
+                varianceLib.escapeHtml(adjustment.vbNumber) + '</a><br />';
+            html += '<strong>Item:</strong> ' + varianceLib.escapeHtml(adjustment.itemName) + '<br />';
+            html += '<strong>Billed Quantity:</strong> ' + adjustment.billedQuantity + '<br />';
+            html += '<strong>Unit Difference:</strong> ' + varianceLib.escapeHtml(formatAmount(adjustment.unitDifference)) +
+                ' (' + varianceLib.escapeHtml(formatAmount(adjustment.vbRate)) + ' VB rate - ' +
+                varianceLib.escapeHtml(formatAmount(adjustment.irRate)) + ' IR rate)<br />';
+            html += '<strong>Adjustment Amount:</strong> ' + varianceLib.escapeHtml(formatAmount(amount));
+            if (adjustment.glConfig.defaultsUsed.length > 0) {
+                html += '<br /><strong>GL Configuration:</strong> no configuration record gives the ' +
+                    adjustment.glConfig.defaultsUsed.map(function (field) { return GL_CONFIG_FIELD_LABELS[field]; }).join(', ') +
+                    ' for this bill - the built-in defaults are used. Add a Variance GL Configuration record to change them.';
+            }
+            if (showBase) {
+                html += '<br /><strong>Exchange Rate:</strong> ' + journal.exchangeRate + ' (the Vendor Bill\'s - the JE posts at the same rate)';
+            }
+            html += '</div>';
+
+            // Accrued Purchases in base currency: the bill's expense line against the JE line that reverses it
+            var accruedLine = adjustment.jeLines[0];
+            var accruedNet = Math.round((journal.expenseBaseAmount + (accruedLine.side === 'debit' ? 1 : -1) * accruedLine.baseAmount) * 100) / 100;
+
+            html += '<div class="' + (accruedNet === 0 ? 'info-message' : 'warning-message') + '">';
+            html += 'Nothing has been saved yet. Posting updates the VB item rate to match the IR, adds the Accrued Purchases ' +
+                'expense line and creates the JE below to move it into COGS. ';
+            html += 'Net change to Accrued Purchases in base currency: ' + accruedNet.toFixed(2) +
+                (accruedNet === 0 ? ' - the expense line and the JE offset each other.' : ' - the expense line and the JE do not offset, so the adjustment cannot be posted.');
+            html += '</div>';
+
+            // Vendor Bill: the item line's debit moves to the new Accrued Purchases expense line, total unchanged
+            html += '<h3>Vendor Bill ' + varianceLib.escapeHtml(adjustment.vbNumber) + ' - Changes</h3>';
+            html += '<table class="variance-table">';
+            html += '<thead><tr><th>Line</th><th>Account</th><th>Department</th><th class="rate-cell">Debit (' + currencyLabel + ')</th><th class="rate-cell">Credit (' + currencyLabel + ')</th>' + baseHeaders + '<th>Detail</th></tr></thead>';
+            html += '<tbody>';
+            html += '<tr>';
+            html += '<td>Item line ' + (adjustment.itemLine + 1) + ' (changed)</td>';
+            html += '<td>Item\'s purchase account</td>';
+            html += '<td>' + varianceLib.escapeHtml(departmentName(adjustment.department)) + '</td>';
+            html += '<td class="rate-cell">' + (amount < 0 ? absAmount.toFixed(2) : '') + '</td>';
+            html += '<td class="rate-cell">' + (amount > 0 ? absAmount.toFixed(2) : '') + '</td>';
+            html += baseCells(amount < 0 ? 'debit' : 'credit', absBaseAmount);
+            html += '<td>Rate ' + varianceLib.escapeHtml(formatAmount(adjustment.currentRate)) + ' &rarr; ' + varianceLib.escapeHtml(formatAmount(adjustment.irRate)) +
+                ', amount ' + varianceLib.escapeHtml(formatAmount(currentAmount)) + ' &rarr; ' + varianceLib.escapeHtml(formatAmount(newAmount)) + '</td>';
+            html += '</tr>';
+            html += '<tr>';
+            html += '<td>Expense line (new)</td>';
+            html += '<td>' + varianceLib.escapeHtml(accountName(adjustment.expenseLine.account)) + '</td>';
+            html += '<td></td>';
+            html += '<td class="rate-cell">' + (amount > 0 ? absAmount.toFixed(2) : '') + '</td>';
+            html += '<td class="rate-cell">' + (amount < 0 ? absAmount.toFixed(2) : '') + '</td>';
+            html += baseCells(amount > 0 ? 'debit' : 'credit', absBaseAmount);
+            html += '<td>' + varianceLib.escapeHtml(adjustment.expenseLine.memo) + '</td>';
+            html += '</tr>';
+            html += '<tr style="font-weight: bold;"><td colspan="3">Total (Vendor Bill total unchanged)</td>' +
+                '<td class="rate-cell">' + absAmount.toFixed(2) + '</td><td class="rate-cell">' + absAmount.toFixed(2) + '</td>' +
+                (showBase ? '<td class="rate-cell">' + absBaseAmount.toFixed(2) + '</td><td class="rate-cell">' + absBaseAmount.toFixed(2) + '</td>' : '') + '<td></td></tr>';
+            html += '</tbody>';
+            html += '</table>';
+
+            // Journal Entry: offsets the expense line into COGS
+            html += '<h3 style="margin-top: 30px;">New Journal Entry - dated today, in ' + currencyLabel + '</h3>';
+            html += '<table class="variance-table">';
+            html += '<thead><tr><th>Line</th><th>Account</th><th>Department</th><th class="rate-cell">Debit (' + currencyLabel + ')</th><th class="rate-cell">Credit (' + currencyLabel + ')</th>' + baseHeaders + '<th>Memo</th></tr></thead>';
+            html += '<tbody>';
+            adjustment.jeLines.forEach(function (jeLine, index) {
+                html += '<tr>';
+                html += '<td>' + (index + 1) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(accountName(jeLine.account)) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(departmentName(jeLine.department)) + '</td>';
+                html += '<td class="rate-cell">' + (jeLine.side === 'debit' ? jeLine.amount.toFixed(2) : '') + '</td>';
+                html += '<td class="rate-cell">' + (jeLine.side === 'credit' ? jeLine.amount.toFixed(2) : '') + '</td>';
+                html += baseCells(jeLine.side, jeLine.baseAmount);
+                html += '<td>' + varianceLib.escapeHtml(jeLine.memo) + '</td>';
+                html += '</tr>';
+            });
+            html += '<tr style="font-weight: bold;"><td colspan="3">Total</td>' +
+                '<td class="rate-cell">' + absAmount.toFixed(2) + '</td><td class="rate-cell">' + absAmount.toFixed(2) + '</td>' +
+                (showBase ? '<td class="rate-cell">' + absBaseAmount.toFixed(2) + '</td><td class="rate-cell">' + absBaseAmount.toFixed(2) + '</td>' : '') + '<td></td></tr>';
+            html += '</tbody>';
+            html += '</table>';
+
+            if (accruedNet !== 0) {
+                html += '<a href="' + getSuiteletUrl({}) + '">Back to variances</a>';
+                html += '</div>';
+                return html;
+            }
+
+            // Posting re-checks the amount so a bill edited after this preview is not adjusted blind
+            html += '<form method="POST" action="' + getSuiteletUrl({}) + '">';
+            html += '<input type="hidden" name="action" value="process_closed_period_adjustment" />';
+            ['vb_id', 'vb_line_id', 'item_id', 'ir_id', 'ir_line_id', 'vb_number', 'item_name'].forEach(function (name) {
+                html += '<input type="hidden" name="' + name + '" value="' + varianceLib.escapeHtml(params[name] || '') + '" />';
+            });
+            html += '<input type="hidden" name="preview_amount" value="' + amount.toFixed(2) + '" />';
+            html += '<div class="button-container">';
+            html += '<button type="submit" class="submit-button">Post Adjustment</button>';
+            html += ' <a href="' + getSuiteletUrl({}) + '" style="margin-left: 15px;">Cancel</a>';
+            html += '</div>';
+            html += '</form>';
+
+            html += '</div>';
+            return html;
+        }
 
-                log.debug('Line ' + i + ' Info', {
-                    item: currentItem,
-                    rate: currentRate,
-                    searchingForItem: itemId
+        /**
+         * Gets the code of a currency (e.g. USD) for formatting amounts
+         * @param {string} currencyId - Currency internal ID
+         * @returns {string} Currency code, or '' when the lookup fails
+         */
+        function getCurrencyCode(currencyId) {
+            if (!currencyId) {
+                return '';
+            }
+
+            try {
+                return search.lookupFields({ type: search.Type.CURRENCY, id: currencyId, columns: ['symbol'] }).symbol || '';
+            } catch (e) {
+                log.error('Currency Lookup Error', 'ID: ' + currencyId + ', Error: ' + e.message);
+                return '';
+            }
+        }
+
+        /**
+         * Gets the class set on an item record, which picks the GL configuration class override
+         * @param {string} itemId - Item internal ID
+         * @returns {string} Class internal ID, or '' when the item has none or the lookup fails
+         */
+        function getItemClass(itemId) {
+            try {
+                var itemClass = search.lookupFields({ type: search.Type.ITEM, id: itemId, columns: ['class'] })['class'];
+                return itemClass && itemClass.length > 0 ? String(itemClass[0].value) : '';
+            } catch (e) {
+                log.error('Item Class Lookup Error', 'ID: ' + itemId + ', Error: ' + e.message);
+                return '';
+            }
+        }
+
+        /**
+         * Gets the name of an account or department for display
+         * @param {string} type - search.Type of the record
+         * @param {string} id - Internal ID
+         * @returns {string} Name, the ID when the lookup fails, or '' when there is no ID
+         */
+        function getRecordName(type, id) {
+            if (!id) {
+                return '';
+            }
+
+            try {
+                return search.lookupFields({ type: type, id: id, columns: ['name'] }).name || String(id);
+            } catch (e) {
+                log.error('Name Lookup Error', 'Type: ' + type + ', ID: ' + id + ', Error: ' + e.message);
+                return String(id);
+            }
+        }
+
+        /**
+         * Gets the closed period adjustment accounts and COGS department rule from the
+         * customrecord_vb_variance_gl_config records. The record with no subsidiary, location or class
+         * is the default. Matching overrides are layered on top of it, least specific first (subsidiary,
+         * then location, then class), and a blank field on an override keeps the value underneath.
+         * Whatever no record gives comes from DEFAULT_GL_CONFIG.
+         * @param {string} subsidiaryId - Vendor Bill subsidiary
+         * @param {string} locationId - Vendor Bill item line location
+         * @param {string} classId - Class of the item
+         * @returns {Object} { accruedAccount, cogsAccount, passThroughDepartments: Array, defaultDepartment,
+         *     defaultsUsed: Array of the fields taken from DEFAULT_GL_CONFIG }
+         */
+        function getGLConfig(subsidiaryId, locationId, classId) {
+            var layers = [];
+
+            search.create({
+                type: 'customrecord_vb_variance_gl_config',
+                filters: [['isinactive', 'is', 'F']],
+                columns: [
+                    search.createColumn({ name: 'custrecord_vbgc_subsidiary', label: 'Subsidiary' }),
+                    search.createColumn({ name: 'custrecord_vbgc_location', label: 'Location' }),
+                    search.createColumn({ name: 'custrecord_vbgc_item_class', label: 'Item Class' }),
+                    search.createColumn({ name: 'custrecord_vbgc_accrued_account', label: 'Accrued Purchases Account' }),
+                    search.createColumn({ name: 'custrecord_vbgc_cogs_account', label: 'COGS Account' }),
+                    search.createColumn({ name: 'custrecord_vbgc_passthru_depts', label: 'Pass-Through Departments' }),
+                    search.createColumn({ name: 'custrecord_vbgc_default_dept', label: 'Default COGS Department' })
+                ]
+            }).run().each(function (result) {
+                var subsidiary = result.getValue({ name: 'custrecord_vbgc_subsidiary' });
+                var location = result.getValue({ name: 'custrecord_vbgc_location' });
+                var itemClass = result.getValue({ name: 'custrecord_vbgc_item_class' });
+
+                // Skip overrides for another subsidiary, location or class
+                if ((subsidiary && subsidiary !== String(subsidiaryId)) ||
+                    (location && location !== String(locationId)) ||
+                    (itemClass && itemClass !== String(classId))) {
+                    return true;
+                }
+
+                var passThrough = result.getValue({ name: 'custrecord_vbgc_passthru_depts' });
+                layers.push({
+                    weight: (subsidiary ? 1 : 0) + (location ? 2 : 0) + (itemClass ? 4 : 0),
+                    accruedAccount: result.getValue({ name: 'custrecord_vbgc_accrued_account' }),
+                    cogsAccount: result.getValue({ name: 'custrecord_vbgc_cogs_account' }),
+                    passThroughDepartments: passThrough ? passThrough.split(',') : [],
+                    defaultDepartment: result.getValue({ name: 'custrecord_vbgc_default_dept' })
                 });
+                return true;
+            });
 
-                // Match by item ID - update all instances of this item
-                if (currentItem && currentItem.toString() === itemId.toString()) {
-                    var oldRate = irRecord.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'rate',
-                        line: i
-                    });
+            layers.sort(function (a, b) {
+                return a.weight - b.weight;
+            });
 
-                    // Update the rate
-                    irRecord.setSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'rate',
-                        line: i,
-                        value: parseFloat(newRate)
-                    });
+            var config = {
+                accruedAccount: null,
+                cogsAccount: null,
+                passThroughDepartments: null,
+                defaultDepartment: null,
+                defaultsUsed: []
+            };
+            layers.forEach(function (layer) {
+                config.accruedAccount = layer.accruedAccount || config.accruedAccount;
+                config.cogsAccount = layer.cogsAccount || config.cogsAccount;
+                config.defaultDepartment = layer.defaultDepartment || config.defaultDepartment;
+                if (layer.passThroughDepartments.length > 0) {
+                    config.passThroughDepartments = layer.passThroughDepartments;
+                }
+            });
 
-                    linesUpdated++;
-                    log.debug('Line Found and Updated', {
-                        line: i,
-                        item: currentItem,
-                        oldRate: oldRate,
-                        newRate: newRate
-                    });
+            ['accruedAccount', 'cogsAccount', 'passThroughDepartments', 'defaultDepartment'].forEach(function (field) {
+                if (!config[field]) {
+                    config[field] = DEFAULT_GL_CONFIG[field];
+                    config.defaultsUsed.push(field);
                 }
+            });
+
+            if (config.defaultsUsed.length > 0) {
+                log.audit('GL Configuration Defaults Used', 'Subsidiary ' + subsidiaryId + ', location ' + (locationId || 'none') +
+                    ', class ' + (classId || 'none') + ': ' + config.defaultsUsed.join(', '));
             }
 
-            if (linesUpdated === 0) {
-                throw new Error('No lines found with Item ID ' + itemId + ' on IR ' + irId);
+            return config;
+        }
+
+        /**
+         * Gets the department for the COGS line of a closed period adjustment. Pass-through departments
+         * keep the Vendor Bill line's department, every other department posts to the default.
+         * @param {Object} glConfig - Configuration from getGLConfig
+         * @param {string} department - Vendor Bill item line department
+         * @returns {string|null} Department internal ID (null leaves the line without one)
+         */
+        function getCOGSDepartment(glConfig, department) {
+            if (department && glConfig.passThroughDepartments.indexOf(String(department)) !== -1) {
+                return department;
             }
 
-            // Save the record
-            var savedId = irRecord.save({
-                enableSourcing: false,
-                ignoreMandatoryFields: true
-            });
-
-            log.audit('IR Updated Successfully', {
-                irId: savedId,
-                itemId: itemId,
-                linesUpdated: linesUpdated,
-                newRate: newRate
-            });
+            return glConfig.defaultDepartment || null;
+        }
 
-            return savedId;
+        /**
+         * Describes the current Suitelet user for IR update locks
+         * @returns {string} Lock holder label
+         */
+        function getSuiteletLockHolder() {
+            var currentUser = runtime.getCurrentUser();
+            return 'Suitelet (' + (currentUser.name || currentUser.id) + ')';
         }
 
         /**
@@ -719,6 +1615,10 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 if (errorCount > 0) {
                     html += '<br />Failed: ' + errorCount;
                 }
+                var excludedSoFar = params.previous_excluded ? JSON.parse(params.previous_excluded).length : 0;
+                if (excludedSoFar > 0) {
+                    html += '<br />Skipped (excluded by rule): ' + excludedSoFar;
+                }
                 html += '<br /><br />';
                 html += '<div class="spinner"></div>';
                 html += '<br />Please wait while the remaining records are updated...';
@@ -726,12 +1626,16 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
 
                 // Auto-submit to continue processing
                 html += '<form id="continueForm" method="POST" style="display:none;">';
-                html += '<input type="hidden" name="selected_variances" value="' + escapeHtml(params.selected_variances || '') + '" />';
-                html += '<input type="hidden" name="batch_index" value="' + escapeHtml(params.batch_index || '0') + '" />';
-                html += '<input type="hidden" name="success_count" value="' + escapeHtml(params.success_count || '0') + '" />';
-                html += '<input type="hidden" name="error_count" value="' + escapeHtml(params.error_count || '0') + '" />';
-                html += '<input type="hidden" name="previous_errors" value="' + escapeHtml(params.previous_errors || '[]') + '" />';
-                html += '<input type="hidden" name="previous_updated" value="' + escapeHtml(params.previous_updated || '[]') + '" />';
+                html += '<input type="hidden" name="selected_variances" value="' + varianceLib.escapeHtml(params.selected_variances || '') + '" />';
+                html += '<input type="hidden" name="batch_index" value="' + varianceLib.escapeHtml(params.batch_index || '0') + '" />';
+                html += '<input type="hidden" name="success_count" value="' + varianceLib.escapeHtml(params.success_count || '0') + '" />';
+                html += '<input type="hidden" name="error_count" value="' + varianceLib.escapeHtml(params.error_count || '0') + '" />';
+                html += '<input type="hidden" name="previous_errors" value="' + varianceLib.escapeHtml(params.previous_errors || '[]') + '" />';
+                html += '<input type="hidden" name="previous_updated" value="' + varianceLib.escapeHtml(params.previous_updated || '[]') + '" />';
+                html += '<input type="hidden" name="previous_awaiting" value="' + varianceLib.escapeHtml(params.previous_awaiting || '[]') + '" />';
+                html += '<input type="hidden" name="previous_in_use" value="' + varianceLib.escapeHtml(params.previous_in_use || '[]') + '" />';
+                html += '<input type="hidden" name="previous_excluded" value="' + varianceLib.escapeHtml(params.previous_excluded || '[]') + '" />';
+                html += '<input type="hidden" name="change_batch" value="' + varianceLib.escapeHtml(params.change_batch || '') + '" />';
                 html += '</form>';
                 html += '<script>setTimeout(function() { document.getElementById("continueForm").submit(); }, 1000);</script>';
                 html += '</div>';
@@ -747,13 +1651,13 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             if (params.queueSuccess === 'true') {
                 html += '<div class="success-message">';
                 html += '<strong>✓ Item Receipt Queued for Closed Period Adjustment</strong><br />';
-                html += 'IR <strong>' + escapeHtml(params.irNumber) + '</strong> has been marked for closed period processing<br />';
-                html += 'Item: ' + escapeHtml(params.itemName) + '<br />';
+                html += 'IR <strong>' + varianceLib.escapeHtml(params.irNumber) + '</strong> has been marked for closed period processing<br />';
+                html += 'Item: ' + varianceLib.escapeHtml(params.itemName) + '<br />';
                 html += '<br />';
                 html += '<strong>Next Steps:</strong><br />';
                 html += '1. Have accounting/admin temporarily open the closed period<br />';
                 html += '2. Reload this page - the IR will appear in the "Queued for Closed Period Adjustment" table<br />';
-                html += '3. Click "Process Adjustment" to apply the fix with no net GL impact<br />';
+                html += '3. Click "Process Adjustment", review the VB and JE lines in the preview and post them<br />';
                 html += '4. Close the period again';
                 html += '</div>';
             }
@@ -761,20 +1665,41 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             if (params.adjustmentSuccess === 'true') {
                 html += '<div class="success-message">';
                 html += '<strong>✓ Closed Period Adjustment Complete</strong><br />';
-                html += 'Vendor Bill <strong>' + escapeHtml(params.vbNumber) + '</strong> updated<br />';
-                html += 'Item: ' + escapeHtml(params.itemName) + '<br />';
-                html += 'Adjustment Amount: $' + params.adjustmentAmount + '<br />';
-                html += 'Journal Entry <strong>' + escapeHtml(params.jeNumber) + '</strong> created<br />';
+                html += 'Vendor Bill <strong>' + varianceLib.escapeHtml(params.vbNumber) + '</strong> updated<br />';
+                html += 'Item: ' + varianceLib.escapeHtml(params.itemName) + '<br />';
+                html += 'Quantity: ' + varianceLib.escapeHtml(params.adjustmentQuantity) + ' &times; ' +
+                    varianceLib.escapeHtml(varianceLib.formatCurrency(params.unitDifference, params.currencyCode)) + ' per unit<br />';
+                html += 'Adjustment Amount: ' + varianceLib.escapeHtml(varianceLib.formatCurrency(params.adjustmentAmount, params.currencyCode)) + '<br />';
+                html += 'Journal Entry <strong>' + varianceLib.escapeHtml(params.jeNumber) + '</strong> created<br />';
                 html += '<br />';
                 html += 'This variance has been resolved and will disappear from the report on refresh.';
                 html += '</div>';
             }
 
+            if (params.approvalDecision) {
+                html += '<div class="success-message">';
+                html += '<strong>✓ Rate Change ' + (params.approvalDecision === 'approved' ? 'Approved' : 'Rejected') + '</strong><br />';
+                html += 'IR <strong>' + varianceLib.escapeHtml(params.irNumber) + '</strong>' +
+                    (params.approvalDecision === 'approved' ? ' has been updated to the new rate.' : ' was left unchanged.');
+                html += '</div>';
+            }
+
+            if (params.revertSuccess === 'true') {
+                var revertErrors = params.revertErrors ? JSON.parse(params.revertErrors) : [];
+                html += '<div class="' + (revertErrors.length > 0 ? 'error-message' : 'success-message') + '">';
+                html += '<strong>' + (revertErrors.length > 0 ? '⚠' : '✓') + ' Revert ' + varianceLib.escapeHtml(params.revertLabel || '') + '</strong><br />';
+                html += 'IR lines restored to their original rate: ' + varianceLib.escapeHtml(params.revertedCount || '0');
+                revertErrors.forEach(function (err) {
+                    html += '<br />' + (err.irNumber ? varianceLib.escapeHtml(err.irNumber) + ': ' : '') + varianceLib.escapeHtml(err.error);
+                });
+                html += '</div>';
+            }
+
             // Show error message if present
             if (params.error) {
                 html += '<div class="error-message">';
                 html += '<strong>✗ Error</strong><br />';
-                html += escapeHtml(params.error);
+                html += varianceLib.escapeHtml(params.error);
                 html += '</div>';
             }
 
@@ -784,7 +1709,8 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             // Left side - Instructions
             html += '<div class="instructions-panel">';
             html += '<h3>Instructions</h3>';
-            html += '<p>This tool identifies Item Receipts where the line rate differs from the corresponding Vendor Bill rate by $0.01 or more.</p>';
+            html += '<p>This tool identifies Item Receipts where the line rate differs from the corresponding Vendor Bill rate by at least ' +
+                varianceLib.DEFAULT_MIN_VARIANCE.toFixed(2) + ' per unit in base currency - foreign currency rates are converted at each transaction\'s exchange rate first.</p>';
             html += '<p><strong>Regular Process (Open Periods):</strong></p>';
             html += '<ul>';
             html += '<li>Review variances in the "Regular Variances" table</li>';
@@ -797,10 +1723,29 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<li>This marks the IR for special processing without GL impact</li>';
             html += '<li>Have accounting/admin open the closed period temporarily</li>';
             html += '<li>Queued items will appear in the "Queued for Closed Period Adjustment" table below</li>';
-            html += '<li>Once the period is open, click "Process Adjustment" to apply the fix</li>';
-            html += '<li>The period can then be closed again - no net GL impact occurred</li>';
+            html += '<li>Once the period is open, click "Process Adjustment" to preview the VB and JE lines, then post them</li>';
+            html += '<li>The period can then be closed again</li>';
             html += '</ul>';
-            html += '<p><strong>Note:</strong> When multiple Vendor Bills exist for the same PO line, the oldest VB is matched to the oldest IR to ensure balanced accounting.</p>';
+            if (getPairingMode() === 'fifo') {
+                html += '<p><strong>Note:</strong> When multiple Vendor Bills exist for the same PO line, billed quantities are matched to received quantities first-in-first-out. A bill covering several receipts (or the reverse) appears once per matched portion, with the matched quantity shown.</p>';
+            } else {
+                html += '<p><strong>Note:</strong> When multiple Vendor Bills exist for the same PO line, the oldest VB is matched to the oldest IR to ensure balanced accounting.</p>';
+            }
+            if (getRateStrategy() === 'weighted') {
+                html += '<p><strong>Weighted Rates:</strong> When one receipt is billed across several Vendor Bills, the IR is updated to the quantity-weighted average bill rate. Hover over a row to see how its rate was calculated.</p>';
+            }
+            var ceilings = getChangeCeilings();
+            if (ceilings.amount !== null || ceilings.percent !== null) {
+                html += '<p><strong>Approval Ceiling:</strong> Changes larger than ' +
+                    [ceilings.amount !== null ? ceilings.amount.toFixed(2) + ' per unit in base currency' : null, ceilings.percent !== null ? ceilings.percent + '%' : null]
+                        .filter(function (limit) { return limit; }).join(' or ') +
+                    ' are not applied - they wait in "Awaiting Approval" until a different user with an approver role approves them.</p>';
+            }
+            html += '<p><strong>Reverting:</strong> Every rate change is journaled with its original rate. Changes from the last ' + REVERT_WINDOW_DAYS + ' days are listed under "Recent Rate Changes" and can be reverted one at a time or as a batch while the IR\'s period is still open.</p>';
+            html += '<p><strong>Exclusions:</strong> Vendors and items on the Variance Exclusion list are listed under "Skipped - Excluded by Rule" and are never updated.</p>';
+            if (getFixtureFolder() && canExportFixtures()) {
+                html += '<p><strong>Investigating a pairing?</strong> <a href="#" onclick="exportFixture(); return false;">Export the search results as a fixture</a> so this page can be replayed exactly as it is now.</p>';
+            }
             html += '</div>';
 
             // Right side - Accounting Impact Explanation
@@ -833,7 +1778,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<li>Accounts Payable remains unchanged (VB total protected)</li>';
             html += '<li>Accrued Purchases gap is closed via the expense line</li>';
             html += '<li>COGS adjustment is taken immediately in the current period (via the JE reversal)</li>';
-            html += '<li>Net $0 GL impact to the closed period</li>';
+            html += '<li>The JE posts in the Vendor Bill\'s currency at its exchange rate, so it reverses the expense line exactly</li>';
             html += '</ul>';
             html += '<p style="margin-left: 10px; font-style: italic; font-size: 0.95em;">Optional Follow-Up:</p>';
             html += '<ul style="margin-top: 5px;">';
@@ -845,14 +1790,70 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
 
             html += '</div>';
 
+            // Replay recorded search rows instead of a plain live search
+            var fixtureRows = null;
+            var isReplay = !!params.fixture;
+            if (isReplay) {
+                var fixture = varianceLib.loadFixture(params.fixture, 'irvb');
+                fixtureRows = fixture.rows;
+
+                if (params.fixtureExported === 'T') {
+                    html += '<div class="success-message">';
+                    html += '<strong>✓ Fixture Exported</strong><br />';
+                    html += fixtureRows.length + ' receipt and bill line row(s) saved to file ' + varianceLib.escapeHtml(params.fixture) + ' - replayed below.';
+                    html += '</div>';
+                    if (params.fixtureRowCount) {
+                        html += buildRowCapWarning(parseInt(params.fixtureRowCount, 10), parseInt(params.fixtureTotalRows, 10),
+                            parseInt(params.fixtureUnreadPOs, 10) || 0);
+                    }
+                }
+
+                html += '<div class="info-message">';
+                html += '<strong>ℹ Fixture Replay - Read Only</strong><br />';
+                html += 'Showing the ' + fixtureRows.length + ' search row(s) recorded ' + varianceLib.escapeHtml(fixture.exported) +
+                    ' in file ' + varianceLib.escapeHtml(params.fixture) + ', paired with the current pairing mode and rate strategy. ';
+                html += 'Nothing can be updated from this view. <a href="' + getSuiteletUrl({}) + '">Back to live results</a>';
+                html += '</div>';
+            }
+
             // Get variance data
-            var variancePairs = getVariancePairs();
+            var varianceData = varianceLib.getIRVBVarianceData(null, null, getPairingMode(), getRateStrategy(), fixtureRows, getMaxRows(), getQueryEngine());
+            var variancePairs = varianceData.pairs;
+            var unmatchedLines = varianceData.unmatched;
+
+            if (varianceData.truncated) {
+                html += buildRowCapWarning(varianceData.rowCount, varianceData.totalRows, varianceData.unreadPOs);
+            }
+
+            // Vendors and items on the exclusion list are shown separately and cannot be selected
+            var exclusionResult = varianceLib.applyExclusionRules(variancePairs, varianceLib.getExclusionRules());
+            variancePairs = exclusionResult.included;
+            var excludedVariances = exclusionResult.excluded;
+
+            // Changes awaiting approval are listed on their own and cannot be selected again
+            var pendingApprovals = isReplay ? [] : getPendingApprovals();
+            var pendingKeys = {};
+            pendingApprovals.forEach(function (approval) {
+                pendingKeys[approval.ir_id + '|' + approval.ir_line_id] = true;
+            });
+
+            if (pendingApprovals.length > 0) {
+                html += '<h2 style="margin-top: 30px; color: #c62828;">Awaiting Approval</h2>';
+                html += '<div class="summary-info" style="background: #ffebee; border-left-color: #c62828;">';
+                html += '<strong>Total Awaiting Approval:</strong> ' + pendingApprovals.length + ' line(s)';
+                html += ' <span style="color: #666;">(over the change ceiling - a different user with an approver role must approve before the IR is updated)</span>';
+                html += '</div>';
+                html += buildApprovalTable(pendingApprovals, canApproveChanges());
+            }
 
             // Split into regular variances and queued for closed period adjustment
             var regularVariances = [];
             var queuedVariances = [];
 
             variancePairs.forEach(function(pair) {
+                if (pendingKeys[pair.ir_id + '|' + pair.ir_line_id]) {
+                    return;
+                }
                 if (pair.ir_needs_closed_period_adj) {
                     queuedVariances.push(pair);
                 } else {
@@ -860,7 +1861,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 }
             });
 
-            if (regularVariances.length === 0 && queuedVariances.length === 0) {
+            if (regularVariances.length === 0 && queuedVariances.length === 0 && excludedVariances.length === 0 && unmatchedLines.length === 0) {
                 html += '<div class="info-message">';
                 html += '<strong>ℹ No Variances Found</strong><br />';
                 html += 'All Item Receipt rates match their corresponding Vendor Bill rates.';
@@ -872,7 +1873,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     html += '<div class="summary-info">';
                     html += '<strong>Total Regular Variances:</strong> ' + regularVariances.length + ' line(s)';
                     html += '</div>';
-                    html += buildVarianceTable(regularVariances, 'regular');
+                    html += buildVarianceTable(regularVariances, 'regular', isReplay);
                 } else {
                     html += '<h2 style="margin-top: 30px; color: #1a73e8;">Regular Variances</h2>';
                     html += '<div class="info-message">';
@@ -887,10 +1888,42 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     html += '<div class="summary-info" style="background: #fff3cd; border-left-color: #f57c00;">';
                     html += '<strong>Total Queued Variances:</strong> ' + queuedVariances.length + ' line(s)';
                     html += '</div>';
-                    html += buildVarianceTable(queuedVariances, 'queued');
+                    html += buildVarianceTable(queuedVariances, 'queued', isReplay);
+                }
+
+                // Excluded variances table (informational only)
+                if (excludedVariances.length > 0) {
+                    html += '<h2 style="margin-top: 30px; color: #757575;">Skipped - Excluded by Rule</h2>';
+                    html += '<div class="summary-info" style="background: #eeeeee; border-left-color: #757575;">';
+                    html += '<strong>Total Excluded Variances:</strong> ' + excludedVariances.length + ' line(s)';
+                    html += ' <span style="color: #666;">(vendor or item is on the Variance Exclusion list - IR rates are never updated)</span>';
+                    html += '</div>';
+                    html += buildExcludedTable(excludedVariances);
+                }
+
+                // Unmatched receipts and bills (informational only)
+                if (unmatchedLines.length > 0) {
+                    var unmatchedValue = unmatchedLines.reduce(function (total, line) { return total + line.base_value; }, 0);
+                    html += '<h2 style="margin-top: 30px; color: #6a1b9a;">Unmatched Receipts and Bills</h2>';
+                    html += '<div class="summary-info" style="background: #f3e5f5; border-left-color: #6a1b9a;">';
+                    html += '<strong>Total Unmatched:</strong> ' + unmatchedLines.length + ' line(s), ' + unmatchedValue.toFixed(2) + ' in base currency';
+                    html += ' <span style="color: #666;">(no counterpart after pairing - these sit in Accrued Purchases until received or billed)</span>';
+                    html += '</div>';
+                    html += buildUnmatchedTable(unmatchedLines);
                 }
             }
 
+            // Journaled rate changes that can still be reverted
+            var recentChanges = isReplay ? [] : getRecentRateChanges();
+            if (recentChanges.length > 0) {
+                html += '<h2 style="margin-top: 30px; color: #455a64;">Recent Rate Changes</h2>';
+                html += '<div class="summary-info" style="background: #eceff1; border-left-color: #455a64;">';
+                html += '<strong>Total Recent Changes:</strong> ' + recentChanges.length + ' line(s)';
+                html += ' <span style="color: #666;">(last ' + REVERT_WINDOW_DAYS + ' days - revert restores the original IR rate while the period is open)</span>';
+                html += '</div>';
+                html += buildRateChangeTable(recentChanges);
+            }
+
             html += '</div>';
             html += '<script>' + getJavaScript() + '</script>';
 
@@ -926,9 +1959,9 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         html += '<tbody>';
                         errors.forEach(function (err) {
                             html += '<tr style="border-bottom: 1px solid #f5c6cb;">';
-                            html += '<td style="padding: 8px;"><a href="/app/accounting/transactions/itemrcpt.nl?id=' + err.irId + '" target="_blank">' + escapeHtml(err.irNumber) + '</a></td>';
-                            html += '<td style="padding: 8px;">' + escapeHtml(err.itemName) + '</td>';
-                            html += '<td style="padding: 8px; color: #721c24;">' + escapeHtml(err.error) + '</td>';
+                            html += '<td style="padding: 8px;"><a href="/app/accounting/transactions/itemrcpt.nl?id=' + err.irId + '" target="_blank">' + varianceLib.escapeHtml(err.irNumber) + '</a></td>';
+                            html += '<td style="padding: 8px;">' + varianceLib.escapeHtml(err.itemName) + '</td>';
+                            html += '<td style="padding: 8px; color: #721c24;">' + varianceLib.escapeHtml(err.error) + '</td>';
                             html += '</tr>';
                         });
                         html += '</tbody>';
@@ -966,7 +1999,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         html += '<div style="max-height: 200px; overflow-y: auto; margin-top: 5px;">';
                         html += '<ul style="margin: 0; padding-left: 20px;">';
                         updated.forEach(function (rec) {
-                            html += '<li>' + escapeHtml(rec.irNumber) + ' - ' + escapeHtml(rec.itemName) + ' → $' + parseFloat(rec.newRate).toFixed(2) + '</li>';
+                            html += '<li>' + varianceLib.escapeHtml(rec.irNumber) + ' - ' + varianceLib.escapeHtml(rec.itemName) + ' → ' + varianceLib.escapeHtml(varianceLib.formatCurrency(rec.newRate, rec.currencyCode)) + '</li>';
                         });
                         html += '</ul>';
                         html += '</div>';
@@ -977,6 +2010,57 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 }
             }
 
+            // Show changes routed for approval
+            if (params.awaitingApproval) {
+                try {
+                    var awaiting = JSON.parse(params.awaitingApproval);
+                    html += '<div style="margin-top: 15px; padding: 10px; background: #fff3cd; border-radius: 4px;">';
+                    html += '<strong>⏸ ' + awaiting.length + ' line(s) exceed the change ceiling and are awaiting approval:</strong>';
+                    html += '<ul style="margin: 5px 0 0 0; padding-left: 20px;">';
+                    awaiting.forEach(function (rec) {
+                        html += '<li>' + varianceLib.escapeHtml(rec.irNumber) + ' - ' + varianceLib.escapeHtml(rec.itemName) + ' → ' + varianceLib.escapeHtml(varianceLib.formatCurrency(rec.newRate, rec.currencyCode)) + ' (' + varianceLib.escapeHtml(rec.reason) + ')</li>';
+                    });
+                    html += '</ul>';
+                    html += '</div>';
+                } catch (e) {
+                    log.error('Error Parsing Awaiting Approval Records', e);
+                }
+            }
+
+            // Show IRs another process was updating
+            if (params.inUse) {
+                try {
+                    var busy = JSON.parse(params.inUse);
+                    html += '<div style="margin-top: 15px; padding: 10px; background: #e3f2fd; border-radius: 4px;">';
+                    html += '<strong>⏳ ' + busy.length + ' line(s) were not updated because the Item Receipt is in use - retry later:</strong>';
+                    html += '<ul style="margin: 5px 0 0 0; padding-left: 20px;">';
+                    busy.forEach(function (rec) {
+                        html += '<li>' + varianceLib.escapeHtml(rec.irNumber) + ' - ' + varianceLib.escapeHtml(rec.itemName) + ' (' + varianceLib.escapeHtml(rec.reason) + ')</li>';
+                    });
+                    html += '</ul>';
+                    html += '</div>';
+                } catch (e) {
+                    log.error('Error Parsing In Use Records', e);
+                }
+            }
+
+            // Show lines skipped because their vendor or item is on the exclusion list
+            if (params.excluded) {
+                try {
+                    var skipped = JSON.parse(params.excluded);
+                    html += '<div style="margin-top: 15px; padding: 10px; background: #f5f5f5; border-radius: 4px;">';
+                    html += '<strong>⊘ ' + skipped.length + ' line(s) were skipped - excluded by rule:</strong>';
+                    html += '<ul style="margin: 5px 0 0 0; padding-left: 20px;">';
+                    skipped.forEach(function (rec) {
+                        html += '<li>' + varianceLib.escapeHtml(rec.irNumber) + ' - ' + varianceLib.escapeHtml(rec.itemName) + ' (' + varianceLib.escapeHtml(rec.reason) + ')</li>';
+                    });
+                    html += '</ul>';
+                    html += '</div>';
+                } catch (e) {
+                    log.error('Error Parsing Excluded Records', e);
+                }
+            }
+
             html += '</div>';
             return html;
         }
@@ -985,9 +2069,11 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
    * Builds the variance table HTML
    * @param {Array} variancePairs - Array of variance pair objects
    * @param {string} tableType - Type of table: 'regular' or 'queued'
+   * @param {boolean} [readOnly] - Omit checkboxes and action buttons (fixture replay)
    * @returns {string} HTML table content
    */
-        function buildVarianceTable(variancePairs, tableType) {
+        function buildVarianceTable(variancePairs, tableType, readOnly) {
+            var rateStrategy = getRateStrategy();
             var isQueuedTable = tableType === 'queued';
             var formId = isQueuedTable ? 'queuedForm' : 'varianceForm';
             var selectAllId = isQueuedTable ? 'selectAllQueued' : 'selectAll';
@@ -1014,7 +2100,8 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<th class="rate-cell">IR Rate</th>';
             html += '<th>VB #</th>';
             html += '<th>VB Date</th>';
-            html += '<th>VB Rate</th>';
+            html += '<th>' + (rateStrategy === 'weighted' ? 'Weighted VB Rate' : 'VB Rate') + '</th>';
+            html += '<th class="rate-cell">Matched Qty</th>';
             html += '<th>Variance</th>';
             html += '<th>Actions</th>';
             html += '</tr>';
@@ -1022,67 +2109,85 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<tbody>';
 
             variancePairs.forEach(function (pair) {
-                var variance = pair.vb_rate - pair.ir_rate;
-                var varianceClass = Math.abs(variance) >= 0.01 ? 'has-variance' : '';
+                var variance = pair.variance;
+                var varianceClass = Math.abs(pair.base_variance) >= 0.01 ? 'has-variance' : '';
                 var isPeriodClosed = pair.ir_period_closed;
 
                 var checkboxValue = pair.ir_id + '|' +
                     pair.ir_line_id + '|' +
-                    pair.vb_rate.toFixed(2) + '|' +
+                    pair.ir_new_rate + '|' +
                     pair.ir_number + '|' +
                     pair.item_name + '|' +
-                    pair.item_id;
+                    pair.item_id + '|' +
+                    (pair.po_line_number || '') + '|' +
+                    pair.ir_raw_rate + '|' +
+                    pair.vb_id + '|' +
+                    (pair.currency_code || '');
 
-                html += '<tr' + (isPeriodClosed ? ' class="closed-period-row"' : '') + '>';
+                html += '<tr' + (isPeriodClosed ? ' class="closed-period-row"' : '') +
+                    ' title="' + varianceLib.escapeHtml(pair.rate_calculation) + '">';
 
                 // Checkbox column
-                if (!isQueuedTable) {
+                if (readOnly) {
+                    html += '<td></td>';
+                } else if (!isQueuedTable) {
                     // Regular table - disabled if period is closed
-                    html += '<td><input type="checkbox" class="' + checkboxClass + '" value="' + escapeHtml(checkboxValue) + '"' +
+                    html += '<td><input type="checkbox" class="' + checkboxClass + '" value="' + varianceLib.escapeHtml(checkboxValue) + '"' +
                         (isPeriodClosed ? ' disabled title="Period is closed"' : '') + ' /></td>';
                 } else {
                     // Queued table - no checkbox, just empty cell
                     html += '<td></td>';
                 }
 
-                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + pair.po_id + '" target="_blank">' + escapeHtml(pair.po_number) + '</a></td>';
-                html += '<td>' + formatDate(pair.po_date) + '</td>';
-                html += '<td>' + escapeHtml(pair.vendor_name) + '</td>';
-                html += '<td>' + escapeHtml(pair.item_name) + '</td>';
-                html += '<td><a href="/app/accounting/transactions/itemrcpt.nl?id=' + pair.ir_id + '" target="_blank">' + escapeHtml(pair.ir_number) + '</a></td>';
-                html += '<td>' + formatDate(pair.ir_date) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + pair.po_id + '" target="_blank">' + varianceLib.escapeHtml(pair.po_number) + '</a></td>';
+                html += '<td>' + varianceLib.formatDate(pair.po_date) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.vendor_name) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.item_name) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/itemrcpt.nl?id=' + pair.ir_id + '" target="_blank">' + varianceLib.escapeHtml(pair.ir_number) + '</a></td>';
+                html += '<td>' + varianceLib.formatDate(pair.ir_date) + '</td>';
                 html += '<td><span class="period-status ' + (isPeriodClosed ? 'period-closed' : 'period-open') + '">' +
                     (isPeriodClosed ? '🔒 Closed' : '✓ Open') + '</span></td>';
-                html += '<td class="rate-cell">$' + pair.ir_rate.toFixed(2) + '</td>';
-                html += '<td><a href="/app/accounting/transactions/vendbill.nl?id=' + pair.vb_id + '" target="_blank">' + escapeHtml(pair.vb_number) + '</a></td>';
-                html += '<td>' + formatDate(pair.vb_date) + '</td>';
-                html += '<td class="rate-cell vb-rate">$' + pair.vb_rate.toFixed(2) + '</td>';
-                html += '<td class="variance-cell ' + varianceClass + '">$' + variance.toFixed(2) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.formatUnitRate(pair.ir_raw_rate, pair.ir_unit, pair.ir_conversion_rate, pair.ir_rate, pair.currency_code) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/vendbill.nl?id=' + pair.vb_id + '" target="_blank">' + varianceLib.escapeHtml(pair.vb_number) + '</a></td>';
+                html += '<td>' + varianceLib.formatDate(pair.vb_date) + '</td>';
+                // Weighted rates span several bills, so they are shown in the IR's unit
+                html += '<td class="rate-cell vb-rate">' + (rateStrategy === 'weighted' ?
+                    varianceLib.formatUnitRate(pair.ir_new_rate, pair.ir_unit, pair.ir_conversion_rate, pair.target_rate, pair.currency_code) :
+                    varianceLib.formatUnitRate(pair.vb_raw_rate, pair.vb_unit, pair.vb_conversion_rate, pair.vb_rate, pair.currency_code)) + '</td>';
+                html += '<td class="rate-cell">' + pair.matched_quantity + '</td>';
+                html += '<td class="variance-cell ' + varianceClass + '">' + varianceLib.escapeHtml(varianceLib.formatCurrency(variance, pair.currency_code)) +
+                    buildBaseVarianceNote(pair) + '</td>';
 
                 // Action buttons - different for each table type
                 html += '<td>';
-                if (!isQueuedTable) {
+                if (readOnly) {
+                    // Replayed rows may no longer match the live transactions
+                    html += '<span style="color: #666;">Replay</span>';
+                } else if (!isQueuedTable) {
                     // Regular table: "Queue for Closed Period Adjustment" button (only show if period is closed)
                     if (isPeriodClosed) {
                         html += '<button type="button" class="action-button queue-button" ' +
                             'onclick="queueForClosedPeriodAdjustment(\'' +
-                            escapeHtml(pair.ir_id) + '\',\'' +
-                            escapeHtml(pair.ir_number) + '\',\'' +
-                            escapeHtml(pair.item_name) + '\')">' +
+                            varianceLib.escapeHtml(pair.ir_id) + '\',\'' +
+                            varianceLib.escapeHtml(pair.ir_number) + '\',\'' +
+                            varianceLib.escapeHtml(pair.item_name) + '\')">' +
                             'Queue for Closed Period Adj</button>';
                     }
                 } else {
-                    // Queued table: "Process Closed Period Adjustment" button (disabled if period still closed)
+                    // Queued table: "Process Closed Period Adjustment" button (disabled if period still closed) opens the GL preview
+                    var previewUrl = getSuiteletUrl({
+                        adjustment_preview: 'T',
+                        vb_id: pair.vb_id,
+                        vb_line_id: pair.vb_line_id,
+                        item_id: pair.item_id,
+                        ir_id: pair.ir_id,
+                        ir_line_id: pair.ir_line_id,
+                        vb_number: pair.vb_number,
+                        item_name: pair.item_name
+                    }).replace(/'/g, '%27');
                     html += '<button type="button" class="action-button process-button' + (isPeriodClosed ? ' action-button-disabled' : '') + '"' +
                         (isPeriodClosed ? ' disabled title="Period must be opened first"' : '') +
-                        ' onclick="processClosedPeriodAdjustment(\'' +
-                        escapeHtml(pair.vb_id) + '\',\'' +
-                        escapeHtml(pair.item_id) + '\',\'' +
-                        pair.vb_rate.toFixed(2) + '\',\'' +
-                        pair.ir_rate.toFixed(2) + '\',\'' +
-                        escapeHtml(pair.vb_number) + '\',\'' +
-                        escapeHtml(pair.item_name) + '\',\'' +
-                        escapeHtml(pair.ir_id) + '\')">' +
+                        ' onclick="previewClosedPeriodAdjustment(\'' + varianceLib.escapeHtml(previewUrl) + '\')">' +
                         (isPeriodClosed ? '⏳ Waiting for Period Open' : '✓ Process Adjustment') + '</button>';
                 }
                 html += '</td>';
@@ -1094,7 +2199,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '</table>';
 
             // Submit button only for regular table
-            if (!isQueuedTable) {
+            if (!isQueuedTable && !readOnly) {
                 html += '<div class="button-container">';
                 html += '<button type="button" class="submit-button" onclick="submitVariances()">Update Selected Item Receipts</button>';
                 html += '</div>';
@@ -1106,338 +2211,290 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
         }
 
         /**
-         * Formats a date string
-         * @param {string} dateStr - Date string
-         * @returns {string} Formatted date
+         * Builds the table of rate changes awaiting approval
+         * @param {Array} approvals - Pending approval request objects
+         * @param {boolean} canApprove - Whether the current user's role may approve
+         * @returns {string} HTML table content
          */
-        function formatDate(dateStr) {
-            if (!dateStr) return '';
-            try {
-                var date = new Date(dateStr);
-                var month = ('0' + (date.getMonth() + 1)).slice(-2);
-                var day = ('0' + date.getDate()).slice(-2);
-                var year = date.getFullYear();
-                return month + '/' + day + '/' + year;
-            } catch (e) {
-                return dateStr;
-            }
-        }
+        function buildApprovalTable(approvals, canApprove) {
+            var currentUserId = String(runtime.getCurrentUser().id);
 
-        /**
-         * Gets variance pairs by querying and matching oldest IR to oldest VB
-         * @returns {Array} Array of variance pair objects
-         */
-        function getVariancePairs() {
-            var rawResults = searchIRVBVariances();
-            var poLineGroups = groupByPOLine(rawResults);
-            var variancePairs = createVariancePairs(poLineGroups);
+            var html = '<table class="variance-table">';
+            html += '<thead>';
+            html += '<tr>';
+            html += '<th>IR #</th>';
+            html += '<th>Item</th>';
+            html += '<th>VB #</th>';
+            html += '<th class="rate-cell">Current Rate</th>';
+            html += '<th class="rate-cell">New Rate</th>';
+            html += '<th>Reason</th>';
+            html += '<th>Requested By</th>';
+            html += '<th>Actions</th>';
+            html += '</tr>';
+            html += '</thead>';
+            html += '<tbody>';
+
+            approvals.forEach(function (approval) {
+                var isRequester = approval.requested_by_id && String(approval.requested_by_id) === currentUserId;
+
+                html += '<tr>';
+                html += '<td><a href="/app/accounting/transactions/itemrcpt.nl?id=' + approval.ir_id + '" target="_blank">' + varianceLib.escapeHtml(approval.ir_number) + '</a></td>';
+                html += '<td>' + varianceLib.escapeHtml(approval.item_name) + '</td>';
+                html += '<td>' + (approval.vb_id ? '<a href="/app/accounting/transactions/vendbill.nl?id=' + approval.vb_id + '" target="_blank">' + varianceLib.escapeHtml(approval.vb_number) + '</a>' : '') + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(approval.old_rate, approval.currency_code)) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(approval.new_rate, approval.currency_code)) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(approval.reason) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(approval.requested_by) + '</td>';
+                html += '<td>';
+                if (!canApprove) {
+                    html += '<span style="color: #666;">Approver role required</span>';
+                } else if (isRequester) {
+                    html += '<span style="color: #666;">Requested by you - another approver must decide</span>';
+                } else {
+                    html += '<button type="button" class="action-button process-button" onclick="decideRateChange(\'' +
+                        varianceLib.escapeHtml(approval.id) + '\',\'approve_change\',\'' + varianceLib.escapeHtml(approval.ir_number) + '\')">Approve</button> ';
+                    html += '<button type="button" class="action-button queue-button" onclick="decideRateChange(\'' +
+                        varianceLib.escapeHtml(approval.id) + '\',\'reject_change\',\'' + varianceLib.escapeHtml(approval.ir_number) + '\')">Reject</button>';
+                }
+                html += '</td>';
+                html += '</tr>';
+            });
 
-            log.debug('Variance Pairs Created', 'Total pairs: ' + variancePairs.length);
+            html += '</tbody>';
+            html += '</table>';
 
-            return variancePairs;
+            return html;
         }
 
         /**
-  * Searches for IR/VB rate variances using saved search
-  * @returns {Array} Raw search results
-  */
-        function searchIRVBVariances() {
-            var varianceSearch = search.create({
-                type: search.Type.TRANSACTION,
-                filters: [
-                    ['type', 'anyof', 'PurchOrd'],
-                    'AND',
-                    ['mainline', 'is', 'F'],
-                    'AND',
-                    ['billingtransaction.quantity', 'greaterthan', '0'],
-                    'AND',
-                    ['fulfillingtransaction.quantity', 'greaterthan', '0'],
-                    'AND',
-                    ['formulanumeric: NVL({fulfillingtransaction.rate},0)-NVL({billingtransaction.amount}/{billingtransaction.quantity},0)', 'notequalto', '0']
-                ],
-                columns: [
-                    search.createColumn({ name: 'internalid', label: 'PO ID' }),
-                    search.createColumn({ name: 'tranid', label: 'PO Number' }),
-                    search.createColumn({ name: 'trandate', label: 'PO Date', sort: search.Sort.ASC }),
-                    search.createColumn({ name: 'entity', label: 'Vendor ID' }),
-                    search.createColumn({ name: 'entityid', join: 'vendor', label: 'Vendor Name' }),
-                    search.createColumn({ name: 'altname', join: 'vendor', label: 'Vendor Display Name' }),
-                    search.createColumn({ name: 'lineuniquekey', label: 'PO Line ID' }),
-                    search.createColumn({ name: 'item', label: 'Item ID' }),
-                    search.createColumn({ name: 'itemid', join: 'item', label: 'Item Number' }),
-                    search.createColumn({ name: 'displayname', join: 'item', label: 'Item Name' }),
-                    search.createColumn({ name: 'rate', label: 'PO Rate' }),
-                    // Item Receipt columns
-                    search.createColumn({ name: 'internalid', join: 'fulfillingtransaction', label: 'IR ID' }),
-                    search.createColumn({ name: 'tranid', join: 'fulfillingtransaction', label: 'IR Number' }),
-                    search.createColumn({ name: 'trandate', join: 'fulfillingtransaction', label: 'IR Date' }),
-                    search.createColumn({ name: 'postingperiod', join: 'fulfillingtransaction', label: 'IR Period' }),
-                    search.createColumn({ name: 'lineuniquekey', join: 'fulfillingtransaction', label: 'IR Line ID' }),
-                    search.createColumn({ name: 'quantity', join: 'fulfillingtransaction', label: 'IR Quantity' }),
-                    search.createColumn({ name: 'rate', join: 'fulfillingtransaction', label: 'IR Rate' }),
-                    search.createColumn({ name: 'custbody_ir_needs_closed_period_adj', join: 'fulfillingtransaction', label: 'IR Needs Closed Period Adj' }),
-                    // Vendor Bill columns
-                    search.createColumn({ name: 'internalid', join: 'billingtransaction', label: 'VB ID' }),
-                    search.createColumn({ name: 'tranid', join: 'billingtransaction', label: 'VB Number' }),
-                    search.createColumn({ name: 'trandate', join: 'billingtransaction', label: 'VB Date' }),
-                    search.createColumn({ name: 'lineuniquekey', join: 'billingtransaction', label: 'VB Line ID' }),
-                    search.createColumn({ name: 'quantity', join: 'billingtransaction', label: 'VB Quantity' }),
-                    search.createColumn({ name: 'rate', join: 'billingtransaction', label: 'VB Rate' })
-                ]
+         * Builds the table of journaled rate changes that can be reverted. The first row of each
+         * batch also offers reverting the whole batch.
+         * @param {Array} changes - Rate change objects, newest first
+         * @returns {string} HTML table content
+         */
+        function buildRateChangeTable(changes) {
+            var batches = {};
+            changes.forEach(function (change) {
+                (batches[change.batch] = batches[change.batch] || []).push(change.id);
             });
 
-            var results = [];
-            varianceSearch.run().each(function (result) {
-                var itemName = result.getText({ name: 'item' }) || result.getValue({ name: 'displayname', join: 'item' }) || '';
-                var itemNumber = result.getValue({ name: 'item' }) || '';
-                var vendorName = result.getValue({ name: 'altname', join: 'vendor' }) ||
-                    result.getValue({ name: 'entityid', join: 'vendor' }) ||
-                    result.getText({ name: 'entity' }) ||
-                    'Unknown Vendor';
+            var html = '<table class="variance-table">';
+            html += '<thead>';
+            html += '<tr>';
+            html += '<th>Changed</th>';
+            html += '<th>IR #</th>';
+            html += '<th>Item</th>';
+            html += '<th class="rate-cell">Old Rate</th>';
+            html += '<th class="rate-cell">New Rate</th>';
+            html += '<th>Changed By</th>';
+            html += '<th>Batch</th>';
+            html += '<th>Actions</th>';
+            html += '</tr>';
+            html += '</thead>';
+            html += '<tbody>';
 
-                var periodId = result.getValue({ name: 'postingperiod', join: 'fulfillingtransaction' });
-                var isPeriodClosed = false;
+            var batchShown = {};
+            changes.forEach(function (change) {
+                html += '<tr>';
+                html += '<td>' + varianceLib.escapeHtml(change.changed_date) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/itemrcpt.nl?id=' + change.ir_id + '" target="_blank">' + varianceLib.escapeHtml(change.ir_number) + '</a></td>';
+                html += '<td>' + varianceLib.escapeHtml(change.item_name) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(change.old_rate, change.currency_code)) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(change.new_rate, change.currency_code)) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(change.changed_by) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(change.batch) + '</td>';
+                html += '<td>';
+                html += '<button type="button" class="action-button queue-button" onclick="revertRateChanges(\'' +
+                    varianceLib.escapeHtml(change.id) + '\',\'' + varianceLib.escapeHtml('IR ' + change.ir_number) + '\')">Revert</button>';
+                if (!batchShown[change.batch] && batches[change.batch].length > 1) {
+                    html += ' <button type="button" class="action-button queue-button" onclick="revertRateChanges(\'' +
+                        batches[change.batch].join(',') + '\',\'' + varianceLib.escapeHtml('batch ' + change.batch + ' (' + batches[change.batch].length + ' lines)') + '\')">Revert Batch</button>';
+                }
+                batchShown[change.batch] = true;
+                html += '</td>';
+                html += '</tr>';
+            });
 
-                // Lookup period status if we have a period ID
-                if (periodId) {
-                    try {
-                        var periodLookup = search.lookupFields({
-                            type: search.Type.ACCOUNTING_PERIOD,
-                            id: periodId,
-                            columns: ['periodname', 'closed', 'alllocked', 'aplocked', 'arlocked', 'payrolllocked']
-                        });
+            html += '</tbody>';
+            html += '</table>';
 
-                        // DEBUG: Log what NetSuite actually returns
-                        log.debug('Period Lookup Debug', {
-                            periodId: periodId,
-                            periodName: periodLookup.periodname,
-                            closedValue: periodLookup.closed,
-                            closedType: typeof periodLookup.closed,
-                            closedIsArray: Array.isArray(periodLookup.closed),
-                            alllockedValue: periodLookup.alllocked,
-                            alllockedType: typeof periodLookup.alllocked,
-                            alllockedIsArray: Array.isArray(periodLookup.alllocked),
-                            aplockedValue: periodLookup.aplocked,
-                            arlockedValue: periodLookup.arlocked,
-                            payrolllockedValue: periodLookup.payrolllocked
-                        });
+            return html;
+        }
 
-                        // NetSuite returns checkbox fields as 'T' or 'F' strings, or as arrays [true]/[false]
-                        var isClosed = (periodLookup.closed === 'T' || periodLookup.closed === true ||
-                                       (Array.isArray(periodLookup.closed) && periodLookup.closed[0] === true));
-                        var isAllLocked = (periodLookup.alllocked === 'T' || periodLookup.alllocked === true ||
-                                          (Array.isArray(periodLookup.alllocked) && periodLookup.alllocked[0] === true));
-                        var isAPLocked = (periodLookup.aplocked === 'T' || periodLookup.aplocked === true ||
-                                         (Array.isArray(periodLookup.aplocked) && periodLookup.aplocked[0] === true));
-
-                        // Only check if period is truly closed (not AP/AR locked)
-                        // Administrator with "Override Period Restriction" can bypass AP/AR/Payroll locks
-                        // So we only need to check the main "Closed" checkbox
-                        isPeriodClosed = isClosed;
-
-                        log.debug('Period Status Evaluation', {
-                            periodId: periodId,
-                            periodName: periodLookup.periodname,
-                            isClosed: isClosed,
-                            isAllLocked: isAllLocked,
-                            isAPLocked: isAPLocked,
-                            finalIsPeriodClosed: isPeriodClosed,
-                            note: 'Only checking isClosed - Admin can override AP/AR locks'
-                        });
-                    } catch (e) {
-                        log.error('Period Lookup Error', 'Period ID: ' + periodId + ', Error: ' + e.message);
-                    }
-                }
+        /**
+         * Builds the table of variances skipped by an exclusion rule
+         * @param {Array} variancePairs - Excluded variance pair objects
+         * @returns {string} HTML table content
+         */
+        function buildExcludedTable(variancePairs) {
+            var html = '<table class="variance-table">';
+            html += '<thead>';
+            html += '<tr>';
+            html += '<th>PO #</th>';
+            html += '<th>Vendor</th>';
+            html += '<th>Item</th>';
+            html += '<th>IR #</th>';
+            html += '<th class="rate-cell">IR Rate</th>';
+            html += '<th>VB #</th>';
+            html += '<th>VB Rate</th>';
+            html += '<th>Variance</th>';
+            html += '<th>Rule Reason</th>';
+            html += '<th>Rule Expires</th>';
+            html += '</tr>';
+            html += '</thead>';
+            html += '<tbody>';
 
-                var needsClosedPeriodAdj = result.getValue({ name: 'custbody_ir_needs_closed_period_adj', join: 'fulfillingtransaction' });
-
-                results.push({
-                    po_id: result.getValue({ name: 'internalid' }),
-                    po_number: result.getValue({ name: 'tranid' }),
-                    po_date: result.getValue({ name: 'trandate' }),
-                    vendor_name: vendorName,
-                    po_line_id: result.getValue({ name: 'lineuniquekey' }),
-                    item_id: result.getValue({ name: 'item' }),
-                    item_number: itemNumber,
-                    item_name: itemName,
-                    po_rate: result.getValue({ name: 'rate' }),
-                    ir_id: result.getValue({ name: 'internalid', join: 'fulfillingtransaction' }),
-                    ir_number: result.getValue({ name: 'tranid', join: 'fulfillingtransaction' }),
-                    ir_date: result.getValue({ name: 'trandate', join: 'fulfillingtransaction' }),
-                    ir_period_id: periodId,
-                    ir_period_closed: isPeriodClosed,
-                    ir_needs_closed_period_adj: needsClosedPeriodAdj === 'T' || needsClosedPeriodAdj === true,
-                    ir_line_id: result.getValue({ name: 'lineuniquekey', join: 'fulfillingtransaction' }),
-                    ir_quantity: result.getValue({ name: 'quantity', join: 'fulfillingtransaction' }),
-                    ir_rate: result.getValue({ name: 'rate', join: 'fulfillingtransaction' }),
-                    vb_id: result.getValue({ name: 'internalid', join: 'billingtransaction' }),
-                    vb_number: result.getValue({ name: 'tranid', join: 'billingtransaction' }),
-                    vb_date: result.getValue({ name: 'trandate', join: 'billingtransaction' }),
-                    vb_line_id: result.getValue({ name: 'lineuniquekey', join: 'billingtransaction' }),
-                    vb_quantity: result.getValue({ name: 'quantity', join: 'billingtransaction' }),
-                    vb_rate: result.getValue({ name: 'rate', join: 'billingtransaction' })
-                });
-                return true;
+            variancePairs.forEach(function (pair) {
+                var variance = pair.variance;
+
+                html += '<tr title="' + varianceLib.escapeHtml(pair.rate_calculation) + '">';
+                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + pair.po_id + '" target="_blank">' + varianceLib.escapeHtml(pair.po_number) + '</a></td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.vendor_name) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.item_name) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/itemrcpt.nl?id=' + pair.ir_id + '" target="_blank">' + varianceLib.escapeHtml(pair.ir_number) + '</a></td>';
+                html += '<td class="rate-cell">' + varianceLib.formatUnitRate(pair.ir_raw_rate, pair.ir_unit, pair.ir_conversion_rate, pair.ir_rate, pair.currency_code) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/vendbill.nl?id=' + pair.vb_id + '" target="_blank">' + varianceLib.escapeHtml(pair.vb_number) + '</a></td>';
+                html += '<td class="rate-cell">' + varianceLib.formatUnitRate(pair.ir_new_rate, pair.ir_unit, pair.ir_conversion_rate, pair.target_rate, pair.currency_code) + '</td>';
+                html += '<td class="variance-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(variance, pair.currency_code)) + buildBaseVarianceNote(pair) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.exclusion_reason) + '</td>';
+                html += '<td>' + (pair.exclusion_expiry ? varianceLib.formatDate(pair.exclusion_expiry) : 'Never') + '</td>';
+                html += '</tr>';
             });
 
-            log.debug('Search Results', 'Total rows: ' + results.length);
-            return results;
+            html += '</tbody>';
+            html += '</table>';
+
+            return html;
         }
 
         /**
-         * Groups raw query results by PO Line ID
-         * @param {Array} rawResults - Raw search results
-         * @returns {Object} Grouped results by PO line
+         * Builds the table of receipts and bills left unmatched after pairing
+         * @param {Array} unmatchedLines - Unmatched line objects
+         * @returns {string} HTML table content
          */
-        function groupByPOLine(rawResults) {
-            var groups = {};
-
-            rawResults.forEach(function (row) {
-                var poLineKey = row.po_line_id;
-
-                if (!groups[poLineKey]) {
-                    groups[poLineKey] = {
-                        poInfo: {
-                            po_id: row.po_id,
-                            po_number: row.po_number,
-                            po_date: row.po_date,
-                            vendor_name: row.vendor_name,
-                            item_id: row.item_id,
-                            item_number: row.item_number,
-                            item_name: row.item_name
-                        },
-                        itemReceipts: [],
-                        vendorBills: []
-                    };
-                }
-
-                var irExists = groups[poLineKey].itemReceipts.some(function (ir) {
-                    return ir.ir_line_id === row.ir_line_id;
-                });
-                if (!irExists) {
-                    groups[poLineKey].itemReceipts.push({
-                        ir_id: row.ir_id,
-                        ir_number: row.ir_number,
-                        ir_date: row.ir_date,
-                        ir_period_closed: row.ir_period_closed,
-                        ir_needs_closed_period_adj: row.ir_needs_closed_period_adj,
-                        ir_line_id: row.ir_line_id,
-                        ir_quantity: parseFloat(row.ir_quantity),
-                        ir_rate: parseFloat(row.ir_rate)
-                    });
-                }
+        function buildUnmatchedTable(unmatchedLines) {
+            var html = '<table class="variance-table">';
+            html += '<thead>';
+            html += '<tr>';
+            html += '<th>Type</th>';
+            html += '<th>PO #</th>';
+            html += '<th>Vendor</th>';
+            html += '<th>Item</th>';
+            html += '<th>Transaction</th>';
+            html += '<th>Date</th>';
+            html += '<th class="rate-cell">Quantity</th>';
+            html += '<th class="rate-cell">Rate</th>';
+            html += '<th class="rate-cell">Value</th>';
+            html += '</tr>';
+            html += '</thead>';
+            html += '<tbody>';
 
-                var vbExists = groups[poLineKey].vendorBills.some(function (vb) {
-                    return vb.vb_line_id === row.vb_line_id;
-                });
-                if (!vbExists) {
-                    groups[poLineKey].vendorBills.push({
-                        vb_id: row.vb_id,
-                        vb_number: row.vb_number,
-                        vb_date: row.vb_date,
-                        vb_line_id: row.vb_line_id,
-                        vb_quantity: parseFloat(row.vb_quantity),
-                        vb_rate: parseFloat(row.vb_rate)
-                    });
-                }
+            unmatchedLines.forEach(function (line) {
+                html += '<tr>';
+                html += '<td>' + varianceLib.escapeHtml(line.category) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + line.po_id + '" target="_blank">' + varianceLib.escapeHtml(line.po_number) + '</a></td>';
+                html += '<td>' + varianceLib.escapeHtml(line.vendor_name) + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(line.item_name) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/' + line.tran_type + '.nl?id=' + line.tran_id + '" target="_blank">' + varianceLib.escapeHtml(line.tran_number) + '</a></td>';
+                html += '<td>' + varianceLib.formatDate(line.tran_date) + '</td>';
+                html += '<td class="rate-cell">' + line.quantity + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(line.rate, line.currency_code)) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.escapeHtml(varianceLib.formatCurrency(line.value, line.currency_code)) + '</td>';
+                html += '</tr>';
             });
 
-            log.debug('Grouped by PO Line', 'Total PO lines with variances: ' + Object.keys(groups).length);
-            return groups;
+            html += '</tbody>';
+            html += '</table>';
+
+            return html;
         }
 
         /**
-         * Creates variance pairs by matching oldest IR to oldest VB
-         * @param {Object} poLineGroups - Grouped results
-         * @returns {Array} Array of variance pair objects
+         * Gets the variance query engine from the deployment
+         * @returns {string} 'search' (joined transaction search, default) or 'suiteql' (NextTransactionLineLink)
          */
-        function createVariancePairs(poLineGroups) {
-            var pairs = [];
+        function getQueryEngine() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_ir_vb_sl_query_engine' }) || 'search';
+        }
 
-            Object.keys(poLineGroups).forEach(function (poLineKey) {
-                var group = poLineGroups[poLineKey];
+        /**
+         * Gets the search row cap from the deployment
+         * @returns {number} Maximum variance search rows to read (0 for no cap)
+         */
+        function getMaxRows() {
+            return parseInt(runtime.getCurrentScript().getParameter({ name: 'custscript_ir_vb_sl_max_rows' }), 10) || 0;
+        }
 
-                group.itemReceipts.sort(function (a, b) {
-                    return new Date(a.ir_date) - new Date(b.ir_date);
-                });
-                group.vendorBills.sort(function (a, b) {
-                    return new Date(a.vb_date) - new Date(b.vb_date);
-                });
+        /**
+         * Builds the warning shown when the deployment row cap stopped the variance, open PO line or
+         * receipt and bill line searches early
+         * @param {number} rowCount - Search rows read, all searches together
+         * @param {number} totalRows - Search rows found by the searches that ran
+         * @param {number} [unreadPOs] - POs whose receipt and bill lines were not read at all
+         * @returns {string} HTML content
+         */
+        function buildRowCapWarning(rowCount, totalRows, unreadPOs) {
+            var html = '<div class="warning-message">';
+            html += '<strong>⚠ Results Capped</strong><br />';
+            html += 'Only ' + rowCount + ' of ' + (unreadPOs ? 'at least ' : '') + totalRows + ' search rows were read (row cap on this deployment)';
+            html += unreadPOs ? ', and the receipt and bill lines of ' + unreadPOs + ' PO(s) were not read. ' : '. ';
+            html += 'Variances and unmatched lines on the rows not read are not listed. ';
+            html += 'Narrow the search or raise the cap to see everything.';
+            html += '</div>';
+            return html;
+        }
 
-                var maxPairs = Math.max(group.itemReceipts.length, group.vendorBills.length);
-
-                for (var i = 0; i < maxPairs; i++) {
-                    var ir = group.itemReceipts[i];
-                    var vb = group.vendorBills[i];
-
-                    if (ir && vb) {
-                        var variance = vb.vb_rate - ir.ir_rate;
-
-                        if (Math.abs(variance) >= 0.01) {
-                            pairs.push({
-                                po_id: group.poInfo.po_id,
-                                po_number: group.poInfo.po_number,
-                                po_date: group.poInfo.po_date,
-                                vendor_name: group.poInfo.vendor_name,
-                                item_id: group.poInfo.item_id,
-                                item_number: group.poInfo.item_number,
-                                item_name: group.poInfo.item_name,
-                                ir_id: ir.ir_id,
-                                ir_number: ir.ir_number,
-                                ir_date: ir.ir_date,
-                                ir_period_closed: ir.ir_period_closed,
-                                ir_needs_closed_period_adj: ir.ir_needs_closed_period_adj,
-                                ir_line_id: ir.ir_line_id,
-                                ir_quantity: ir.ir_quantity,
-                                ir_rate: ir.ir_rate,
-                                vb_id: vb.vb_id,
-                                vb_number: vb.vb_number,
-                                vb_date: vb.vb_date,
-                                vb_line_id: vb.vb_line_id,
-                                vb_quantity: vb.vb_quantity,
-                                vb_rate: vb.vb_rate
-                            });
-                        }
-                    }
-                }
+        /**
+         * Gets the File Cabinet folder fixtures are exported to from the deployment
+         * @returns {string|null} Folder internal ID
+         */
+        function getFixtureFolder() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_ir_vb_sl_fixture_folder' }) || null;
+        }
+
+        /**
+         * Builds a link back to this Suitelet deployment
+         * @param {Object} urlParams - URL parameters to add
+         * @returns {string} Relative URL
+         */
+        function getSuiteletUrl(urlParams) {
+            var scriptObj = runtime.getCurrentScript();
+            var link = '/app/site/hosting/scriptlet.nl?script=' + encodeURIComponent(scriptObj.id) +
+                '&deploy=' + encodeURIComponent(scriptObj.deploymentId);
+
+            Object.keys(urlParams).forEach(function (key) {
+                link += '&' + key + '=' + encodeURIComponent(urlParams[key]);
             });
 
-            return pairs;
+            return link;
         }
 
         /**
-         * Formats a date string
-         * @param {string} dateStr - Date string
-         * @returns {string} Formatted date
+         * Gets how receipts are paired with bills from the deployment
+         * @returns {string} 'index' (i-th IR with i-th VB, default) or 'fifo' (by quantity)
          */
-        function formatDate(dateStr) {
-            if (!dateStr) return '';
-            try {
-                var date = new Date(dateStr);
-                var month = ('0' + (date.getMonth() + 1)).slice(-2);
-                var day = ('0' + date.getDate()).slice(-2);
-                var year = date.getFullYear();
-                return month + '/' + day + '/' + year;
-            } catch (e) {
-                return dateStr;
-            }
+        function getPairingMode() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_ir_vb_sl_pairing_mode' }) || 'index';
         }
 
         /**
-         * Escapes HTML special characters
-         * @param {string} text - Text to escape
-         * @returns {string} Escaped text
+         * Gets the rate IR lines are updated to from the deployment
+         * @returns {string} 'single' (paired VB rate, default) or 'weighted' (quantity-weighted bill rate)
          */
-        function escapeHtml(text) {
-            if (!text) return '';
-            var map = {
-                '&': '&amp;',
-                '<': '&lt;',
-                '>': '&gt;',
-                '"': '&quot;',
-                "'": '&#039;'
-            };
-            return text.toString().replace(/[&<>"']/g, function (m) { return map[m]; });
+        function getRateStrategy() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_ir_vb_sl_rate_strategy' }) || 'single';
+        }
+
+        /**
+         * Builds the base currency equivalent shown under a foreign currency variance
+         * @param {Object} pair - Variance pair
+         * @returns {string} HTML content (empty for base currency pairs)
+         */
+        function buildBaseVarianceNote(pair) {
+            if (pair.ir_exchange_rate === 1) {
+                return '';
+            }
+            return '<br /><span class="base-variance" title="IR exchange rate ' + pair.ir_exchange_rate + '">Base: ' + pair.base_variance.toFixed(2) + '</span>';
         }
 
         /**
@@ -1572,6 +2629,15 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             margin-bottom: 20px;
         }
         
+        .warning-message {
+            background: #fff3cd;
+            border: 1px solid #ffeeba;
+            color: #856404;
+            padding: 15px;
+            border-radius: 8px;
+            margin-bottom: 20px;
+        }
+        
         .variance-table {
             width: 100%;
             border-collapse: collapse;
@@ -1627,6 +2693,12 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             text-decoration: underline;
         }
         
+        .base-variance {
+            font-size: 11px;
+            font-weight: normal;
+            color: #666;
+        }
+
         .rate-cell {
             text-align: right;
             font-family: Arial, sans-serif;
@@ -1786,7 +2858,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             
             var confirmMessage = 'Update ' + checkboxes.length + ' Item Receipt line(s) with Vendor Bill rates?\\n\\n';
             confirmMessage += 'This will change the Item Receipt rate to match the Vendor Bill rate.\\n';
-            confirmMessage += 'This action cannot be undone.\\n\\n';
+            confirmMessage += 'Changes can be reverted from "Recent Rate Changes" while the period is open.\\n\\n';
             confirmMessage += 'Continue?';
             
             if (!confirm(confirmMessage)) {
@@ -1833,7 +2905,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             confirmMsg += 'This will mark the IR for special processing.\\n';
             confirmMsg += 'You will then need to:\\n';
             confirmMsg += '1. Have the period temporarily opened\\n';
-            confirmMsg += '2. Process the adjustment (with no net GL impact)\\n';
+            confirmMsg += '2. Preview and post the adjustment\\n';
             confirmMsg += '3. Close the period again\\n\\n';
             confirmMsg += 'Continue?';
 
@@ -1864,20 +2936,63 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             form.submit();
         }
 
-        function processClosedPeriodAdjustment(vbId, itemId, vbRate, irRate, vbNumber, itemName, irId) {
-            var confirmMsg = 'Process Closed Period Adjustment?\\n\\n';
-            confirmMsg += 'VB: ' + vbNumber + '\\n';
-            confirmMsg += 'Item: ' + itemName + '\\n';
-            confirmMsg += 'Current VB Rate: $' + parseFloat(vbRate).toFixed(2) + '\\n';
-            confirmMsg += 'IR Rate (target): $' + parseFloat(irRate).toFixed(2) + '\\n';
-            confirmMsg += 'Adjustment: $' + (parseFloat(vbRate) - parseFloat(irRate)).toFixed(2) + '\\n\\n';
-            confirmMsg += 'This will:\\n';
-            confirmMsg += '1. Update VB item rate to match IR\\n';
-            confirmMsg += '2. Add expense line to Accrued Purchases\\n';
-            confirmMsg += '3. Create offsetting JE\\n';
-            confirmMsg += '4. Remove this variance from the report\\n\\n';
-            confirmMsg += 'No net GL impact will occur.\\n\\n';
-            confirmMsg += 'Continue?';
+        function previewClosedPeriodAdjustment(previewUrl) {
+            // The preview page shows the VB and JE lines and posts them only when approved
+            window.location.href = previewUrl;
+        }
+
+        function decideRateChange(approvalId, action, irNumber) {
+            var confirmMsg = (action === 'approve_change' ? 'Approve' : 'Reject') + ' this rate change?\\n\\n';
+            confirmMsg += 'IR: ' + irNumber + '\\n\\n';
+            confirmMsg += action === 'approve_change' ?
+                'The Item Receipt line will be updated to the new rate.' :
+                'The Item Receipt line will be left unchanged.';
+
+            if (!confirm(confirmMsg)) {
+                return;
+            }
+
+            var form = document.createElement('form');
+            form.method = 'POST';
+            form.style.display = 'none';
+
+            var inputs = {
+                action: action,
+                approval_id: approvalId,
+                ir_number: irNumber
+            };
+
+            for (var key in inputs) {
+                var input = document.createElement('input');
+                input.type = 'hidden';
+                input.name = key;
+                input.value = inputs[key];
+                form.appendChild(input);
+            }
+
+            document.body.appendChild(form);
+            form.submit();
+        }
+
+        function exportFixture() {
+            var form = document.createElement('form');
+            form.method = 'POST';
+            form.style.display = 'none';
+
+            var input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = 'action';
+            input.value = 'export_fixture';
+            form.appendChild(input);
+
+            document.body.appendChild(form);
+            form.submit();
+        }
+
+        function revertRateChanges(changeIds, label) {
+            var confirmMsg = 'Revert ' + label + '?\\n\\n';
+            confirmMsg += 'The Item Receipt line(s) will be restored to their original rate. ';
+            confirmMsg += 'Lines in a closed period or changed again since are left as they are.';
 
             if (!confirm(confirmMsg)) {
                 return;
@@ -1888,14 +3003,9 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             form.style.display = 'none';
 
             var inputs = {
-                action: 'process_closed_period_adjustment',
-                vb_id: vbId,
-                item_id: itemId,
-                vb_rate: vbRate,
-                ir_rate: irRate,
-                vb_number: vbNumber,
-                item_name: itemName,
-                ir_id: irId
+                action: 'revert_change',
+                change_ids: changeIds,
+                revert_label: label
             };
 
             for (var key in inputs) {
@@ -0,0 +1,466 @@
+/**
+ * @NApiVersion 2.1
+ * @NScriptType MapReduceScript
+ * @NModuleScope SameAccount
+ */
+define(['N/record', 'N/log', 'N/runtime', './vendor_bill_variance_lib'],
+    /**
+     * @param {record} record
+     * @param {log} log
+     * @param {runtime} runtime
+     * @param {Object} varianceLib - Shared variance engine (vendor_bill_variance_lib.js)
+     */
+    function (record, log, runtime, varianceLib) {
+
+        // Fixed thresholds
+        var MIN_VARIANCE = 0.01;
+
+        /**
+         * Returns the IR/VB variance pairs to process, limited to the deployment's vendors, subsidiaries,
+         * locations and dates like the scheduled script. Pairs excluded by rule are flagged
+         * rather than dropped so the reduce stage reports them as skipped.
+         * @returns {Array} Array of variance pair objects
+         */
+        function getInputData() {
+            log.audit('Script Start', 'Item Receipt Variance Update - Map/Reduce');
+
+            var scriptObj = runtime.getCurrentScript();
+
+            // Same pairing settings as the scheduled script: 'index' or 'fifo', 'single' or 'weighted', 'search' or 'suiteql'
+            var pairingMode = scriptObj.getParameter({ name: 'custscript_ir_vb_mr_pairing_mode' }) || 'index';
+            var rateStrategy = scriptObj.getParameter({ name: 'custscript_ir_vb_mr_rate_strategy' }) || 'single';
+            var queryEngine = scriptObj.getParameter({ name: 'custscript_ir_vb_mr_query_engine' }) || 'search';
+
+            // Limit the search to this deployment's vendors, subsidiaries, locations and dates
+            var scope = varianceLib.getScopeParameters('custscript_ir_vb_mr_');
+
+            log.audit('Scope', scope);
+            log.audit('Pairing Mode', pairingMode);
+            log.audit('Rate Strategy', rateStrategy);
+            log.audit('Query Engine', queryEngine);
+
+            var variancePairs = varianceLib.getIRVBVarianceData(MIN_VARIANCE, scope, pairingMode, rateStrategy, null, 0, queryEngine).pairs;
+
+            // Vendors and items on the exclusion list are reported as skipped-by-rule, never updated
+            var exclusionResult = varianceLib.applyExclusionRules(variancePairs, varianceLib.getExclusionRules());
+            exclusionResult.excluded.forEach(function (pair) {
+                pair.excluded = true;
+            });
+
+            // Journal every change of this run under one batch so it can be reverted as a whole
+            var changeBatch = 'Map/Reduce ' + new Date().toISOString();
+            variancePairs.forEach(function (pair) {
+                pair.change_batch = changeBatch;
+            });
+
+            log.audit('Variances Found', 'Total: ' + variancePairs.length + ', excluded by rule: ' + exclusionResult.excluded.length);
+
+            return variancePairs;
+        }
+
+        /**
+         * Keys each variance pair by its Item Receipt so that every IR is loaded
+         * and saved by exactly one reduce invocation
+         * @param {Object} context
+         */
+        function map(context) {
+            var pair = JSON.parse(context.value);
+
+            context.write({
+                key: pair.ir_id,
+                value: pair
+            });
+        }
+
+        /**
+         * Updates all variance lines of one Item Receipt with a single load/save
+         * @param {Object} context
+         */
+        function reduce(context) {
+            var irId = context.key;
+            var pairs = context.values.map(function (value) {
+                return JSON.parse(value);
+            });
+
+            log.debug('Processing Item Receipt', {
+                irId: irId,
+                irNumber: pairs[0].ir_number,
+                lineCount: pairs.length
+            });
+
+            var pendingPairs = [];
+
+            // Excluded pairs are reported, never applied
+            pairs = pairs.filter(function (pair) {
+                return !isExcluded(context, pair);
+            });
+
+            if (pairs.length === 0) {
+                return;
+            }
+
+            // Another update of this IR is in progress - leave it for the next run
+            var lock = varianceLib.acquireItemReceiptLock(irId, 'Map/Reduce (' + runtime.getCurrentScript().deploymentId + ')');
+            if (!lock.lockId) {
+                pairs.forEach(function (pair) {
+                    context.write({
+                        key: 'inUse',
+                        value: {
+                            irNumber: pair.ir_number,
+                            irId: pair.ir_id,
+                            itemName: pair.item_name,
+                            vbNumber: pair.vb_number,
+                            oldRate: pair.ir_raw_rate,
+                            newRate: pair.ir_new_rate,
+                            reason: 'In use by ' + lock.heldBy + ' - retry later'
+                        }
+                    });
+                });
+
+                log.audit('IR Skipped - In Use', {
+                    irId: irId,
+                    heldBy: lock.heldBy,
+                    since: lock.since
+                });
+                return;
+            }
+
+            try {
+                var irRecord = record.load({
+                    type: record.Type.ITEM_RECEIPT,
+                    id: irId,
+                    isDynamic: false
+                });
+
+                var exchangeRate = parseFloat(irRecord.getValue({ fieldId: 'exchangerate' })) || 1;
+
+                // Apply every rate before saving - a missing or ambiguous line only fails its own pair
+                pairs.forEach(function (pair) {
+                    try {
+                        // Check the change against the rate on the IR now, not the rate the search saw
+                        var line = varianceLib.findItemReceiptLine(irRecord, irId, pair.ir_line_id, pair.po_line_number, pair.item_id);
+                        var currentRate = parseFloat(irRecord.getSublistValue({ sublistId: 'item', fieldId: 'rate', line: line })) || 0;
+                        if (needsApproval(context, pair, currentRate, exchangeRate)) {
+                            return;
+                        }
+
+                        pair.changed_line = varianceLib.setItemReceiptLineRate(irRecord, irId, pair.ir_line_id, pair.po_line_number, pair.item_id, pair.ir_new_rate);
+                        pendingPairs.push(pair);
+                    } catch (e) {
+                        writeError(context, pair, e);
+                    }
+                });
+
+                if (pendingPairs.length === 0) {
+                    return;
+                }
+
+                irRecord.save({
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                });
+
+                pendingPairs.forEach(function (pair) {
+                    varianceLib.writeRateChangeJournal({
+                        irId: irId,
+                        lineKey: pair.changed_line.lineKey,
+                        itemId: pair.item_id,
+                        oldRate: pair.changed_line.oldRate,
+                        newRate: pair.changed_line.newRate
+                    }, {
+                        source: 'Map/Reduce',
+                        batch: pair.change_batch
+                    });
+
+                    context.write({
+                        key: 'updated',
+                        value: {
+                            irNumber: pair.ir_number,
+                            irId: pair.ir_id,
+                            itemName: pair.item_name,
+                            oldRate: pair.ir_raw_rate,
+                            newRate: pair.ir_new_rate,
+                            variance: pair.ir_new_rate - pair.ir_raw_rate,
+                            vbNumber: pair.vb_number
+                        }
+                    });
+                });
+
+                log.audit('IR Updated', {
+                    irId: irId,
+                    irNumber: pairs[0].ir_number,
+                    linesUpdated: pendingPairs.length
+                });
+
+            } catch (e) {
+                // Load or save failed - the outcome applies to every pair not already reported
+                var unreported = pendingPairs.length > 0 ? pendingPairs : pairs;
+                unreported.forEach(function (pair) {
+                    writeError(context, pair, e);
+                });
+            } finally {
+                varianceLib.releaseItemReceiptLock(lock.lockId);
+            }
+        }
+
+        /**
+         * Writes a pair excluded by rule to the reduce output
+         * @param {Object} context - Reduce context
+         * @param {Object} pair - Variance pair
+         * @returns {boolean} True if the pair is excluded
+         */
+        function isExcluded(context, pair) {
+            if (!pair.excluded) {
+                return false;
+            }
+
+            context.write({
+                key: 'excluded',
+                value: {
+                    irNumber: pair.ir_number,
+                    irId: pair.ir_id,
+                    itemName: pair.item_name,
+                    vbNumber: pair.vb_number,
+                    oldRate: pair.ir_raw_rate,
+                    newRate: pair.ir_new_rate,
+                    variance: pair.ir_new_rate - pair.ir_raw_rate,
+                    reason: 'Excluded by rule' + (pair.exclusion_reason ? ': ' + pair.exclusion_reason : '')
+                }
+            });
+            return true;
+        }
+
+        /**
+         * Checks a change against the ceilings and, when it is above one, routes it to the Suitelet's
+         * approval queue and writes it to the reduce output
+         * @param {Object} context - Reduce context
+         * @param {Object} pair - Variance pair
+         * @param {number} currentRate - Rate on the loaded IR line
+         * @param {number} exchangeRate - Exchange rate of the loaded IR
+         * @returns {boolean} True if the change needs approval
+         */
+        function needsApproval(context, pair, currentRate, exchangeRate) {
+            var scriptObj = runtime.getCurrentScript();
+            var ceilings = varianceLib.getChangeCeilings(
+                scriptObj.getParameter({ name: 'custscript_ir_vb_mr_max_change_amount' }),
+                scriptObj.getParameter({ name: 'custscript_ir_vb_mr_max_change_pct' })
+            );
+
+            var ceilingReason = varianceLib.getChangeCeilingReason(currentRate, pair.ir_new_rate, ceilings, exchangeRate);
+            if (!ceilingReason) {
+                return false;
+            }
+
+            var approval = varianceLib.createApprovalRequest({
+                irId: pair.ir_id,
+                irLineId: pair.ir_line_id,
+                poLineNumber: pair.po_line_number,
+                itemId: pair.item_id,
+                vbId: pair.vb_id,
+                oldRate: currentRate,
+                newRate: pair.ir_new_rate
+            }, ceilingReason);
+
+            var entry = {
+                irNumber: pair.ir_number,
+                irId: pair.ir_id,
+                itemName: pair.item_name,
+                vbNumber: pair.vb_number,
+                oldRate: currentRate,
+                newRate: pair.ir_new_rate,
+                variance: pair.ir_new_rate - currentRate,
+                approvalId: approval.id,
+                reason: ceilingReason + (approval.status === varianceLib.APPROVAL_STATUS.REJECTED ? ' (previously rejected)' : '')
+            };
+            context.write({ key: 'awaitingApproval', value: entry });
+
+            log.audit('IR Awaiting Approval', {
+                irNumber: pair.ir_number,
+                itemName: pair.item_name,
+                reason: ceilingReason
+            });
+            return true;
+        }
+
+        /**
+         * Writes a failed pair to the reduce output, separating closed period
+         * failures (expected) from actual errors
+         * @param {Object} context - Reduce context
+         * @param {Object} pair - Variance pair
+         * @param {Error} e - Error thrown while updating
+         */
+        function writeError(context, pair, e) {
+            var errorMessage = e.message || e.toString();
+
+            // Check if this is a closed period error (expected behavior)
+            if (errorMessage.indexOf('closed period') !== -1) {
+                context.write({
+                    key: 'closedPeriod',
+                    value: {
+                        irNumber: pair.ir_number,
+                        irId: pair.ir_id,
+                        itemName: pair.item_name,
+                        vbNumber: pair.vb_number,
+                        oldRate: pair.ir_raw_rate,
+                        newRate: pair.ir_new_rate,
+                        variance: pair.ir_new_rate - pair.ir_raw_rate,
+                        reason: 'Period is closed'
+                    }
+                });
+
+                log.audit('IR Skipped - Closed Period', {
+                    irNumber: pair.ir_number,
+                    itemName: pair.item_name,
+                    oldRate: pair.ir_raw_rate,
+                    newRate: pair.ir_new_rate,
+                    variance: pair.ir_new_rate - pair.ir_raw_rate
+                });
+                return;
+            }
+
+            // Simplify error message for other cases
+            if (errorMessage.indexOf('No lines found') !== -1) {
+                errorMessage = 'Item not found on Item Receipt';
+            } else if (errorMessage.indexOf('Multiple lines found') !== -1) {
+                errorMessage = 'Item is on more than one IR line - cannot match the Vendor Bill line';
+            } else if (errorMessage.indexOf('governance') !== -1 || errorMessage.indexOf('Usage Limit') !== -1) {
+                errorMessage = 'Script usage limit exceeded';
+            }
+
+            context.write({
+                key: 'error',
+                value: {
+                    irNumber: pair.ir_number,
+                    irId: pair.ir_id,
+                    itemName: pair.item_name,
+                    vbNumber: pair.vb_number,
+                    error: errorMessage,
+                    fullError: e.message || e.toString()
+                }
+            });
+
+            log.error('IR Update Failed', {
+                irNumber: pair.ir_number,
+                itemName: pair.item_name,
+                error: errorMessage,
+                fullError: e.message || e.toString()
+            });
+        }
+
+        /**
+         * Builds the run totals from the reduce output and logs them
+         * @param {Object} summary
+         */
+        function summarize(summary) {
+            var results = {
+                totalFound: 0,
+                successCount: 0,
+                errorCount: 0,
+                closedPeriodCount: 0,
+                excludedCount: 0,
+                awaitingApprovalCount: 0,
+                inUseCount: 0,
+                errors: [],
+                updated: [],
+                closedPeriod: [],
+                excluded: [],
+                awaitingApproval: [],
+                inUse: []
+            };
+
+            if (summary.inputSummary.error) {
+                log.error('Input Error', summary.inputSummary.error);
+            }
+
+            summary.mapSummary.keys.iterator().each(function () {
+                results.totalFound++;
+                return true;
+            });
+
+            summary.output.iterator().each(function (key, value) {
+                var entry = JSON.parse(value);
+
+                if (key === 'updated') {
+                    results.successCount++;
+                    results.updated.push(entry);
+                } else if (key === 'closedPeriod') {
+                    results.closedPeriodCount++;
+                    results.closedPeriod.push(entry);
+                } else if (key === 'excluded') {
+                    results.excludedCount++;
+                    results.excluded.push(entry);
+                } else if (key === 'awaitingApproval') {
+                    results.awaitingApprovalCount++;
+                    results.awaitingApproval.push(entry);
+                } else if (key === 'inUse') {
+                    results.inUseCount++;
+                    results.inUse.push(entry);
+                } else {
+                    results.errorCount++;
+                    results.errors.push(entry);
+                }
+                return true;
+            });
+
+            // Uncaught reduce failures (e.g. governance) are reported by IR
+            summary.reduceSummary.errors.iterator().each(function (key, error) {
+                results.errorCount++;
+                results.errors.push({
+                    irId: key,
+                    error: 'Reduce stage failed',
+                    fullError: error
+                });
+                return true;
+            });
+
+            // Log final summary
+            log.audit('Script Complete', {
+                totalFound: results.totalFound,
+                successful: results.successCount,
+                closedPeriod: results.closedPeriodCount,
+                failed: results.errorCount,
+                excluded: results.excludedCount,
+                awaitingApproval: results.awaitingApprovalCount,
+                inUse: results.inUseCount,
+                usageUnits: summary.usage,
+                yields: summary.yields
+            });
+
+            // Log successful updates detail
+            if (results.updated.length > 0) {
+                log.audit('Successfully Updated', JSON.stringify(results.updated));
+            }
+
+            // Log closed period records (expected - not errors)
+            if (results.closedPeriod.length > 0) {
+                log.audit('Skipped - Closed Period', JSON.stringify(results.closedPeriod));
+            }
+
+            // Log actual errors detail (unexpected issues)
+            if (results.errors.length > 0) {
+                log.audit('Failed Updates', JSON.stringify(results.errors));
+            }
+
+            // Log pairs excluded by rule
+            if (results.excluded.length > 0) {
+                log.audit('Skipped - Excluded by Rule', JSON.stringify(results.excluded));
+            }
+
+            // Log changes routed for approval
+            if (results.awaitingApproval.length > 0) {
+                log.audit('Skipped - Awaiting Approval', JSON.stringify(results.awaitingApproval));
+            }
+
+            // Log IRs another process was updating
+            if (results.inUse.length > 0) {
+                log.audit('Skipped - In Use', JSON.stringify(results.inUse));
+            }
+        }
+
+        return {
+            getInputData: getInputData,
+            map: map,
+            reduce: reduce,
+            summarize: summarize
+        };
+    });
@@ -3,14 +3,32 @@
  * @NScriptType ScheduledScript
  * @NModuleScope SameAccount
  */
-define(['N/search', 'N/record', 'N/log', 'N/runtime'],
+define(['N/record', 'N/log', 'N/runtime', 'N/email', 'N/url', 'N/task', './vendor_bill_variance_lib'],
     /**
-     * @param {search} search
      * @param {record} record
      * @param {log} log
      * @param {runtime} runtime
+     * @param {email} email
+     * @param {url} url
+     * @param {task} task
+     * @param {Object} varianceLib - Shared variance engine (vendor_bill_variance_lib.js)
      */
-    function (search, record, log, runtime) {
+    function (record, log, runtime, email, url, task, varianceLib) {
+
+        // Usage units kept free for the run log written after processing
+        var GOVERNANCE_RESERVE = 100;
+        var RUN_LINE_USAGE = 4;
+
+        // Worst case usage units of one pair: IR lock (create and save 6, lookup of a taken lock 10,
+        // stale lock delete 4 and retry 6, release 4), IR load and save (30), closed period flag
+        // submitFields (10) and the journal entry (6)
+        var PAIR_USAGE = 76;
+
+        // Usage units left free once deferred pairs have their run lines - the summary line and email
+        var DEFERRED_LINE_FLOOR = 50;
+
+        // Checkpoint parameter: PO line unique key after which a rescheduled run resumes
+        var RESUME_PARAM = 'custscript_ir_vb_resume_after_po_line';
 
         /**
       * Executes the scheduled script
@@ -25,7 +43,49 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
             // Fixed thresholds
             var MIN_VARIANCE = 0.01;
 
+            // How receipts are paired with bills: 'index' (i-th IR with i-th VB) or 'fifo' (by quantity)
+            var pairingMode = scriptObj.getParameter({ name: 'custscript_ir_vb_pairing_mode' }) || 'index';
+
+            // Rate the IR is updated to: 'single' (paired VB rate) or 'weighted' (quantity-weighted bill rate)
+            var rateStrategy = scriptObj.getParameter({ name: 'custscript_ir_vb_rate_strategy' }) || 'single';
+
+            // Variance query: 'search' (joined transaction search) or 'suiteql' (NextTransactionLineLink)
+            var queryEngine = scriptObj.getParameter({ name: 'custscript_ir_vb_query_engine' }) || 'search';
+
+            // Replay: pair the search rows recorded in this fixture file instead of running the live search
+            var fixtureFileId = scriptObj.getParameter({ name: 'custscript_ir_vb_fixture_file' }) || null;
+
+            // Export: save this run's raw search rows as a fixture in this File Cabinet folder
+            var fixtureFolderId = scriptObj.getParameter({ name: 'custscript_ir_vb_fixture_folder' }) || null;
+
+            // Dry run: report what would change without saving any Item Receipt - always on when replaying
+            var dryRun = scriptObj.getParameter({ name: 'custscript_ir_vb_dry_run' }) === true || !!fixtureFileId;
+
+            if (dryRun) {
+                log.audit('Dry Run', 'No Item Receipts will be saved');
+            }
+
+            // Flag closed period IRs for the Suitelet's "Queued for Closed Period Adjustment" table
+            var autoQueueClosedPeriod = scriptObj.getParameter({ name: 'custscript_ir_vb_auto_queue_closed' }) === true;
+            var queuedIRs = {};
+
+            var resumeAfterPOLine = scriptObj.getParameter({ name: RESUME_PARAM }) || null;
+
+            // Changes above these ceilings wait for approval in the Suitelet instead of being applied
+            var ceilings = varianceLib.getChangeCeilings(
+                scriptObj.getParameter({ name: 'custscript_ir_vb_max_change_amount' }),
+                scriptObj.getParameter({ name: 'custscript_ir_vb_max_change_pct' })
+            );
+
+            // Every saved rate change is journaled under this batch so the run can be reverted as a whole
+            var journal = {
+                source: 'Scheduled Script',
+                batch: 'Scheduled ' + new Date().toISOString()
+            };
+            var lockHolder = 'Scheduled Script (' + scriptObj.deploymentId + ')';
+
             var results = {
+                dryRun: dryRun,
                 totalFound: 0,
                 processed: 0,
                 successCount: 0,
@@ -34,66 +94,240 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
                 errors: [],
                 updated: [],
                 closedPeriod: [],
-                skipped: []
+                excluded: [],
+                awaitingApproval: [],
+                inUse: [],
+                unmatched: [],
+                skipped: [],
+                deferred: [],
+                skippedCount: 0,
+                resumedAfterPOLine: resumeAfterPOLine,
+                rescheduledAfterPOLine: null,
+                fixtureReplayed: fixtureFileId,
+                fixtureExported: null
             };
 
             try {
-                // Get variance pairs
-                var variancePairs = getVariancePairs(MIN_VARIANCE);
+                // Limit the search to this deployment's vendors, subsidiaries, locations and dates
+                var scope = varianceLib.getScopeParameters('custscript_ir_vb_');
+                log.audit('Scope', scope);
+                log.audit('Pairing Mode', pairingMode);
+                log.audit('Rate Strategy', rateStrategy);
+                log.audit('Query Engine', queryEngine);
+
+                // Recorded rows to replay, or this run's rows to record (first execution only, not on resume)
+                var fixtureRows = null;
+                if (fixtureFileId) {
+                    fixtureRows = varianceLib.loadFixture(fixtureFileId, 'irvb').rows;
+                    log.audit('Replaying Fixture', 'File ' + fixtureFileId + ' - live search not run, no Item Receipts will be saved');
+                } else if (fixtureFolderId && !resumeAfterPOLine) {
+                    fixtureRows = varianceLib.searchIRVBLines(scope, 0, queryEngine).rows;
+                    try {
+                        results.fixtureExported = varianceLib.saveFixture('irvb', fixtureRows, fixtureFolderId, {
+                            scope: scope,
+                            pairingMode: pairingMode,
+                            rateStrategy: rateStrategy,
+                            queryEngine: queryEngine
+                        });
+                    } catch (e) {
+                        log.error('Fixture Export Failed', e.message || e.toString());
+                    }
+                }
+
+                // Get variance pairs in PO line order so the checkpoint is a simple cursor
+                var varianceData = varianceLib.getIRVBVarianceData(MIN_VARIANCE, scope, pairingMode, rateStrategy, fixtureRows, 0, queryEngine);
+                var variancePairs = varianceData.pairs.sort(function (a, b) {
+                    return parseInt(a.po_line_id, 10) - parseInt(b.po_line_id, 10);
+                });
+
+                // Receipts and bills left over after pairing (Accrued Purchases) - reported only
+                results.unmatched = varianceData.unmatched;
+
+                if (resumeAfterPOLine) {
+                    variancePairs = variancePairs.filter(function (pair) {
+                        return parseInt(pair.po_line_id, 10) > parseInt(resumeAfterPOLine, 10);
+                    });
+                    results.unmatched = results.unmatched.filter(function (line) {
+                        return parseInt(line.po_line_id, 10) > parseInt(resumeAfterPOLine, 10);
+                    });
+                    log.audit('Resuming From Checkpoint', 'After PO line ' + resumeAfterPOLine);
+                }
+
                 results.totalFound = variancePairs.length;
 
                 log.audit('Variances Found', 'Total: ' + variancePairs.length);
+                log.audit('Unmatched Lines Found', 'Total: ' + results.unmatched.length);
+
+                // Vendors and items on the exclusion list are reported as skipped-by-rule, never updated
+                var exclusionResult = varianceLib.applyExclusionRules(variancePairs, varianceLib.getExclusionRules());
+                variancePairs = exclusionResult.included;
+
+                exclusionResult.excluded.forEach(function (pair) {
+                    results.skippedCount++;
+                    results.excluded.push({
+                        irNumber: pair.ir_number,
+                        irId: pair.ir_id,
+                        itemId: pair.item_id,
+                        itemName: pair.item_name,
+                        vbNumber: pair.vb_number,
+                        vbId: pair.vb_id,
+                        currencyCode: pair.currency_code,
+                        oldRate: pair.ir_raw_rate,
+                        newRate: pair.ir_new_rate,
+                        variance: pair.ir_new_rate - pair.ir_raw_rate,
+                        reason: 'Excluded by rule' + (pair.exclusion_reason ? ': ' + pair.exclusion_reason : '')
+                    });
+                });
 
                 if (variancePairs.length === 0) {
                     log.audit('No Variances', 'No IR/VB rate variances found');
+                    var noVarianceRunId = saveRunRecord(results, initialUnits - scriptObj.getRemainingUsage());
+                    sendRunSummaryEmail(results, initialUnits - scriptObj.getRemainingUsage(), noVarianceRunId);
                     return;
                 }
 
                 log.audit('Processing Records', 'Processing ' + variancePairs.length + ' variances');
 
-                // Process each variance
-                variancePairs.forEach(function (pair) {
-                    // Check governance
-                    var remainingUsage = scriptObj.getRemainingUsage();
-                    if (remainingUsage < 100) {
-                        log.audit('Governance Limit', 'Stopping - only ' + remainingUsage + ' units remaining');
-                        results.skipped.push({
-                            reason: 'Governance limit reached',
-                            count: variancePairs.length - results.processed
-                        });
-                        return; // Exit forEach
-                    }
-
-                    results.processed++;
-
+                /**
+                 * Updates one variance pair and records the outcome on results
+                 * @param {Object} pair - Variance pair
+                 */
+                var processPair = function (pair) {
                     try {
                         log.debug('Processing Variance', {
                             irNumber: pair.ir_number,
                             itemName: pair.item_name,
-                            oldRate: pair.ir_rate,
-                            newRate: pair.vb_rate,
-                            variance: pair.vb_rate - pair.ir_rate
+                            oldRate: pair.ir_raw_rate,
+                            newRate: pair.ir_new_rate,
+                            variance: pair.ir_new_rate - pair.ir_raw_rate,
+                            rateCalculation: pair.rate_calculation
                         });
 
-                        // Update the IR line rate
-                        updateItemReceiptLineRate(pair.ir_id, pair.ir_line_id, pair.item_id, pair.vb_rate);
+                        // Another update of this IR is in progress - leave it for the next run
+                        var lock = dryRun ? null : varianceLib.acquireItemReceiptLock(pair.ir_id, lockHolder);
+                        if (lock && !lock.lockId) {
+                            results.skippedCount++;
+                            results.inUse.push({
+                                irNumber: pair.ir_number,
+                                irId: pair.ir_id,
+                                itemId: pair.item_id,
+                                itemName: pair.item_name,
+                                vbNumber: pair.vb_number,
+                                vbId: pair.vb_id,
+                                currencyCode: pair.currency_code,
+                                oldRate: pair.ir_raw_rate,
+                                newRate: pair.ir_new_rate,
+                                variance: pair.ir_new_rate - pair.ir_raw_rate,
+                                reason: 'In use by ' + lock.heldBy + ' - retry later'
+                            });
+
+                            log.audit('IR Skipped - In Use', {
+                                irNumber: pair.ir_number,
+                                heldBy: lock.heldBy,
+                                since: lock.since
+                            });
+                            return;
+                        }
+
+                        var changedLines;
+                        try {
+                            // Check the change against the rate and exchange rate on the IR now, not at search time
+                            var irLine = varianceLib.loadItemReceiptLine(pair.ir_id, pair.ir_line_id, pair.po_line_number, pair.item_id);
+
+                            // Large changes are routed for approval instead of being applied
+                            var ceilingReason = varianceLib.getChangeCeilingReason(irLine.rate, pair.ir_new_rate, ceilings, irLine.exchangeRate);
+                            if (ceilingReason) {
+                                var approval = dryRun ? null : varianceLib.createApprovalRequest({
+                                    irId: pair.ir_id,
+                                    irLineId: pair.ir_line_id,
+                                    poLineNumber: pair.po_line_number,
+                                    itemId: pair.item_id,
+                                    vbId: pair.vb_id,
+                                    oldRate: irLine.rate,
+                                    newRate: pair.ir_new_rate
+                                }, ceilingReason);
+
+                                results.skippedCount++;
+                                results.awaitingApproval.push({
+                                    irNumber: pair.ir_number,
+                                    irId: pair.ir_id,
+                                    itemId: pair.item_id,
+                                    itemName: pair.item_name,
+                                    vbNumber: pair.vb_number,
+                                    vbId: pair.vb_id,
+                                    currencyCode: pair.currency_code,
+                                    oldRate: irLine.rate,
+                                    newRate: pair.ir_new_rate,
+                                    variance: pair.ir_new_rate - irLine.rate,
+                                    approvalId: approval ? approval.id : null,
+                                    reason: ceilingReason + (approval && approval.status === varianceLib.APPROVAL_STATUS.REJECTED ? ' (previously rejected)' : '')
+                                });
+
+                                log.audit('IR Awaiting Approval', {
+                                    irNumber: pair.ir_number,
+                                    itemName: pair.item_name,
+                                    reason: ceilingReason
+                                });
+                                return;
+                            }
+
+                            // A dry run never saves, so NetSuite never rejects a closed period - report it from the search
+                            if (dryRun && pair.ir_period_closed) {
+                                results.closedPeriodCount++;
+                                results.closedPeriod.push({
+                                    irNumber: pair.ir_number,
+                                    irId: pair.ir_id,
+                                    itemId: pair.item_id,
+                                    itemName: pair.item_name,
+                                    vbNumber: pair.vb_number,
+                                    vbId: pair.vb_id,
+                                    currencyCode: pair.currency_code,
+                                    oldRate: irLine.rate,
+                                    newRate: pair.ir_new_rate,
+                                    variance: pair.ir_new_rate - irLine.rate,
+                                    queued: false,
+                                    reason: 'Period is closed' + (autoQueueClosedPeriod ? ' - would be queued for closed period adjustment' : '')
+                                });
+
+                                log.audit('IR Would Be Skipped - Closed Period (Dry Run)', {
+                                    irNumber: pair.ir_number,
+                                    itemName: pair.item_name,
+                                    oldRate: irLine.rate,
+                                    newRate: pair.ir_new_rate
+                                });
+                                return;
+                            }
+
+                            // Update the IR line rate
+                            changedLines = varianceLib.saveItemReceiptLineRate(irLine, pair.ir_new_rate, dryRun, journal);
+                        } finally {
+                            if (lock) {
+                                varianceLib.releaseItemReceiptLock(lock.lockId);
+                            }
+                        }
 
                         results.successCount++;
                         results.updated.push({
                             irNumber: pair.ir_number,
                             irId: pair.ir_id,
+                            itemId: pair.item_id,
                             itemName: pair.item_name,
-                            oldRate: pair.ir_rate,
-                            newRate: pair.vb_rate,
-                            variance: pair.vb_rate - pair.ir_rate,
-                            vbNumber: pair.vb_number
+                            oldRate: irLine.rate,
+                            newRate: pair.ir_new_rate,
+                            variance: pair.ir_new_rate - irLine.rate,
+                            vbNumber: pair.vb_number,
+                            vbId: pair.vb_id,
+                            currencyCode: pair.currency_code,
+                            matchedQuantity: pair.matched_quantity,
+                            lines: changedLines
                         });
 
-                        log.audit('IR Updated', {
+                        log.audit(dryRun ? 'IR Would Be Updated (Dry Run)' : 'IR Updated', {
                             irNumber: pair.ir_number,
                             itemName: pair.item_name,
-                            oldRate: pair.ir_rate,
-                            newRate: pair.vb_rate
+                            oldRate: irLine.rate,
+                            newRate: pair.ir_new_rate,
+                            lines: changedLines
                         });
 
                     } catch (e) {
@@ -101,24 +335,45 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
 
                         // Check if this is a closed period error (expected behavior)
                         if (errorMessage.indexOf('closed period') !== -1) {
+                            var reason = 'Period is closed';
+
+                            if (autoQueueClosedPeriod) {
+                                try {
+                                    if (!queuedIRs[pair.ir_id]) {
+                                        varianceLib.updateIRClosedPeriodFlag(pair.ir_id, true);
+                                        queuedIRs[pair.ir_id] = true;
+                                    }
+                                    reason = 'Period is closed - queued for closed period adjustment';
+                                } catch (queueError) {
+                                    log.error('Queue Closed Period Adjustment Failed', {
+                                        irNumber: pair.ir_number,
+                                        error: queueError.message || queueError.toString()
+                                    });
+                                }
+                            }
+
                             results.closedPeriodCount++;
                             results.closedPeriod.push({
                                 irNumber: pair.ir_number,
                                 irId: pair.ir_id,
+                                itemId: pair.item_id,
                                 itemName: pair.item_name,
                                 vbNumber: pair.vb_number,
-                                oldRate: pair.ir_rate,
-                                newRate: pair.vb_rate,
-                                variance: pair.vb_rate - pair.ir_rate,
-                                reason: 'Period is closed'
+                                vbId: pair.vb_id,
+                                currencyCode: pair.currency_code,
+                                oldRate: pair.ir_raw_rate,
+                                newRate: pair.ir_new_rate,
+                                variance: pair.ir_new_rate - pair.ir_raw_rate,
+                                queued: !!queuedIRs[pair.ir_id],
+                                reason: reason
                             });
 
                             log.audit('IR Skipped - Closed Period', {
                                 irNumber: pair.ir_number,
                                 itemName: pair.item_name,
-                                oldRate: pair.ir_rate,
-                                newRate: pair.vb_rate,
-                                variance: pair.vb_rate - pair.ir_rate
+                                oldRate: pair.ir_raw_rate,
+                                newRate: pair.ir_new_rate,
+                                variance: pair.ir_new_rate - pair.ir_raw_rate
                             });
 
                         } else {
@@ -128,6 +383,8 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
                             // Simplify error message for other cases
                             if (errorMessage.indexOf('No lines found') !== -1) {
                                 errorMessage = 'Item not found on Item Receipt';
+                            } else if (errorMessage.indexOf('Multiple lines found') !== -1) {
+                                errorMessage = 'Item is on more than one IR line - cannot match the Vendor Bill line';
                             } else if (errorMessage.indexOf('governance') !== -1 || errorMessage.indexOf('Usage Limit') !== -1) {
                                 errorMessage = 'Script usage limit exceeded';
                             }
@@ -135,8 +392,13 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
                             results.errors.push({
                                 irNumber: pair.ir_number,
                                 irId: pair.ir_id,
+                                itemId: pair.item_id,
                                 itemName: pair.item_name,
                                 vbNumber: pair.vb_number,
+                                vbId: pair.vb_id,
+                                currencyCode: pair.currency_code,
+                                oldRate: pair.ir_raw_rate,
+                                newRate: pair.ir_new_rate,
                                 error: errorMessage,
                                 fullError: e.message || e.toString()
                             });
@@ -149,25 +411,92 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
                             });
                         }
                     }
+                };
+
+                // Last PO line whose pairs have all been processed - the checkpoint cursor
+                var lastCompletedPOLine = resumeAfterPOLine;
+
+                // Process each variance, stopping early when governance runs low
+                var governanceRemaining = 0;
+                var stoppedForGovernance = variancePairs.some(function (pair, index) {
+                    // Check governance - leave room for this pair and one run line per processed or excluded pair
+                    var remainingUsage = scriptObj.getRemainingUsage();
+                    if (remainingUsage < GOVERNANCE_RESERVE + PAIR_USAGE + (results.processed + 1 + results.excluded.length) * RUN_LINE_USAGE) {
+                        log.audit('Governance Limit', 'Stopping - only ' + remainingUsage + ' units remaining');
+                        governanceRemaining = variancePairs.length - index;
+                        results.skippedCount += governanceRemaining;
+                        results.skipped.push({
+                            reason: 'Governance limit reached',
+                            count: variancePairs.length - index,
+                            resumeAfterPOLine: lastCompletedPOLine
+                        });
+                        results.deferred = variancePairs.slice(index).map(function (deferredPair) {
+                            return {
+                                irNumber: deferredPair.ir_number,
+                                irId: deferredPair.ir_id,
+                                itemId: deferredPair.item_id,
+                                itemName: deferredPair.item_name,
+                                vbNumber: deferredPair.vb_number,
+                                vbId: deferredPair.vb_id,
+                                currencyCode: deferredPair.currency_code,
+                                oldRate: deferredPair.ir_raw_rate,
+                                newRate: deferredPair.ir_new_rate,
+                                variance: deferredPair.ir_new_rate - deferredPair.ir_raw_rate,
+                                reason: 'Governance limit reached'
+                            };
+                        });
+                        return true; // Exit loop
+                    }
+
+                    results.processed++;
+                    processPair(pair);
+
+                    var nextPair = variancePairs[index + 1];
+                    if (!nextPair || nextPair.po_line_id !== pair.po_line_id) {
+                        lastCompletedPOLine = pair.po_line_id;
+                    }
+                    return false;
                 });
 
+                // Hand the remaining backlog to a new execution of this deployment
+                if (stoppedForGovernance) {
+                    if (lastCompletedPOLine && lastCompletedPOLine !== resumeAfterPOLine) {
+                        rescheduleFromCheckpoint(lastCompletedPOLine, governanceRemaining, results);
+                    } else {
+                        log.error('Reschedule Skipped', 'No PO line completed in this execution - not rescheduling to avoid a loop');
+                    }
+
+                    results.deferred.forEach(function (entry) {
+                        entry.reason += results.rescheduledAfterPOLine ?
+                            ' - left to the next execution (after PO line ' + results.rescheduledAfterPOLine + ')' :
+                            ' - not rescheduled, left to the next scheduled run';
+                    });
+                }
+
                 // Calculate usage
                 var usedUnits = initialUnits - scriptObj.getRemainingUsage();
 
                 // Log final summary
                 log.audit('Script Complete', {
+                    dryRun: dryRun,
                     totalFound: results.totalFound,
                     processed: results.processed,
                     successful: results.successCount,
                     closedPeriod: results.closedPeriodCount,
                     failed: results.errorCount,
-                    skippedCount: results.skipped.length,
+                    skippedCount: results.skippedCount,
+                    awaitingApproval: results.awaitingApproval.length,
+                    inUse: results.inUse.length,
+                    unmatched: results.unmatched.length,
+                    rescheduledAfterPOLine: results.rescheduledAfterPOLine,
+                    fixtureReplayed: results.fixtureReplayed,
+                    fixtureExported: results.fixtureExported,
                     usageUnits: usedUnits
                 });
 
                 // Log successful updates detail
                 if (results.updated.length > 0) {
-                    log.audit('Successfully Updated', JSON.stringify(results.updated));
+                    log.audit(dryRun ? 'Would Be Updated (Dry Run)' : 'Successfully Updated', JSON.stringify(results.updated));
                 }
 
                 // Log closed period records (expected - not errors)
@@ -180,11 +509,34 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
                     log.audit('Failed Updates', JSON.stringify(results.errors));
                 }
 
+                // Log pairs excluded by rule
+                if (results.excluded.length > 0) {
+                    log.audit('Skipped - Excluded by Rule', JSON.stringify(results.excluded));
+                }
+
+                // Log changes routed for approval
+                if (results.awaitingApproval.length > 0) {
+                    log.audit('Skipped - Awaiting Approval', JSON.stringify(results.awaitingApproval));
+                }
+
+                // Log IRs another process was updating
+                if (results.inUse.length > 0) {
+                    log.audit('Skipped - In Use', JSON.stringify(results.inUse));
+                }
+
+                // Log receipts and bills left unmatched after pairing
+                if (results.unmatched.length > 0) {
+                    log.audit('Unmatched Receipts and Bills', JSON.stringify(results.unmatched));
+                }
+
                 // Log skipped detail
                 if (results.skipped.length > 0) {
                     log.audit('Skipped Records', JSON.stringify(results.skipped));
                 }
 
+                var runId = saveRunRecord(results, usedUnits);
+                sendRunSummaryEmail(results, usedUnits, runId);
+
             } catch (e) {
                 log.error('Script Error', {
                     error: e.message || e.toString(),
@@ -195,294 +547,342 @@ define(['N/search', 'N/record', 'N/log', 'N/runtime'],
         }
 
         /**
-         * Updates a specific line on an Item Receipt with new rate
-         * @param {string} irId - Item Receipt internal ID
-         * @param {string} irLineId - IR Line unique ID
-         * @param {string} itemId - Item internal ID
-         * @param {number} newRate - New rate from vendor bill
+         * Re-submits this deployment with the checkpoint cursor so the next execution
+         * continues with the PO lines after it
+         * @param {string} lastCompletedPOLine - PO line unique key of the last fully processed line
+         * @param {number} remainingCount - Pairs left unprocessed by this execution
+         * @param {Object} results - Results object built by execute
          */
-        function updateItemReceiptLineRate(irId, irLineId, itemId, newRate) {
-            log.debug('Updating IR Line', {
-                irId: irId,
-                itemId: itemId,
-                newRate: newRate
-            });
+        function rescheduleFromCheckpoint(lastCompletedPOLine, remainingCount, results) {
+            var scriptObj = runtime.getCurrentScript();
+            var params = {};
+            params[RESUME_PARAM] = lastCompletedPOLine;
 
-            // Load the Item Receipt in standard mode
-            var irRecord = record.load({
-                type: record.Type.ITEM_RECEIPT,
-                id: irId,
-                isDynamic: false
-            });
+            try {
+                var taskId = task.create({
+                    taskType: task.TaskType.SCHEDULED_SCRIPT,
+                    scriptId: scriptObj.id,
+                    deploymentId: scriptObj.deploymentId,
+                    params: params
+                }).submit();
+
+                results.rescheduledAfterPOLine = lastCompletedPOLine;
+
+                log.audit('Rescheduled', {
+                    taskId: taskId,
+                    resumeAfterPOLine: lastCompletedPOLine,
+                    remaining: remainingCount
+                });
 
-            // Find all matching lines by item ID and update them
-            var lineCount = irRecord.getLineCount({ sublistId: 'item' });
-            var linesUpdated = 0;
+            } catch (e) {
+                log.error('Reschedule Failed', {
+                    resumeAfterPOLine: lastCompletedPOLine,
+                    error: e.message || e.toString()
+                });
+            }
+        }
 
-            for (var i = 0; i < lineCount; i++) {
-                var currentItem = irRecord.getSublistValue({
-                    sublistId: 'item',
-                    fieldId: 'item',
-                    line: i
+        /**
+         * Saves the run totals as a Variance Run record with one child line per processed pair.
+         * Failures are logged but never fail the run itself.
+         * @param {Object} results - Results object built by execute
+         * @param {number} usageUnits - Usage units consumed by the run
+         * @returns {string|null} Variance Run internal ID
+         */
+        function saveRunRecord(results, usageUnits) {
+            try {
+                var runRecord = record.create({
+                    type: 'customrecord_vb_variance_run',
+                    isDynamic: false
                 });
 
-                // Match by item ID - update all instances of this item
-                if (currentItem && currentItem.toString() === itemId.toString()) {
-                    var oldRate = irRecord.getSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'rate',
-                        line: i
-                    });
+                runRecord.setValue({ fieldId: 'name', value: 'IR/VB Variance Run ' + new Date().toISOString() });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_run_date', value: new Date() });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_dry_run', value: !!results.dryRun });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_total_found', value: results.totalFound });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_processed', value: results.processed });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_success_count', value: results.successCount });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_closed_period_count', value: results.closedPeriodCount });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_error_count', value: results.errorCount });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_skipped_count', value: results.skippedCount });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_unmatched_count', value: results.unmatched.length });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_awaiting_approval_count', value: results.awaitingApproval.length });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_resumed_after', value: results.resumedAfterPOLine || '' });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_checkpoint', value: results.rescheduledAfterPOLine || '' });
+                runRecord.setValue({ fieldId: 'custrecord_vbvr_usage_units', value: usageUnits });
+
+                var runId = runRecord.save({
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                });
 
-                    // Update the rate
-                    irRecord.setSublistValue({
-                        sublistId: 'item',
-                        fieldId: 'rate',
-                        line: i,
-                        value: parseFloat(newRate)
+                var outcomes = [
+                    { entries: results.updated, outcome: results.dryRun ? 'Dry Run' : 'Updated' },
+                    { entries: results.closedPeriod, outcome: 'Closed Period' },
+                    { entries: results.errors, outcome: 'Error' },
+                    { entries: results.excluded, outcome: 'Skipped - Excluded' },
+                    { entries: results.awaitingApproval, outcome: 'Skipped - Awaiting Approval' },
+                    { entries: results.inUse, outcome: 'Skipped - In Use' }
+                ];
+
+                var lineCount = 0;
+                outcomes.forEach(function (group) {
+                    group.entries.forEach(function (entry) {
+                        saveRunLineRecord(runId, entry, group.outcome);
+                        lineCount++;
                     });
+                });
 
-                    linesUpdated++;
-                    log.debug('Line Updated', {
-                        line: i,
-                        item: currentItem,
-                        oldRate: oldRate,
-                        newRate: newRate
-                    });
+                // The run stopped for governance, so deferred pairs get a line each only while usage lasts
+                var scriptObj = runtime.getCurrentScript();
+                var deferredWritten = 0;
+                results.deferred.some(function (entry) {
+                    if (scriptObj.getRemainingUsage() < DEFERRED_LINE_FLOOR + 2 * RUN_LINE_USAGE) {
+                        return true;
+                    }
+                    saveRunLineRecord(runId, entry, 'Deferred');
+                    deferredWritten++;
+                    return false;
+                });
+
+                if (deferredWritten < results.deferred.length) {
+                    saveRunLineRecord(runId, {
+                        irId: '',
+                        vbId: '',
+                        itemId: '',
+                        oldRate: '',
+                        newRate: '',
+                        reason: (results.deferred.length - deferredWritten) + ' more pair(s) deferred - ' +
+                            results.deferred[deferredWritten].reason
+                    }, 'Deferred');
+                    deferredWritten++;
                 }
+
+                log.audit('Variance Run Saved', {
+                    runId: runId,
+                    lines: lineCount + deferredWritten
+                });
+
+                return runId;
+
+            } catch (e) {
+                log.error('Variance Run Save Failed', e.message || e.toString());
+                return null;
             }
+        }
 
-            if (linesUpdated === 0) {
-                throw new Error('No lines found with Item ID ' + itemId + ' on IR ' + irId);
+        /**
+         * Emails the run summary to the recipients configured on the deployment.
+         * Failures are logged but never fail the run itself.
+         * @param {Object} results - Results object built by execute
+         * @param {number} usageUnits - Usage units consumed by the run
+         * @param {string|null} runId - Variance Run internal ID, if it was saved
+         */
+        function sendRunSummaryEmail(results, usageUnits, runId) {
+            var scriptObj = runtime.getCurrentScript();
+            var recipients = (scriptObj.getParameter({ name: 'custscript_ir_vb_email_recipients' }) || '')
+                .split(/[,;\s]+/)
+                .filter(function (recipient) { return recipient; });
+            var issuesOnly = scriptObj.getParameter({ name: 'custscript_ir_vb_email_issues_only' }) === true;
+            var author = scriptObj.getParameter({ name: 'custscript_ir_vb_email_author' });
+
+            if (recipients.length === 0 || !author) {
+                log.debug('Summary Email Skipped', 'No recipients or author configured');
+                return;
             }
 
-            // Save the record
-            var savedId = irRecord.save({
-                enableSourcing: false,
-                ignoreMandatoryFields: true
-            });
+            if (issuesOnly && results.errorCount === 0 && results.closedPeriodCount === 0 && results.awaitingApproval.length === 0) {
+                log.debug('Summary Email Skipped', 'No errors, closed period items or changes awaiting approval');
+                return;
+            }
 
-            log.audit('IR Updated Successfully', {
-                irId: savedId,
-                itemId: itemId,
-                linesUpdated: linesUpdated,
-                newRate: newRate
-            });
+            try {
+                var subject = 'IR/VB Variance Update' + (results.dryRun ? ' (Dry Run)' : '') + ': ' +
+                    results.successCount + ' updated, ' +
+                    results.closedPeriodCount + ' closed period, ' +
+                    results.awaitingApproval.length + ' awaiting approval, ' +
+                    results.errorCount + ' failed';
+
+                email.send({
+                    author: author,
+                    recipients: recipients,
+                    subject: subject,
+                    body: buildSummaryEmailHTML(results, usageUnits, runId)
+                });
 
-            return savedId;
+                log.audit('Summary Email Sent', {
+                    recipients: recipients.join(', '),
+                    subject: subject
+                });
+
+            } catch (e) {
+                log.error('Summary Email Failed', e.message || e.toString());
+            }
         }
 
         /**
-         * Gets variance pairs by querying and matching oldest IR to oldest VB
-         * @param {number} minVariance - Minimum variance to include (default 0.01)
-         * @returns {Array} Array of variance pair objects
+         * Builds the HTML body of the run summary email
+         * @param {Object} results - Results object built by execute
+         * @param {number} usageUnits - Usage units consumed by the run
+         * @param {string|null} runId - Variance Run internal ID, if it was saved
+         * @returns {string} HTML content
          */
-        function getVariancePairs(minVariance) {
-            var rawResults = searchIRVBVariances();
-            var poLineGroups = groupByPOLine(rawResults);
-            var variancePairs = createVariancePairs(poLineGroups, minVariance);
+        function buildSummaryEmailHTML(results, usageUnits, runId) {
+            var baseUrl = 'https://' + url.resolveDomain({ hostType: url.HostType.APPLICATION });
+            var cellStyle = 'padding: 6px 10px; border: 1px solid #ddd; text-align: left;';
+
+            var html = '<div style="font-family: Arial, sans-serif; font-size: 14px;">';
+            html += '<h2 style="color: #1a73e8;">Item Receipt Variance Update' + (results.dryRun ? ' - Dry Run' : '') + '</h2>';
+
+            if (results.dryRun) {
+                html += '<p><strong>Dry run:</strong> no Item Receipts were saved. "Updated" lists the lines that would have changed.</p>';
+            }
+
+            if (results.fixtureReplayed) {
+                html += '<p><strong>Fixture replay:</strong> search rows were read from <a href="' + baseUrl + '/core/media/previewmedia.nl?id=' + results.fixtureReplayed + '">file ' + results.fixtureReplayed + '</a> instead of the live search.</p>';
+            } else if (results.fixtureExported) {
+                html += '<p><strong>Fixture:</strong> this run\'s search rows were saved to <a href="' + baseUrl + '/core/media/previewmedia.nl?id=' + results.fixtureExported + '">file ' + results.fixtureExported + '</a> for replay.</p>';
+            }
+
+            html += '<table style="border-collapse: collapse; margin-bottom: 20px;">';
+            html += '<tr><td style="' + cellStyle + '">Variances Found</td><td style="' + cellStyle + '">' + results.totalFound + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Updated</td><td style="' + cellStyle + '">' + results.successCount + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Closed Period</td><td style="' + cellStyle + '">' + results.closedPeriodCount + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Failed</td><td style="' + cellStyle + '">' + results.errorCount + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Awaiting Approval</td><td style="' + cellStyle + '">' + results.awaitingApproval.length + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">In Use - Retry Later</td><td style="' + cellStyle + '">' + results.inUse.length + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Skipped</td><td style="' + cellStyle + '">' + results.skippedCount + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Unmatched Receipts/Bills</td><td style="' + cellStyle + '">' + results.unmatched.length + '</td></tr>';
+            html += '<tr><td style="' + cellStyle + '">Usage Units</td><td style="' + cellStyle + '">' + usageUnits + '</td></tr>';
+            html += '</table>';
+
+            if (runId) {
+                html += '<p><a href="' + baseUrl + '/app/common/custom/custrecordentry.nl?rectype=customrecord_vb_variance_run&id=' + runId + '">View Variance Run record</a></p>';
+            }
 
-            log.debug('Variance Pairs Created', 'Total pairs: ' + variancePairs.length);
+            html += buildSummaryEmailTable('Failed Updates', results.errors, 'error', baseUrl);
+            html += buildSummaryEmailTable('Skipped - Closed Period', results.closedPeriod, 'reason', baseUrl);
+            html += buildSummaryEmailTable('Awaiting Approval', results.awaitingApproval, 'reason', baseUrl);
+            html += buildSummaryEmailTable('Skipped - In Use', results.inUse, 'reason', baseUrl);
+            html += buildSummaryEmailTable('Skipped - Excluded by Rule', results.excluded, 'reason', baseUrl);
+            html += buildUnmatchedEmailTable(results.unmatched, baseUrl);
+            html += buildSummaryEmailTable(results.dryRun ? 'Would Be Updated (Dry Run)' : 'Successfully Updated', results.updated, null, baseUrl);
 
-            return variancePairs;
+            html += '</div>';
+            return html;
         }
 
         /**
-         * Searches for IR/VB rate variances
-         * @returns {Array} Raw search results
+         * Builds one results table of the run summary email
+         * @param {string} title - Table heading
+         * @param {Array} entries - Entries from results.updated, results.closedPeriod, results.errors, results.excluded or results.awaitingApproval
+         * @param {string|null} messageField - Entry field shown in a trailing column, if any
+         * @param {string} baseUrl - Account base URL for record links
+         * @returns {string} HTML content
          */
-        function searchIRVBVariances() {
-            var varianceSearch = search.create({
-                type: search.Type.TRANSACTION,
-                filters: [
-                    ['type', 'anyof', 'PurchOrd'],
-                    'AND',
-                    ['mainline', 'is', 'F'],
-                    'AND',
-                    ['billingtransaction.quantity', 'greaterthan', '0'],
-                    'AND',
-                    ['fulfillingtransaction.quantity', 'greaterthan', '0'],
-                    'AND',
-                    ['formulanumeric: NVL({fulfillingtransaction.rate},0)-NVL({billingtransaction.amount}/{billingtransaction.quantity},0)', 'notequalto', '0']
-                ],
-                columns: [
-                    search.createColumn({ name: 'internalid', label: 'PO ID' }),
-                    search.createColumn({ name: 'tranid', label: 'PO Number' }),
-                    search.createColumn({ name: 'trandate', label: 'PO Date', sort: search.Sort.ASC }),
-                    search.createColumn({ name: 'entity', label: 'Vendor ID' }),
-                    search.createColumn({ name: 'entityid', join: 'vendor', label: 'Vendor Name' }),
-                    search.createColumn({ name: 'lineuniquekey', label: 'PO Line ID' }),
-                    search.createColumn({ name: 'item', label: 'Item ID' }),
-                    search.createColumn({ name: 'itemid', join: 'item', label: 'Item Number' }),
-                    search.createColumn({ name: 'displayname', join: 'item', label: 'Item Name' }),
-                    search.createColumn({ name: 'rate', label: 'PO Rate' }),
-                    // Item Receipt columns
-                    search.createColumn({ name: 'internalid', join: 'fulfillingtransaction', label: 'IR ID' }),
-                    search.createColumn({ name: 'tranid', join: 'fulfillingtransaction', label: 'IR Number' }),
-                    search.createColumn({ name: 'trandate', join: 'fulfillingtransaction', label: 'IR Date' }),
-                    search.createColumn({ name: 'lineuniquekey', join: 'fulfillingtransaction', label: 'IR Line ID' }),
-                    search.createColumn({ name: 'quantity', join: 'fulfillingtransaction', label: 'IR Quantity' }),
-                    search.createColumn({ name: 'rate', join: 'fulfillingtransaction', label: 'IR Rate' }),
-                    // Vendor Bill columns
-                    search.createColumn({ name: 'internalid', join: 'billingtransaction', label: 'VB ID' }),
-                    search.createColumn({ name: 'tranid', join: 'billingtransaction', label: 'VB Number' }),
-                    search.createColumn({ name: 'trandate', join: 'billingtransaction', label: 'VB Date' }),
-                    search.createColumn({ name: 'lineuniquekey', join: 'billingtransaction', label: 'VB Line ID' }),
-                    search.createColumn({ name: 'quantity', join: 'billingtransaction', label: 'VB Quantity' }),
-                    search.createColumn({ name: 'rate', join: 'billingtransaction', label: 'VB Rate' })
-                ]
-            });
+        function buildSummaryEmailTable(title, entries, messageField, baseUrl) {
+            if (entries.length === 0) {
+                return '';
+            }
 
-            var results = [];
-            varianceSearch.run().each(function (result) {
-                var itemName = result.getText({ name: 'item' }) || result.getValue({ name: 'displayname', join: 'item' }) || '';
-
-                results.push({
-                    po_id: result.getValue({ name: 'internalid' }),
-                    po_number: result.getValue({ name: 'tranid' }),
-                    po_date: result.getValue({ name: 'trandate' }),
-                    vendor_name: result.getValue({ name: 'entityid', join: 'vendor' }),
-                    po_line_id: result.getValue({ name: 'lineuniquekey' }),
-                    item_id: result.getValue({ name: 'item' }),
-                    item_name: itemName,
-                    ir_id: result.getValue({ name: 'internalid', join: 'fulfillingtransaction' }),
-                    ir_number: result.getValue({ name: 'tranid', join: 'fulfillingtransaction' }),
-                    ir_date: result.getValue({ name: 'trandate', join: 'fulfillingtransaction' }),
-                    ir_line_id: result.getValue({ name: 'lineuniquekey', join: 'fulfillingtransaction' }),
-                    ir_quantity: result.getValue({ name: 'quantity', join: 'fulfillingtransaction' }),
-                    ir_rate: result.getValue({ name: 'rate', join: 'fulfillingtransaction' }),
-                    vb_id: result.getValue({ name: 'internalid', join: 'billingtransaction' }),
-                    vb_number: result.getValue({ name: 'tranid', join: 'billingtransaction' }),
-                    vb_date: result.getValue({ name: 'trandate', join: 'billingtransaction' }),
-                    vb_line_id: result.getValue({ name: 'lineuniquekey', join: 'billingtransaction' }),
-                    vb_quantity: result.getValue({ name: 'quantity', join: 'billingtransaction' }),
-                    vb_rate: result.getValue({ name: 'rate', join: 'billingtransaction' })
-                });
-                return true;
+            var cellStyle = 'padding: 6px 10px; border: 1px solid #ddd; text-align: left;';
+            var rateStyle = 'padding: 6px 10px; border: 1px solid #ddd; text-align: right;';
+
+            var html = '<h3>' + varianceLib.escapeHtml(title) + ' (' + entries.length + ')</h3>';
+            html += '<table style="border-collapse: collapse; margin-bottom: 20px;">';
+            html += '<tr style="background: #f5f5f5;">';
+            html += '<th style="' + cellStyle + '">IR #</th>';
+            html += '<th style="' + cellStyle + '">VB #</th>';
+            html += '<th style="' + cellStyle + '">Item</th>';
+            html += '<th style="' + rateStyle + '">Old Rate</th>';
+            html += '<th style="' + rateStyle + '">New Rate</th>';
+            if (messageField) {
+                html += '<th style="' + cellStyle + '">Reason</th>';
+            }
+            html += '</tr>';
+
+            entries.forEach(function (entry) {
+                html += '<tr>';
+                html += '<td style="' + cellStyle + '"><a href="' + baseUrl + '/app/accounting/transactions/itemrcpt.nl?id=' + entry.irId + '">' + varianceLib.escapeHtml(entry.irNumber) + '</a></td>';
+                html += '<td style="' + cellStyle + '"><a href="' + baseUrl + '/app/accounting/transactions/vendbill.nl?id=' + entry.vbId + '">' + varianceLib.escapeHtml(entry.vbNumber) + '</a></td>';
+                html += '<td style="' + cellStyle + '">' + varianceLib.escapeHtml(entry.itemName) + '</td>';
+                html += '<td style="' + rateStyle + '">' + varianceLib.escapeHtml(varianceLib.formatCurrency(entry.oldRate, entry.currencyCode)) + '</td>';
+                html += '<td style="' + rateStyle + '">' + varianceLib.escapeHtml(varianceLib.formatCurrency(entry.newRate, entry.currencyCode)) + '</td>';
+                if (messageField) {
+                    html += '<td style="' + cellStyle + '">' + varianceLib.escapeHtml(entry[messageField]) + '</td>';
+                }
+                html += '</tr>';
             });
 
-            log.debug('Search Results', 'Total rows: ' + results.length);
-            return results;
+            html += '</table>';
+            return html;
         }
 
         /**
-         * Groups raw query results by PO Line ID
-         * @param {Array} rawResults - Raw search results
-         * @returns {Object} Grouped results by PO line
+         * Builds the run summary email table of receipts and bills left unmatched after pairing
+         * @param {Array} lines - Entries from results.unmatched
+         * @param {string} baseUrl - Account base URL for record links
+         * @returns {string} HTML content
          */
-        function groupByPOLine(rawResults) {
-            var groups = {};
-
-            rawResults.forEach(function (row) {
-                var poLineKey = row.po_line_id;
-
-                if (!groups[poLineKey]) {
-                    groups[poLineKey] = {
-                        poInfo: {
-                            po_id: row.po_id,
-                            po_number: row.po_number,
-                            po_date: row.po_date,
-                            vendor_name: row.vendor_name,
-                            item_id: row.item_id,
-                            item_name: row.item_name
-                        },
-                        itemReceipts: [],
-                        vendorBills: []
-                    };
-                }
-
-                // Add Item Receipt if not already added
-                var irExists = groups[poLineKey].itemReceipts.some(function (ir) {
-                    return ir.ir_line_id === row.ir_line_id;
-                });
-                if (!irExists) {
-                    groups[poLineKey].itemReceipts.push({
-                        ir_id: row.ir_id,
-                        ir_number: row.ir_number,
-                        ir_date: row.ir_date,
-                        ir_line_id: row.ir_line_id,
-                        ir_quantity: parseFloat(row.ir_quantity),
-                        ir_rate: parseFloat(row.ir_rate)
-                    });
-                }
+        function buildUnmatchedEmailTable(lines, baseUrl) {
+            if (lines.length === 0) {
+                return '';
+            }
 
-                // Add Vendor Bill if not already added
-                var vbExists = groups[poLineKey].vendorBills.some(function (vb) {
-                    return vb.vb_line_id === row.vb_line_id;
-                });
-                if (!vbExists) {
-                    groups[poLineKey].vendorBills.push({
-                        vb_id: row.vb_id,
-                        vb_number: row.vb_number,
-                        vb_date: row.vb_date,
-                        vb_line_id: row.vb_line_id,
-                        vb_quantity: parseFloat(row.vb_quantity),
-                        vb_rate: parseFloat(row.vb_rate)
-                    });
-                }
+            var cellStyle = 'padding: 6px 10px; border: 1px solid #ddd; text-align: left;';
+            var rateStyle = 'padding: 6px 10px; border: 1px solid #ddd; text-align: right;';
+
+            var html = '<h3>Unmatched Receipts and Bills (' + lines.length + ')</h3>';
+            html += '<table style="border-collapse: collapse; margin-bottom: 20px;">';
+            html += '<tr style="background: #f5f5f5;">';
+            html += '<th style="' + cellStyle + '">Type</th>';
+            html += '<th style="' + cellStyle + '">Transaction</th>';
+            html += '<th style="' + cellStyle + '">PO #</th>';
+            html += '<th style="' + cellStyle + '">Item</th>';
+            html += '<th style="' + rateStyle + '">Quantity</th>';
+            html += '<th style="' + rateStyle + '">Value</th>';
+            html += '</tr>';
+
+            lines.forEach(function (line) {
+                html += '<tr>';
+                html += '<td style="' + cellStyle + '">' + varianceLib.escapeHtml(line.category) + '</td>';
+                html += '<td style="' + cellStyle + '"><a href="' + baseUrl + '/app/accounting/transactions/' + line.tran_type + '.nl?id=' + line.tran_id + '">' + varianceLib.escapeHtml(line.tran_number) + '</a></td>';
+                html += '<td style="' + cellStyle + '"><a href="' + baseUrl + '/app/accounting/transactions/purchord.nl?id=' + line.po_id + '">' + varianceLib.escapeHtml(line.po_number) + '</a></td>';
+                html += '<td style="' + cellStyle + '">' + varianceLib.escapeHtml(line.item_name) + '</td>';
+                html += '<td style="' + rateStyle + '">' + line.quantity + '</td>';
+                html += '<td style="' + rateStyle + '">' + varianceLib.escapeHtml(varianceLib.formatCurrency(line.value, line.currency_code)) + '</td>';
+                html += '</tr>';
             });
 
-            return groups;
+            html += '</table>';
+            return html;
         }
 
         /**
-         * Creates variance pairs by matching oldest IR to oldest VB
-         * @param {Object} poLineGroups - Grouped results
-         * @param {number} minVariance - Minimum variance to include
-         * @returns {Array} Array of variance pair objects
+         * Saves one Variance Run Line child record
+         * @param {string} runId - Parent Variance Run internal ID
+         * @param {Object} entry - Entry from results.updated, results.closedPeriod, results.errors, results.excluded or results.awaitingApproval
+         * @param {string} outcome - Outcome label
          */
-        function createVariancePairs(poLineGroups, minVariance) {
-            var pairs = [];
-            var threshold = minVariance || 0.01;
+        function saveRunLineRecord(runId, entry, outcome) {
+            var lineRecord = record.create({
+                type: 'customrecord_vb_variance_run_line',
+                isDynamic: false
+            });
 
-            Object.keys(poLineGroups).forEach(function (poLineKey) {
-                var group = poLineGroups[poLineKey];
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_run', value: runId });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_item_receipt', value: entry.irId });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_vendor_bill', value: entry.vbId });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_item', value: entry.itemId });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_old_rate', value: entry.oldRate });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_new_rate', value: entry.newRate });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_outcome', value: outcome });
+            lineRecord.setValue({ fieldId: 'custrecord_vbvrl_message', value: entry.error || entry.reason || '' });
 
-                // Sort by date (oldest first)
-                group.itemReceipts.sort(function (a, b) {
-                    return new Date(a.ir_date) - new Date(b.ir_date);
-                });
-                group.vendorBills.sort(function (a, b) {
-                    return new Date(a.vb_date) - new Date(b.vb_date);
-                });
-
-                // Create 1:1 pairs (oldest to oldest)
-                var maxPairs = Math.max(group.itemReceipts.length, group.vendorBills.length);
-
-                for (var i = 0; i < maxPairs; i++) {
-                    var ir = group.itemReceipts[i];
-                    var vb = group.vendorBills[i];
-
-                    if (ir && vb) {
-                        var variance = vb.vb_rate - ir.ir_rate;
-
-                        if (Math.abs(variance) >= threshold) {
-                            pairs.push({
-                                po_id: group.poInfo.po_id,
-                                po_number: group.poInfo.po_number,
-                                po_date: group.poInfo.po_date,
-                                vendor_name: group.poInfo.vendor_name,
-                                item_id: group.poInfo.item_id,
-                                item_name: group.poInfo.item_name,
-                                ir_id: ir.ir_id,
-                                ir_number: ir.ir_number,
-                                ir_date: ir.ir_date,
-                                ir_line_id: ir.ir_line_id,
-                                ir_quantity: ir.ir_quantity,
-                                ir_rate: ir.ir_rate,
-                                vb_id: vb.vb_id,
-                                vb_number: vb.vb_number,
-                                vb_date: vb.vb_date,
-                                vb_line_id: vb.vb_line_id,
-                                vb_quantity: vb.vb_quantity,
-                                vb_rate: vb.vb_rate
-                            });
-                        }
-                    }
-                }
+            lineRecord.save({
+                enableSourcing: false,
+                ignoreMandatoryFields: true
             });
-
-            return pairs;
         }
 
         return {
@@ -0,0 +1,2403 @@
+/**
+ * @NApiVersion 2.1
+ * @NModuleScope SameAccount
+ *
+ * Variance engine shared by the IR/VB Suitelet, the IR/VB scheduled and map/reduce scripts and the
+ * PO/VB Suitelet: the variance searches, grouping by PO line, receipt/bill pairing, thresholds, the
+ * guards every IR update goes through (exclusion rules, change ceilings and approvals, IR locks), the
+ * IR line update with its undo journal, and the formatting helpers their pages and emails use.
+ * Nothing here reads script parameters or calls an N/ module until a function is called, so the
+ * pairing logic can be loaded under Node with stubbed N/ modules (see test/).
+ *
+ * The IR/VB variance search only selects the PO lines worth pairing, together with the PO lines whose
+ * received and billed quantities differ. Pairing itself runs on every receipt and bill line of those
+ * PO lines (searchIRVBLines), so FIFO consumes equal-rate quantities before it reaches the ones that
+ * differ, and a receipt with no bill at all is still reported as unmatched.
+ *
+ * Raw search rows can be saved as a JSON fixture in the File Cabinet (saveFixture) and fed back in
+ * place of the live search (fixtureRows) to replay a disputed run, in NetSuite or offline.
+ *
+ * Both variance searches have a SuiteQL twin joined through NextTransactionLineLink (engine 'suiteql')
+ * that returns the same row shape, so the two can be compared on the same data.
+ */
+define(['N/search', 'N/record', 'N/runtime', 'N/log', 'N/file', 'N/query', 'N/format'],
+    /**
+     * @param {search} search
+     * @param {record} record
+     * @param {runtime} runtime
+     * @param {log} log
+     * @param {file} file
+     * @param {query} query
+     * @param {format} format
+     */
+    function (search, record, runtime, log, file, query, format) {
+
+        // Smallest per unit variance, in base currency, that is worth correcting
+        var DEFAULT_MIN_VARIANCE = 0.01;
+
+        // Rows fetched per page - run().each stops silently at 4,000 results, paged searches do not
+        var SEARCH_PAGE_SIZE = 1000;
+
+        // Approval request statuses (customrecord_vb_variance_approval.custrecord_vbva_status)
+        var APPROVAL_STATUS = {
+            PENDING: 'Pending Approval',
+            APPROVED: 'Approved',
+            REJECTED: 'Rejected'
+        };
+
+        // An IR update lock older than this is assumed abandoned by a failed execution
+        var LOCK_STALE_MINUTES = 15;
+
+        // PO internal IDs per line search - keeps the anyof filter and the SuiteQL IN list a sane size
+        var PO_ID_CHUNK_SIZE = 500;
+
+        /**
+         * Gets variance pairs by querying and matching receipts to bills on each PO line,
+         * plus the receipt and bill lines left unmatched
+         * @param {number} [minVariance] - Minimum base currency variance per unit to include (default 0.01)
+         * @param {Object} [scope] - Scope filters, see searchIRVBVariances
+         * @param {string} [pairingMode] - 'index' (default) or 'fifo'
+         * @param {string} [rateStrategy] - 'single' (default) or 'weighted'
+         * @param {Array} [fixtureRows] - Recorded line rows (searchIRVBLines) to replay instead of running the searches
+         * @param {number} [maxRows] - Stop reading variance search rows after this many (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default) or 'suiteql'
+         * @returns {Object} { pairs: Array of variance pairs, unmatched: Array of unmatched lines,
+         *     rowCount: search rows read, totalRows: search rows found, unreadPOs: POs whose lines were not read,
+         *     truncated: true when maxRows cut a search short }
+         */
+        function getIRVBVarianceData(minVariance, scope, pairingMode, rateStrategy, fixtureRows, maxRows, engine) {
+            var searchResult = fixtureRows ? wrapFixtureRows(fixtureRows) : searchIRVBLines(scope, maxRows, engine);
+            var rawResults = searchResult.rows;
+            var poLineGroups = groupByPOLine(rawResults);
+
+            // Pairing saw the PO lines' whole history - only pairs and leftovers inside the date scope are reported
+            var variancePairs = createVariancePairs(poLineGroups, minVariance, pairingMode, rateStrategy).filter(function (pair) {
+                return isInDateScope(pair.ir_date, scope && scope.irDateFrom, scope && scope.irDateTo) &&
+                    isInDateScope(pair.vb_date, scope && scope.vbDateFrom, scope && scope.vbDateTo);
+            });
+            var unmatchedLines = createUnmatchedLines(poLineGroups, pairingMode).filter(function (line) {
+                return line.tran_type === 'itemrcpt' ?
+                    isInDateScope(line.tran_date, scope && scope.irDateFrom, scope && scope.irDateTo) :
+                    isInDateScope(line.tran_date, scope && scope.vbDateFrom, scope && scope.vbDateTo);
+            });
+
+            log.debug('Variance Pairs Created', 'Total pairs: ' + variancePairs.length + ', unmatched lines: ' + unmatchedLines.length);
+
+            return {
+                pairs: variancePairs,
+                unmatched: unmatchedLines,
+                rowCount: searchResult.rowCount || rawResults.length,
+                totalRows: searchResult.totalRows,
+                unreadPOs: searchResult.unreadPOs || 0,
+                truncated: searchResult.truncated
+            };
+        }
+
+        /**
+         * Gets every receipt and bill line of the PO lines that have an IR/VB rate variance or a received
+         * quantity that differs from the billed quantity. The variance search only says which PO lines to
+         * look at: its rows leave out receipts and bills whose rates match, which FIFO pairing has to
+         * consume too, and PO lines with no bill (or no receipt) at all, which are unmatched by definition.
+         * The variance search and the open PO line search are each capped at maxRows; the line reads share
+         * one more budget of maxRows rows across their PO chunks.
+         * @param {Object} [scope] - Scope filters, see searchIRVBVariances
+         * @param {number} [maxRows] - Row cap per search phase (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default) or 'suiteql'
+         * @returns {Object} { rows: Array of raw line rows, rowCount: rows read by every search, totalRows: rows found
+         *     by the searches that ran, unreadPOs: POs whose lines the budget left unread, truncated: boolean }
+         */
+        function searchIRVBLines(scope, maxRows, engine) {
+            var varianceResult = searchIRVBVariances(scope, maxRows, engine);
+            var openResult = searchOpenPOLines(scope, maxRows, engine);
+            var poLineIds = {};
+            var poIds = [];
+
+            varianceResult.rows.concat(openResult.rows).forEach(function (row) {
+                if (poIds.indexOf(row.po_id) === -1) {
+                    poIds.push(row.po_id);
+                }
+                poLineIds[row.po_line_id] = true;
+            });
+
+            var rows = [];
+            var rowCount = varianceResult.rows.length + openResult.rows.length;
+            var totalRows = varianceResult.totalRows + openResult.totalRows;
+            var truncated = varianceResult.truncated || openResult.truncated;
+            var linesRead = 0;
+            var unreadPOs = 0;
+
+            for (var i = 0; i < poIds.length; i += PO_ID_CHUNK_SIZE) {
+                if (maxRows > 0 && linesRead >= maxRows) {
+                    unreadPOs = poIds.length - i;
+                    truncated = true;
+                    break;
+                }
+
+                var chunk = poIds.slice(i, i + PO_ID_CHUNK_SIZE);
+                var chunkCap = maxRows > 0 ? maxRows - linesRead : 0;
+                var lineResult = engine === 'suiteql' ? queryIRVBLines(chunk, chunkCap) : runIRVBLineSearch(chunk, chunkCap);
+                var chunkRows = lineResult.rows;
+
+                linesRead += chunkRows.length;
+                rowCount += chunkRows.length;
+                totalRows += lineResult.totalRows;
+
+                if (lineResult.truncated) {
+                    // Rows come in PO date order, so POs dated like the last row read may be cut off part
+                    // way - leave them out rather than pair half of their history
+                    var lastDate = chunkRows.length > 0 ? chunkRows[chunkRows.length - 1].po_date : null;
+                    chunkRows = chunkRows.filter(function (row) {
+                        return row.po_date !== lastDate;
+                    });
+                    unreadPOs = poIds.length - i - chunk.length;
+                    truncated = true;
+                }
+
+                chunkRows.forEach(function (row) {
+                    if (poLineIds[row.po_line_id]) {
+                        rows.push(row);
+                    }
+                });
+
+                if (lineResult.truncated) {
+                    break;
+                }
+            }
+
+            log.audit('IR/VB Line Search', 'PO lines: ' + Object.keys(poLineIds).length + ', line rows: ' + rows.length +
+                (truncated ? ', capped - rows read: ' + rowCount + ' of at least ' + totalRows + ', POs not read: ' + unreadPOs : ''));
+
+            return {
+                rows: rows,
+                rowCount: rowCount,
+                totalRows: totalRows,
+                unreadPOs: unreadPOs,
+                truncated: truncated
+            };
+        }
+
+        /**
+         * Finds the PO lines whose received quantity differs from the billed quantity - the ones with
+         * receipts or bills left in Accrued Purchases, whether or not they have a rate variance.
+         * With a date scope, only PO lines with a receipt in the IR date range or a bill in the VB date
+         * range are found, since a leftover line is reported by its own date.
+         * @param {Object} [scope] - Scope filters, see searchIRVBVariances
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default) or 'suiteql'
+         * @returns {Object} { rows: Array of { po_id, po_line_id }, totalRows: number, truncated: boolean }
+         */
+        function searchOpenPOLines(scope, maxRows, engine) {
+            if (engine === 'suiteql') {
+                var where = [
+                    "po.type = 'PurchOrd'",
+                    "pol.mainline = 'F'",
+                    'NVL(pol.quantityshiprecv, 0) <> NVL(pol.quantitybilled, 0)'
+                ];
+                var params = [];
+
+                if (scope) {
+                    addInCondition(where, params, 'po.entity', scope.vendors);
+                    addInCondition(where, params, 'pol.subsidiary', scope.subsidiaries);
+                    addInCondition(where, params, 'pol.location', scope.locations);
+
+                    var linkedDates = [
+                        getLinkedDateCondition(params, 'ItemRcpt', scope.irDateFrom, scope.irDateTo),
+                        getLinkedDateCondition(params, 'VendBill', scope.vbDateFrom, scope.vbDateTo)
+                    ].filter(function (condition) { return condition; });
+                    if (linkedDates.length > 0) {
+                        where.push('(' + linkedDates.join(' OR ') + ')');
+                    }
+                }
+
+                return collectQueryRows('SELECT po.id AS po_id, pol.uniquekey AS po_line_id' +
+                    ' FROM transaction po' +
+                    ' INNER JOIN transactionline pol ON pol.transaction = po.id' +
+                    ' WHERE ' + where.join(' AND '), params, mapQueryRow, maxRows);
+            }
+
+            var filters = [
+                ['type', 'anyof', 'PurchOrd'],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['formulanumeric: NVL({quantityshiprecv},0)-NVL({quantitybilled},0)', 'notequalto', '0']
+            ];
+
+            if (scope) {
+                if (scope.vendors && scope.vendors.length > 0) {
+                    filters.push('AND', ['entity', 'anyof', scope.vendors]);
+                }
+                if (scope.subsidiaries && scope.subsidiaries.length > 0) {
+                    filters.push('AND', ['subsidiary', 'anyof', scope.subsidiaries]);
+                }
+                if (scope.locations && scope.locations.length > 0) {
+                    filters.push('AND', ['location', 'anyof', scope.locations]);
+                }
+
+                var dateFilters = [
+                    getJoinedDateFilter('fulfillingtransaction', scope.irDateFrom, scope.irDateTo),
+                    getJoinedDateFilter('billingtransaction', scope.vbDateFrom, scope.vbDateTo)
+                ].filter(function (filter) { return filter; });
+                if (dateFilters.length === 2) {
+                    filters.push('AND', [dateFilters[0], 'OR', dateFilters[1]]);
+                } else if (dateFilters.length === 1) {
+                    filters.push('AND', dateFilters[0]);
+                }
+            }
+
+            return collectSearchRows(search.create({
+                type: search.Type.TRANSACTION,
+                filters: filters,
+                columns: ['internalid', 'lineuniquekey']
+            }), function (result) {
+                return {
+                    po_id: result.getValue({ name: 'internalid' }),
+                    po_line_id: result.getValue({ name: 'lineuniquekey' })
+                };
+            }, maxRows);
+        }
+
+        /**
+         * Builds a search filter on the date of a PO line's receipts or bills
+         * @param {string} join - 'fulfillingtransaction' (receipts) or 'billingtransaction' (bills)
+         * @param {string} [fromText] - Start date (formatted), or empty for no start
+         * @param {string} [toText] - End date (formatted), or empty for no end
+         * @returns {Array|null} Filter expression, or null when neither date is set
+         */
+        function getJoinedDateFilter(join, fromText, toText) {
+            var filter = [];
+
+            if (fromText) {
+                filter.push([join + '.trandate', 'onorafter', fromText]);
+            }
+            if (toText) {
+                if (filter.length > 0) {
+                    filter.push('AND');
+                }
+                filter.push([join + '.trandate', 'onorbefore', toText]);
+            }
+
+            return filter.length > 0 ? filter : null;
+        }
+
+        /**
+         * Builds a SuiteQL condition that a PO line has a receipt or bill dated inside a range
+         * @param {Array} params - Statement parameters (the dates are added)
+         * @param {string} nextType - 'ItemRcpt' or 'VendBill'
+         * @param {string} [fromText] - Start date (formatted), or empty for no start
+         * @param {string} [toText] - End date (formatted), or empty for no end
+         * @returns {string|null} EXISTS condition, or null when neither date is set
+         */
+        function getLinkedDateCondition(params, nextType, fromText, toText) {
+            if (!fromText && !toText) {
+                return null;
+            }
+
+            var where = [
+                'link.previousdoc = po.id',
+                'link.previousline = pol.id',
+                "link.nexttype = '" + nextType + "'"
+            ];
+            addDateCondition(where, params, 'nextdoc.trandate', '>=', fromText);
+            addDateCondition(where, params, 'nextdoc.trandate', '<=', toText);
+
+            return 'EXISTS (SELECT 1 FROM NextTransactionLineLink link' +
+                ' INNER JOIN transaction nextdoc ON nextdoc.id = link.nextdoc' +
+                ' WHERE ' + where.join(' AND ') + ')';
+        }
+
+        /**
+         * Searches for IR/VB rate variances with the chosen engine
+         * @param {Object} [scope] - Vendors, subsidiaries, locations (ID arrays) and irDateFrom, irDateTo,
+         *     vbDateFrom, vbDateTo (formatted date strings) - empty or missing dimensions are unfiltered
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default, joined transaction search) or 'suiteql'
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function searchIRVBVariances(scope, maxRows, engine) {
+            var started = Date.now();
+            var searchResult = engine === 'suiteql' ? queryIRVBVariances(scope, maxRows) : runIRVBSearch(scope, maxRows);
+
+            log.audit('IR/VB Variance Search', 'Engine: ' + (engine || 'search') + ', rows: ' + searchResult.rows.length +
+                ', elapsed: ' + (Date.now() - started) + ' ms');
+            return searchResult;
+        }
+
+        /**
+         * Runs the joined transaction search for IR/VB rate variances
+         * @param {Object} [scope] - Scope filters, see searchIRVBVariances
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function runIRVBSearch(scope, maxRows) {
+            var filters = [
+                ['type', 'anyof', 'PurchOrd'],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['billingtransaction.quantity', 'greaterthan', '0'],
+                'AND',
+                ['fulfillingtransaction.quantity', 'greaterthan', '0'],
+                'AND',
+                ['formulanumeric: NVL({fulfillingtransaction.fxamount}/{fulfillingtransaction.quantity},0)-NVL({billingtransaction.fxamount}/{billingtransaction.quantity},0)', 'notequalto', '0']
+            ];
+
+            // Add scope filters
+            if (scope) {
+                if (scope.vendors && scope.vendors.length > 0) {
+                    filters.push('AND', ['entity', 'anyof', scope.vendors]);
+                }
+                if (scope.subsidiaries && scope.subsidiaries.length > 0) {
+                    filters.push('AND', ['subsidiary', 'anyof', scope.subsidiaries]);
+                }
+                if (scope.locations && scope.locations.length > 0) {
+                    filters.push('AND', ['location', 'anyof', scope.locations]);
+                }
+                if (scope.irDateFrom) {
+                    filters.push('AND', ['fulfillingtransaction.trandate', 'onorafter', scope.irDateFrom]);
+                }
+                if (scope.irDateTo) {
+                    filters.push('AND', ['fulfillingtransaction.trandate', 'onorbefore', scope.irDateTo]);
+                }
+                if (scope.vbDateFrom) {
+                    filters.push('AND', ['billingtransaction.trandate', 'onorafter', scope.vbDateFrom]);
+                }
+                if (scope.vbDateTo) {
+                    filters.push('AND', ['billingtransaction.trandate', 'onorbefore', scope.vbDateTo]);
+                }
+            }
+
+            return runIRVBTransactionSearch(filters, maxRows);
+        }
+
+        /**
+         * Searches every receipt and bill line of the given POs. Receipt and bill joins are outer joins,
+         * so a PO line with no receipt or no bill still returns a row with that side blank.
+         * @param {Array} poIds - Purchase Order internal IDs
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function runIRVBLineSearch(poIds, maxRows) {
+            return runIRVBTransactionSearch([
+                ['type', 'anyof', 'PurchOrd'],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['internalid', 'anyof', poIds]
+            ], maxRows);
+        }
+
+        /**
+         * Runs a PO line search joined to its receipts and bills and maps the rows
+         * @param {Array} filters - Search filter expression
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function runIRVBTransactionSearch(filters, maxRows) {
+            var varianceSearch = search.create({
+                type: search.Type.TRANSACTION,
+                filters: filters,
+                columns: [
+                    search.createColumn({ name: 'internalid', label: 'PO ID' }),
+                    search.createColumn({ name: 'tranid', label: 'PO Number' }),
+                    search.createColumn({ name: 'trandate', label: 'PO Date', sort: search.Sort.ASC }),
+                    search.createColumn({ name: 'entity', label: 'Vendor ID' }),
+                    search.createColumn({ name: 'entityid', join: 'vendor', label: 'Vendor Name' }),
+                    search.createColumn({ name: 'altname', join: 'vendor', label: 'Vendor Display Name' }),
+                    search.createColumn({ name: 'lineuniquekey', label: 'PO Line ID' }),
+                    search.createColumn({ name: 'line', label: 'PO Line Number' }),
+                    search.createColumn({ name: 'item', label: 'Item ID' }),
+                    search.createColumn({ name: 'itemid', join: 'item', label: 'Item Number' }),
+                    search.createColumn({ name: 'displayname', join: 'item', label: 'Item Name' }),
+                    search.createColumn({ name: 'rate', label: 'PO Rate' }),
+                    search.createColumn({ name: 'currency', label: 'Currency ID' }),
+                    search.createColumn({ name: 'symbol', join: 'currency', label: 'Currency Code' }),
+                    // Item Receipt columns
+                    search.createColumn({ name: 'internalid', join: 'fulfillingtransaction', label: 'IR ID' }),
+                    search.createColumn({ name: 'tranid', join: 'fulfillingtransaction', label: 'IR Number' }),
+                    search.createColumn({ name: 'trandate', join: 'fulfillingtransaction', label: 'IR Date' }),
+                    search.createColumn({ name: 'postingperiod', join: 'fulfillingtransaction', label: 'IR Period' }),
+                    search.createColumn({ name: 'lineuniquekey', join: 'fulfillingtransaction', label: 'IR Line ID' }),
+                    search.createColumn({ name: 'quantity', join: 'fulfillingtransaction', label: 'IR Quantity' }),
+                    search.createColumn({ name: 'rate', join: 'fulfillingtransaction', label: 'IR Rate' }),
+                    search.createColumn({ name: 'unit', join: 'fulfillingtransaction', label: 'IR Unit' }),
+                    search.createColumn({ name: 'quantityuom', join: 'fulfillingtransaction', label: 'IR Quantity (Transaction Units)' }),
+                    search.createColumn({ name: 'exchangerate', join: 'fulfillingtransaction', label: 'IR Exchange Rate' }),
+                    search.createColumn({ name: 'custbody_ir_needs_closed_period_adj', join: 'fulfillingtransaction', label: 'IR Needs Closed Period Adj' }),
+                    // Vendor Bill columns
+                    search.createColumn({ name: 'internalid', join: 'billingtransaction', label: 'VB ID' }),
+                    search.createColumn({ name: 'tranid', join: 'billingtransaction', label: 'VB Number' }),
+                    search.createColumn({ name: 'trandate', join: 'billingtransaction', label: 'VB Date' }),
+                    search.createColumn({ name: 'lineuniquekey', join: 'billingtransaction', label: 'VB Line ID' }),
+                    search.createColumn({ name: 'quantity', join: 'billingtransaction', label: 'VB Quantity' }),
+                    search.createColumn({ name: 'rate', join: 'billingtransaction', label: 'VB Rate' }),
+                    search.createColumn({ name: 'unit', join: 'billingtransaction', label: 'VB Unit' }),
+                    search.createColumn({ name: 'quantityuom', join: 'billingtransaction', label: 'VB Quantity (Transaction Units)' }),
+                    search.createColumn({ name: 'exchangerate', join: 'billingtransaction', label: 'VB Exchange Rate' })
+                ]
+            });
+
+            var searchResult = collectSearchRows(varianceSearch, function (result) {
+                var itemName = result.getText({ name: 'item' }) || result.getValue({ name: 'displayname', join: 'item' }) || '';
+                var itemNumber = result.getValue({ name: 'itemid', join: 'item' }) || '';
+                var vendorName = result.getValue({ name: 'altname', join: 'vendor' }) ||
+                    result.getValue({ name: 'entityid', join: 'vendor' }) ||
+                    result.getText({ name: 'entity' }) ||
+                    'Unknown Vendor';
+
+                var periodId = result.getValue({ name: 'postingperiod', join: 'fulfillingtransaction' });
+                var needsClosedPeriodAdj = result.getValue({ name: 'custbody_ir_needs_closed_period_adj', join: 'fulfillingtransaction' });
+
+                return {
+                    po_id: result.getValue({ name: 'internalid' }),
+                    po_number: result.getValue({ name: 'tranid' }),
+                    po_date: result.getValue({ name: 'trandate' }),
+                    vendor_id: result.getValue({ name: 'entity' }),
+                    vendor_name: vendorName,
+                    po_line_id: result.getValue({ name: 'lineuniquekey' }),
+                    po_line_number: result.getValue({ name: 'line' }),
+                    item_id: result.getValue({ name: 'item' }),
+                    item_number: itemNumber,
+                    item_name: itemName,
+                    currency_id: result.getValue({ name: 'currency' }),
+                    currency_code: result.getValue({ name: 'symbol', join: 'currency' }),
+                    po_rate: result.getValue({ name: 'rate' }),
+                    ir_id: result.getValue({ name: 'internalid', join: 'fulfillingtransaction' }),
+                    ir_number: result.getValue({ name: 'tranid', join: 'fulfillingtransaction' }),
+                    ir_date: result.getValue({ name: 'trandate', join: 'fulfillingtransaction' }),
+                    ir_period_id: periodId,
+                    ir_period_closed: false,
+                    ir_needs_closed_period_adj: needsClosedPeriodAdj === 'T' || needsClosedPeriodAdj === true,
+                    ir_line_id: result.getValue({ name: 'lineuniquekey', join: 'fulfillingtransaction' }),
+                    ir_quantity: result.getValue({ name: 'quantity', join: 'fulfillingtransaction' }),
+                    ir_rate: result.getValue({ name: 'rate', join: 'fulfillingtransaction' }),
+                    ir_unit: result.getValue({ name: 'unit', join: 'fulfillingtransaction' }),
+                    ir_quantity_uom: result.getValue({ name: 'quantityuom', join: 'fulfillingtransaction' }),
+                    ir_exchange_rate: result.getValue({ name: 'exchangerate', join: 'fulfillingtransaction' }),
+                    vb_id: result.getValue({ name: 'internalid', join: 'billingtransaction' }),
+                    vb_number: result.getValue({ name: 'tranid', join: 'billingtransaction' }),
+                    vb_date: result.getValue({ name: 'trandate', join: 'billingtransaction' }),
+                    vb_line_id: result.getValue({ name: 'lineuniquekey', join: 'billingtransaction' }),
+                    vb_quantity: result.getValue({ name: 'quantity', join: 'billingtransaction' }),
+                    vb_rate: result.getValue({ name: 'rate', join: 'billingtransaction' }),
+                    vb_unit: result.getValue({ name: 'unit', join: 'billingtransaction' }),
+                    vb_quantity_uom: result.getValue({ name: 'quantityuom', join: 'billingtransaction' }),
+                    vb_exchange_rate: result.getValue({ name: 'exchangerate', join: 'billingtransaction' })
+                };
+            }, maxRows);
+            var results = searchResult.rows;
+
+            // One lookup for the handful of periods the rows fall in, not one per row
+            var closedPeriods = getClosedPeriods(results.map(function (row) { return row.ir_period_id; }));
+            results.forEach(function (row) {
+                row.ir_period_closed = !!closedPeriods[row.ir_period_id];
+            });
+
+            log.debug('Search Results', 'Rows read: ' + results.length + ' of ' + searchResult.totalRows + ', periods: ' + Object.keys(closedPeriods).length);
+            return searchResult;
+        }
+
+        /**
+         * Queries IR/VB rate variances with SuiteQL. Receipts and bills are reached through
+         * NextTransactionLineLink on the PO line instead of the search's formula filter over the
+         * joined receipt and bill columns. Rows have the same shape as runIRVBSearch.
+         * @param {Object} [scope] - Scope filters, see searchIRVBVariances
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function queryIRVBVariances(scope, maxRows) {
+            var where = [
+                "po.type = 'PurchOrd'",
+                "pol.mainline = 'F'",
+                'irl.quantity <> 0',
+                'vbl.quantity <> 0',
+                'NVL(ABS(irl.foreignamount) / ABS(irl.quantity), 0) - NVL(ABS(vbl.foreignamount) / ABS(vbl.quantity), 0) <> 0'
+            ];
+            var params = [];
+
+            if (scope) {
+                addInCondition(where, params, 'po.entity', scope.vendors);
+                addInCondition(where, params, 'pol.subsidiary', scope.subsidiaries);
+                addInCondition(where, params, 'pol.location', scope.locations);
+                addDateCondition(where, params, 'ir.trandate', '>=', scope.irDateFrom);
+                addDateCondition(where, params, 'ir.trandate', '<=', scope.irDateTo);
+                addDateCondition(where, params, 'vb.trandate', '>=', scope.vbDateFrom);
+                addDateCondition(where, params, 'vb.trandate', '<=', scope.vbDateTo);
+            }
+
+            return runIRVBQuery('INNER', where, params, maxRows);
+        }
+
+        /**
+         * Queries every receipt and bill line of the given POs with SuiteQL, outer joined like
+         * runIRVBLineSearch so PO lines with no receipt or no bill still return a row
+         * @param {Array} poIds - Purchase Order internal IDs
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function queryIRVBLines(poIds, maxRows) {
+            var where = [
+                "po.type = 'PurchOrd'",
+                "pol.mainline = 'F'"
+            ];
+            var params = [];
+
+            addInCondition(where, params, 'po.id', poIds);
+
+            return runIRVBQuery('LEFT', where, params, maxRows);
+        }
+
+        /**
+         * Runs the SuiteQL PO line query joined to its receipts and bills through NextTransactionLineLink
+         * @param {string} joinType - 'INNER' (PO lines with both a receipt and a bill) or 'LEFT' (every PO line)
+         * @param {Array} where - Conditions joined with AND
+         * @param {Array} params - Values for the conditions' ? placeholders
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function runIRVBQuery(joinType, where, params, maxRows) {
+            var sql = 'SELECT po.id AS po_id, po.tranid AS po_number, po.trandate AS po_date,' +
+                ' po.entity AS vendor_id, COALESCE(v.altname, v.entityid, BUILTIN.DISPLAY(po.entity)) AS vendor_name,' +
+                ' pol.uniquekey AS po_line_id, pol.id AS po_line_number, pol.item AS item_id,' +
+                ' it.itemid AS item_number, COALESCE(BUILTIN.DISPLAY(pol.item), it.displayname) AS item_name,' +
+                ' po.currency AS currency_id, cur.symbol AS currency_code, pol.rate AS po_rate,' +
+                ' ir.id AS ir_id, ir.tranid AS ir_number, ir.trandate AS ir_date,' +
+                ' ir.postingperiod AS ir_period_id, ap.closed AS ir_period_closed,' +
+                ' ir.custbody_ir_needs_closed_period_adj AS ir_needs_closed_period_adj,' +
+                ' irl.uniquekey AS ir_line_id, ABS(irl.quantity) AS ir_quantity, irl.rate AS ir_rate,' +
+                ' BUILTIN.DISPLAY(irl.units) AS ir_unit, ABS(irl.quantity) / NVL(iru.conversionrate, 1) AS ir_quantity_uom,' +
+                ' ir.exchangerate AS ir_exchange_rate,' +
+                ' vb.id AS vb_id, vb.tranid AS vb_number, vb.trandate AS vb_date,' +
+                ' vbl.uniquekey AS vb_line_id, ABS(vbl.quantity) AS vb_quantity, vbl.rate AS vb_rate,' +
+                ' BUILTIN.DISPLAY(vbl.units) AS vb_unit, ABS(vbl.quantity) / NVL(vbu.conversionrate, 1) AS vb_quantity_uom,' +
+                ' vb.exchangerate AS vb_exchange_rate' +
+                ' FROM transaction po' +
+                ' INNER JOIN transactionline pol ON pol.transaction = po.id' +
+                ' ' + joinType + " JOIN NextTransactionLineLink irlink ON irlink.previousdoc = po.id AND irlink.previousline = pol.id AND irlink.nexttype = 'ItemRcpt'" +
+                ' ' + joinType + " JOIN transaction ir ON ir.id = irlink.nextdoc AND ir.type = 'ItemRcpt'" +
+                ' ' + joinType + ' JOIN transactionline irl ON irl.transaction = ir.id AND irl.id = irlink.nextline' +
+                ' ' + joinType + " JOIN NextTransactionLineLink vblink ON vblink.previousdoc = po.id AND vblink.previousline = pol.id AND vblink.nexttype = 'VendBill'" +
+                ' ' + joinType + " JOIN transaction vb ON vb.id = vblink.nextdoc AND vb.type = 'VendBill'" +
+                ' ' + joinType + ' JOIN transactionline vbl ON vbl.transaction = vb.id AND vbl.id = vblink.nextline' +
+                ' LEFT JOIN vendor v ON v.id = po.entity' +
+                ' LEFT JOIN item it ON it.id = pol.item' +
+                ' LEFT JOIN currency cur ON cur.id = po.currency' +
+                ' LEFT JOIN accountingperiod ap ON ap.id = ir.postingperiod' +
+                ' LEFT JOIN unitstypeuom iru ON iru.internalid = irl.units' +
+                ' LEFT JOIN unitstypeuom vbu ON vbu.internalid = vbl.units' +
+                ' WHERE ' + where.join(' AND ') +
+                ' ORDER BY po.trandate, po.id, pol.id, ir.id, vb.id';
+
+            var searchResult = collectQueryRows(sql, params, function (row) {
+                var mapped = mapQueryRow(row);
+                mapped.ir_period_closed = row.ir_period_closed === 'T';
+                mapped.ir_needs_closed_period_adj = row.ir_needs_closed_period_adj === 'T';
+                return mapped;
+            }, maxRows);
+
+            log.debug('Query Results', 'Rows read: ' + searchResult.rows.length + ' of ' + searchResult.totalRows);
+            return searchResult;
+        }
+
+        /**
+         * Runs a search page by page and maps every result, optionally stopping at a row cap
+         * @param {search.Search} searchObj - Search to run
+         * @param {Function} mapResult - Maps a search.Result to a raw row
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of mapped rows, totalRows: number, truncated: boolean }
+         */
+        function collectSearchRows(searchObj, mapResult, maxRows) {
+            return collectPagedRows(searchObj.runPaged({ pageSize: SEARCH_PAGE_SIZE }), function (page) {
+                return page.data;
+            }, mapResult, maxRows);
+        }
+
+        /**
+         * Runs a SuiteQL query page by page and maps every result, optionally stopping at a row cap
+         * @param {string} sql - SuiteQL statement
+         * @param {Array} params - Values for the statement's ? placeholders
+         * @param {Function} mapRow - Maps a mapped query result (column alias to value) to a raw row
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of mapped rows, totalRows: number, truncated: boolean }
+         */
+        function collectQueryRows(sql, params, mapRow, maxRows) {
+            var pagedData = query.runSuiteQLPaged({ query: sql, params: params, pageSize: SEARCH_PAGE_SIZE });
+            return collectPagedRows(pagedData, function (page) {
+                return page.data.asMappedResults();
+            }, mapRow, maxRows);
+        }
+
+        /**
+         * Reads the pages of a paged search or query until every row, or maxRows rows, are mapped
+         * @param {Object} pagedData - search.PagedData or query.PagedData
+         * @param {Function} getPageResults - Returns the array of results on a fetched page
+         * @param {Function} mapResult - Maps one result to a raw row
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of mapped rows, totalRows: number, truncated: boolean }
+         */
+        function collectPagedRows(pagedData, getPageResults, mapResult, maxRows) {
+            var rows = [];
+            var cap = maxRows > 0 ? maxRows : Infinity;
+
+            pagedData.pageRanges.some(function (pageRange) {
+                getPageResults(pagedData.fetch({ index: pageRange.index })).some(function (result) {
+                    rows.push(mapResult(result));
+                    return rows.length >= cap;
+                });
+                return rows.length >= cap;
+            });
+
+            if (rows.length < pagedData.count) {
+                log.audit('Search Row Cap Applied', 'Read ' + rows.length + ' of ' + pagedData.count + ' rows (cap ' + maxRows + ')');
+            }
+
+            return {
+                rows: rows,
+                totalRows: pagedData.count,
+                truncated: rows.length < pagedData.count
+            };
+        }
+
+        /**
+         * Converts a SuiteQL result to the string values a search result's getValue returns,
+         * so rows from either engine compare and group the same way
+         * @param {Object} row - Mapped query result
+         * @returns {Object} Raw row with null values as '' and everything else as strings
+         */
+        function mapQueryRow(row) {
+            var mapped = {};
+            Object.keys(row).forEach(function (column) {
+                mapped[column] = row[column] === null || row[column] === undefined ? '' : String(row[column]);
+            });
+            return mapped;
+        }
+
+        /**
+         * Adds "column IN (?, ...)" to a SuiteQL condition list when ids are given
+         * @param {Array} where - Conditions joined with AND
+         * @param {Array} params - Statement parameters
+         * @param {string} column - Qualified column name
+         * @param {Array} [ids] - Internal IDs
+         */
+        function addInCondition(where, params, column, ids) {
+            if (!ids || ids.length === 0) {
+                return;
+            }
+
+            where.push(column + ' IN (' + ids.map(function () { return '?'; }).join(', ') + ')');
+            ids.forEach(function (id) {
+                params.push(id);
+            });
+        }
+
+        /**
+         * Adds a date comparison to a SuiteQL condition list when a date is given. Scope dates are in
+         * the user's date format, so they are parsed and passed to TO_DATE in ISO form.
+         * @param {Array} where - Conditions joined with AND
+         * @param {Array} params - Statement parameters
+         * @param {string} column - Qualified date column
+         * @param {string} operator - Comparison operator
+         * @param {string} [dateText] - Formatted date string
+         */
+        function addDateCondition(where, params, column, operator, dateText) {
+            if (!dateText) {
+                return;
+            }
+
+            var date = format.parse({ value: dateText, type: format.Type.DATE });
+            where.push(column + ' ' + operator + " TO_DATE(?, 'YYYY-MM-DD')");
+            params.push(date.getFullYear() + '-' + ('0' + (date.getMonth() + 1)).slice(-2) + '-' + ('0' + date.getDate()).slice(-2));
+        }
+
+        /**
+         * Wraps recorded fixture rows in the shape the search functions return
+         * @param {Array} rows - Raw rows from a fixture
+         * @returns {Object} { rows, totalRows, truncated: false }
+         */
+        function wrapFixtureRows(rows) {
+            return {
+                rows: rows,
+                totalRows: rows.length,
+                truncated: false
+            };
+        }
+
+        /**
+         * Checks a transaction date against an optional scope range
+         * @param {string} dateText - Transaction date as returned by the search
+         * @param {string} [fromText] - Scope start date (formatted), or empty for no start
+         * @param {string} [toText] - Scope end date (formatted), or empty for no end
+         * @returns {boolean} True when the date is inside the range
+         */
+        function isInDateScope(dateText, fromText, toText) {
+            if (!fromText && !toText) {
+                return true;
+            }
+
+            var date = format.parse({ value: dateText, type: format.Type.DATE });
+            if (fromText && date < format.parse({ value: fromText, type: format.Type.DATE })) {
+                return false;
+            }
+            return !(toText && date > format.parse({ value: toText, type: format.Type.DATE }));
+        }
+
+        /**
+         * Gets the closed status of accounting periods with a single search. Only the "Closed" checkbox
+         * counts - an administrator with "Override Period Restriction" can still post to AP/AR locked periods.
+         * @param {Array} periodIds - Accounting period internal IDs (blanks and duplicates are ignored)
+         * @returns {Object} Closed flag by period internal ID
+         */
+        function getClosedPeriods(periodIds) {
+            var closedPeriods = {};
+            var seen = {};
+            var uniqueIds = periodIds.filter(function (id) {
+                if (!id || seen[id]) {
+                    return false;
+                }
+                seen[id] = true;
+                return true;
+            });
+
+            if (uniqueIds.length === 0) {
+                return closedPeriods;
+            }
+
+            try {
+                search.create({
+                    type: search.Type.ACCOUNTING_PERIOD,
+                    filters: [['internalid', 'anyof', uniqueIds]],
+                    columns: ['closed']
+                }).run().each(function (result) {
+                    var closed = result.getValue({ name: 'closed' });
+                    closedPeriods[result.id] = closed === true || closed === 'T';
+                    return true;
+                });
+            } catch (e) {
+                log.error('Period Lookup Error', 'Period IDs: ' + uniqueIds.join(', ') + ', Error: ' + e.message);
+            }
+
+            return closedPeriods;
+        }
+
+        /**
+         * Groups raw query results by PO Line ID
+         * @param {Array} rawResults - Raw search results
+         * @returns {Object} Grouped results by PO line
+         */
+        function groupByPOLine(rawResults) {
+            var groups = {};
+
+            rawResults.forEach(function (row) {
+                var poLineKey = row.po_line_id;
+
+                if (!groups[poLineKey]) {
+                    groups[poLineKey] = {
+                        poInfo: {
+                            po_id: row.po_id,
+                            po_number: row.po_number,
+                            po_date: row.po_date,
+                            po_line_number: row.po_line_number,
+                            vendor_id: row.vendor_id,
+                            vendor_name: row.vendor_name,
+                            item_id: row.item_id,
+                            item_number: row.item_number,
+                            item_name: row.item_name,
+                            currency_id: row.currency_id,
+                            currency_code: row.currency_code
+                        },
+                        itemReceipts: [],
+                        vendorBills: []
+                    };
+                }
+
+                // Line rows are outer joined - a PO line without a receipt or a bill has that side blank
+                var hasReceipt = !!row.ir_line_id && parseFloat(row.ir_quantity) > 0;
+                var hasBill = !!row.vb_line_id && parseFloat(row.vb_quantity) > 0;
+
+                var irExists = !hasReceipt || groups[poLineKey].itemReceipts.some(function (ir) {
+                    return ir.ir_line_id === row.ir_line_id;
+                });
+                if (!irExists) {
+                    // Rates are normalized to the base unit so receipts and bills in different units compare
+                    var irConversionRate = getUnitConversionRate(row.ir_quantity, row.ir_quantity_uom);
+                    groups[poLineKey].itemReceipts.push({
+                        ir_id: row.ir_id,
+                        ir_number: row.ir_number,
+                        ir_date: row.ir_date,
+                        ir_period_closed: row.ir_period_closed,
+                        ir_needs_closed_period_adj: row.ir_needs_closed_period_adj,
+                        ir_line_id: row.ir_line_id,
+                        ir_quantity: parseFloat(row.ir_quantity),
+                        ir_unit: row.ir_unit,
+                        ir_conversion_rate: irConversionRate,
+                        ir_raw_rate: parseFloat(row.ir_rate),
+                        ir_rate: parseFloat(row.ir_rate) / irConversionRate,
+                        ir_exchange_rate: parseFloat(row.ir_exchange_rate) || 1
+                    });
+                }
+
+                var vbExists = !hasBill || groups[poLineKey].vendorBills.some(function (vb) {
+                    return vb.vb_line_id === row.vb_line_id;
+                });
+                if (!vbExists) {
+                    var vbConversionRate = getUnitConversionRate(row.vb_quantity, row.vb_quantity_uom);
+                    groups[poLineKey].vendorBills.push({
+                        vb_id: row.vb_id,
+                        vb_number: row.vb_number,
+                        vb_date: row.vb_date,
+                        vb_line_id: row.vb_line_id,
+                        vb_quantity: parseFloat(row.vb_quantity),
+                        vb_unit: row.vb_unit,
+                        vb_conversion_rate: vbConversionRate,
+                        vb_raw_rate: parseFloat(row.vb_rate),
+                        vb_rate: parseFloat(row.vb_rate) / vbConversionRate,
+                        vb_exchange_rate: parseFloat(row.vb_exchange_rate) || 1
+                    });
+                }
+            });
+
+            log.debug('Grouped by PO Line', 'Total PO lines: ' + Object.keys(groups).length);
+            return groups;
+        }
+
+        /**
+         * Gets the number of base units in one transaction unit of a line. Search quantities are in
+         * base units while rates are per transaction unit, so the ratio of the two quantities is the conversion.
+         * @param {string|number} quantity - Line quantity in base units
+         * @param {string|number} quantityUom - Line quantity in transaction units
+         * @returns {number} Conversion rate (1 when the item does not use units of measure)
+         */
+        function getUnitConversionRate(quantity, quantityUom) {
+            var baseQuantity = parseFloat(quantity);
+            var unitQuantity = parseFloat(quantityUom);
+
+            if (!baseQuantity || !unitQuantity) {
+                return 1;
+            }
+
+            return baseQuantity / unitQuantity;
+        }
+
+        /**
+         * Matches a PO line's receipts to its bills, oldest first.
+         * 'index' pairs the i-th IR with the i-th VB whatever the quantities. 'fifo' lets billed
+         * quantities consume received quantities first-in-first-out, splitting a document across
+         * several matches when one bill covers partial receipts or the reverse.
+         * @param {Object} group - PO line group from groupByPOLine
+         * @param {string} pairingMode - 'index' or 'fifo'
+         * @returns {Object} { matches: [{ ir, vb, matched_quantity }], unmatched: [{ ir or vb, quantity }] }
+         */
+        function matchReceiptsToBills(group, pairingMode) {
+            var receipts = group.itemReceipts;
+            var bills = group.vendorBills;
+            var matches = [];
+            var unmatched = [];
+
+            // Sort by date (oldest first)
+            receipts.sort(function (a, b) {
+                return new Date(a.ir_date) - new Date(b.ir_date);
+            });
+            bills.sort(function (a, b) {
+                return new Date(a.vb_date) - new Date(b.vb_date);
+            });
+
+            if (pairingMode !== 'fifo') {
+                // Create 1:1 pairs (oldest to oldest)
+                for (var i = 0; i < Math.min(receipts.length, bills.length); i++) {
+                    matches.push({
+                        ir: receipts[i],
+                        vb: bills[i],
+                        matched_quantity: Math.min(receipts[i].ir_quantity, bills[i].vb_quantity)
+                    });
+                }
+
+                // Whatever has no counterpart at the same index is left over
+                receipts.slice(bills.length).forEach(function (ir) {
+                    unmatched.push({ ir: ir, quantity: ir.ir_quantity });
+                });
+                bills.slice(receipts.length).forEach(function (vb) {
+                    unmatched.push({ vb: vb, quantity: vb.vb_quantity });
+                });
+
+                return { matches: matches, unmatched: unmatched };
+            }
+
+            var irIndex = 0;
+            var vbIndex = 0;
+            var irRemaining = receipts.length > 0 ? receipts[0].ir_quantity : 0;
+            var vbRemaining = bills.length > 0 ? bills[0].vb_quantity : 0;
+
+            while (irIndex < receipts.length && vbIndex < bills.length) {
+                var quantity = roundQuantity(Math.min(irRemaining, vbRemaining));
+
+                if (quantity > 0) {
+                    matches.push({
+                        ir: receipts[irIndex],
+                        vb: bills[vbIndex],
+                        matched_quantity: quantity
+                    });
+                }
+
+                irRemaining = roundQuantity(irRemaining - quantity);
+                vbRemaining = roundQuantity(vbRemaining - quantity);
+
+                // Move to the next document once its quantity is used up
+                if (irRemaining <= 0) {
+                    irIndex++;
+                    irRemaining = irIndex < receipts.length ? receipts[irIndex].ir_quantity : 0;
+                }
+                if (vbRemaining <= 0) {
+                    vbIndex++;
+                    vbRemaining = vbIndex < bills.length ? bills[vbIndex].vb_quantity : 0;
+                }
+            }
+
+            // Remaining quantity on the current document, then every document after it
+            for (; irIndex < receipts.length; irIndex++) {
+                if (irRemaining > 0) {
+                    unmatched.push({ ir: receipts[irIndex], quantity: irRemaining });
+                }
+                irRemaining = irIndex + 1 < receipts.length ? receipts[irIndex + 1].ir_quantity : 0;
+            }
+            for (; vbIndex < bills.length; vbIndex++) {
+                if (vbRemaining > 0) {
+                    unmatched.push({ vb: bills[vbIndex], quantity: vbRemaining });
+                }
+                vbRemaining = vbIndex + 1 < bills.length ? bills[vbIndex + 1].vb_quantity : 0;
+            }
+
+            return { matches: matches, unmatched: unmatched };
+        }
+
+        /**
+         * Rounds a quantity to remove floating point noise from FIFO subtraction (blank counts as 0)
+         * @param {number} quantity - Quantity
+         * @returns {number} Rounded quantity
+         */
+        function roundQuantity(quantity) {
+            return Math.round((quantity || 0) * 100000) / 100000;
+        }
+
+        /**
+         * Sets the rate each matched IR line should be updated to, with one result per IR line.
+         * 'single' uses the paired VB's rate. 'weighted' merges every bill matched to the same IR line
+         * into one pair whose target rate is the quantity-weighted average bill rate, so the IR line
+         * carries the same value that was billed and Accrued Purchases nets to zero. An IR line that
+         * FIFO split across several bills has no single paired rate, so it is weighted under 'single' too.
+         * @param {Array} matches - Matches from matchReceiptsToBills
+         * @param {string} rateStrategy - 'single' or 'weighted'
+         * @returns {Array} Matches with target_rate and rate_calculation set
+         */
+        function applyRateStrategy(matches, rateStrategy) {
+            var byReceipt = {};
+            var receiptOrder = [];
+
+            matches.forEach(function (match) {
+                var key = match.ir.ir_line_id;
+
+                if (!byReceipt[key]) {
+                    byReceipt[key] = {
+                        ir: match.ir,
+                        vb: match.vb,
+                        matched_quantity: 0,
+                        billed_amount: 0,
+                        parts: []
+                    };
+                    receiptOrder.push(key);
+                }
+
+                var entry = byReceipt[key];
+                entry.matched_quantity = roundQuantity(entry.matched_quantity + match.matched_quantity);
+                entry.billed_amount += match.matched_quantity * match.vb.vb_rate;
+                entry.parts.push(match.matched_quantity + ' x ' + match.vb.vb_rate.toFixed(2) + ' (' + match.vb.vb_number + ')');
+            });
+
+            return receiptOrder.map(function (key) {
+                var entry = byReceipt[key];
+
+                if (rateStrategy !== 'weighted' && entry.parts.length === 1) {
+                    return {
+                        ir: entry.ir,
+                        vb: entry.vb,
+                        matched_quantity: entry.matched_quantity,
+                        target_rate: entry.vb.vb_rate,
+                        rate_calculation: 'Rate of ' + entry.vb.vb_number + ': ' + entry.vb.vb_rate.toFixed(2)
+                    };
+                }
+
+                var targetRate = entry.matched_quantity > 0 ? entry.billed_amount / entry.matched_quantity : entry.vb.vb_rate;
+
+                return {
+                    ir: entry.ir,
+                    vb: entry.vb,
+                    matched_quantity: entry.matched_quantity,
+                    target_rate: targetRate,
+                    rate_calculation: (rateStrategy !== 'weighted' ? 'Billed on ' + entry.parts.length + ' bills, weighted: ' : 'Weighted: ') +
+                        '(' + entry.parts.join(' + ') + ') / ' + entry.matched_quantity + ' = ' + targetRate.toFixed(4)
+                };
+            });
+        }
+
+        /**
+         * Creates variance pairs from the receipt/bill matches of each PO line
+         * @param {Object} poLineGroups - Grouped results
+         * @param {number} [minVariance] - Minimum base currency variance per unit to include (default 0.01)
+         * @param {string} pairingMode - 'index' (i-th IR with i-th VB) or 'fifo' (by quantity)
+         * @param {string} rateStrategy - 'single' (paired VB rate) or 'weighted' (quantity-weighted bill rate per IR line)
+         * @returns {Array} Array of variance pair objects
+         */
+        function createVariancePairs(poLineGroups, minVariance, pairingMode, rateStrategy) {
+            var pairs = [];
+            var threshold = minVariance || DEFAULT_MIN_VARIANCE;
+
+            Object.keys(poLineGroups).forEach(function (poLineKey) {
+                var group = poLineGroups[poLineKey];
+
+                var matches = matchReceiptsToBills(group, pairingMode).matches;
+
+                applyRateStrategy(matches, rateStrategy).forEach(function (match) {
+                    var ir = match.ir;
+                    var vb = match.vb;
+                    // Rates compare in transaction currency; the threshold is applied in base currency at the IR's exchange rate
+                    var variance = match.target_rate - ir.ir_rate;
+                    var baseVariance = variance * ir.ir_exchange_rate;
+
+                    if (Math.abs(baseVariance) >= threshold) {
+                        pairs.push({
+                            po_id: group.poInfo.po_id,
+                            po_number: group.poInfo.po_number,
+                            po_date: group.poInfo.po_date,
+                            po_line_id: poLineKey,
+                            po_line_number: group.poInfo.po_line_number,
+                            vendor_id: group.poInfo.vendor_id,
+                            vendor_name: group.poInfo.vendor_name,
+                            item_id: group.poInfo.item_id,
+                            item_number: group.poInfo.item_number,
+                            item_name: group.poInfo.item_name,
+                            currency_id: group.poInfo.currency_id,
+                            currency_code: group.poInfo.currency_code,
+                            ir_id: ir.ir_id,
+                            ir_number: ir.ir_number,
+                            ir_date: ir.ir_date,
+                            ir_period_closed: ir.ir_period_closed,
+                            ir_needs_closed_period_adj: ir.ir_needs_closed_period_adj,
+                            ir_line_id: ir.ir_line_id,
+                            ir_quantity: ir.ir_quantity,
+                            ir_unit: ir.ir_unit,
+                            ir_conversion_rate: ir.ir_conversion_rate,
+                            ir_raw_rate: ir.ir_raw_rate,
+                            ir_rate: ir.ir_rate,
+                            ir_exchange_rate: ir.ir_exchange_rate,
+                            vb_id: vb.vb_id,
+                            vb_number: vb.vb_number,
+                            vb_date: vb.vb_date,
+                            vb_line_id: vb.vb_line_id,
+                            vb_quantity: vb.vb_quantity,
+                            vb_unit: vb.vb_unit,
+                            vb_conversion_rate: vb.vb_conversion_rate,
+                            vb_raw_rate: vb.vb_raw_rate,
+                            vb_rate: vb.vb_rate,
+                            vb_exchange_rate: vb.vb_exchange_rate,
+                            matched_quantity: match.matched_quantity,
+                            target_rate: match.target_rate,
+                            // Target rate converted back into the IR line's unit - the value written to the IR
+                            ir_new_rate: match.target_rate * ir.ir_conversion_rate,
+                            rate_calculation: match.rate_calculation,
+                            variance: variance,
+                            base_variance: baseVariance
+                        });
+                    }
+                });
+            });
+
+            return pairs;
+        }
+
+        /**
+         * Lists the receipt and bill quantities left over once each PO line has been paired.
+         * These are the lines sitting in Accrued Purchases: received but not billed, or billed but not received.
+         * @param {Object} poLineGroups - Grouped results
+         * @param {string} pairingMode - 'index' or 'fifo', as used for createVariancePairs
+         * @returns {Array} Array of unmatched line objects
+         */
+        function createUnmatchedLines(poLineGroups, pairingMode) {
+            var lines = [];
+
+            Object.keys(poLineGroups).forEach(function (poLineKey) {
+                var group = poLineGroups[poLineKey];
+
+                matchReceiptsToBills(group, pairingMode).unmatched.forEach(function (leftover) {
+                    var isReceipt = !!leftover.ir;
+                    var rate = isReceipt ? leftover.ir.ir_rate : leftover.vb.vb_rate;
+                    var exchangeRate = isReceipt ? leftover.ir.ir_exchange_rate : leftover.vb.vb_exchange_rate;
+
+                    lines.push({
+                        category: isReceipt ? 'Received Not Billed' : 'Billed Not Received',
+                        po_id: group.poInfo.po_id,
+                        po_number: group.poInfo.po_number,
+                        po_line_id: poLineKey,
+                        po_line_number: group.poInfo.po_line_number,
+                        vendor_id: group.poInfo.vendor_id,
+                        vendor_name: group.poInfo.vendor_name,
+                        item_id: group.poInfo.item_id,
+                        item_number: group.poInfo.item_number,
+                        item_name: group.poInfo.item_name,
+                        currency_code: group.poInfo.currency_code,
+                        tran_type: isReceipt ? 'itemrcpt' : 'vendbill',
+                        tran_id: isReceipt ? leftover.ir.ir_id : leftover.vb.vb_id,
+                        tran_number: isReceipt ? leftover.ir.ir_number : leftover.vb.vb_number,
+                        tran_date: isReceipt ? leftover.ir.ir_date : leftover.vb.vb_date,
+                        quantity: leftover.quantity,
+                        rate: rate,
+                        value: leftover.quantity * rate,
+                        base_value: leftover.quantity * rate * exchangeRate
+                    });
+                });
+            });
+
+            return lines;
+        }
+
+        /**
+         * Gets PO/VB variance pairs with custom thresholds
+         * @param {string} locationFilter - Location filter (all/service/kitchen/appliances)
+         * @param {Object} thresholds - Variance threshold percentages by location type
+         * @param {Array} [fixtureRows] - Recorded search rows to replay instead of running the search
+         * @param {number} [maxRows] - Stop reading search rows after this many (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default) or 'suiteql'
+         * @returns {Object} { pairs: Array of variance pairs, newest VB first, rowCount: search rows read,
+         *     totalRows: search rows found, truncated: true when maxRows cut the search short }
+         */
+        function getPOVBVariancePairs(locationFilter, thresholds, fixtureRows, maxRows, engine) {
+            var searchResult = fixtureRows ? wrapFixtureRows(fixtureRows) : searchPOVBVariances(locationFilter, maxRows, engine);
+            var rawResults = searchResult.rows;
+            var poLineGroups = groupBillsByPOLine(rawResults);
+            var variancePairs = createPOVariancePairs(poLineGroups, thresholds);
+
+            // Sort by VB Date descending (newest first)
+            variancePairs.sort(function (a, b) {
+                return new Date(b.vb_date) - new Date(a.vb_date);
+            });
+
+            log.debug('Variance Pairs Created', 'Total pairs: ' + variancePairs.length);
+
+            return {
+                pairs: variancePairs,
+                rowCount: rawResults.length,
+                totalRows: searchResult.totalRows,
+                truncated: searchResult.truncated
+            };
+        }
+
+        /**
+         * Searches for PO/VB rate variances with the chosen engine
+         * @param {string} locationFilter - Location filter
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @param {string} [engine] - 'search' (default, joined transaction search) or 'suiteql'
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function searchPOVBVariances(locationFilter, maxRows, engine) {
+            var started = Date.now();
+            var searchResult = engine === 'suiteql' ? queryPOVBVariances(locationFilter, maxRows) : runPOVBSearch(locationFilter, maxRows);
+
+            log.audit('PO/VB Variance Search', 'Engine: ' + (engine || 'search') + ', rows: ' + searchResult.rows.length +
+                ', elapsed: ' + (Date.now() - started) + ' ms');
+            return searchResult;
+        }
+
+        /**
+         * Runs the joined transaction search for PO/VB rate variances
+         * @param {string} locationFilter - Location filter
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function runPOVBSearch(locationFilter, maxRows) {
+            var filters = [
+                ['type', 'anyof', 'PurchOrd'],
+                'AND',
+                ['mainline', 'is', 'F'],
+                'AND',
+                ['billingtransaction.quantity', 'greaterthan', '0'],
+                'AND',
+                ['quantity', 'greaterthan', '0'],
+                'AND',
+                ['formulanumeric: NVL({fxamount}/{quantity},0)-NVL({billingtransaction.fxamount}/{billingtransaction.quantity},0)', 'notequalto', '0'],
+                'AND',
+                ['custcol_rate_variance_reviewed', 'is', 'F'],
+                'AND',
+                ['billingtransaction.trandate', 'onorafter', '8/1/2025']
+            ];
+
+            // Add location filter
+            if (locationFilter === 'service') {
+                filters.push('AND', ['location', 'anyof', '113']);
+            } else if (locationFilter === 'kitchen') {
+                filters.push('AND', ['location', 'anyof', '17']);
+            } else if (locationFilter === 'appliances') {
+                filters.push('AND', ['location', 'noneof', '113', '17']);
+            }
+
+            var varianceSearch = search.create({
+                type: search.Type.TRANSACTION,
+                filters: filters,
+                columns: [
+                    search.createColumn({ name: 'internalid', label: 'PO ID' }),
+                    search.createColumn({ name: 'tranid', label: 'PO Number' }),
+                    search.createColumn({ name: 'trandate', label: 'PO Date' }),
+                    search.createColumn({ name: 'entity', label: 'Vendor ID' }),
+                    search.createColumn({ name: 'altname', join: 'vendor', label: 'Vendor Display Name' }),
+                    search.createColumn({ name: 'entityid', join: 'vendor', label: 'Vendor Name' }),
+                    search.createColumn({ name: 'location', label: 'Location ID' }),
+                    search.createColumn({ name: 'name', join: 'location', label: 'Location Name' }),
+                    search.createColumn({ name: 'lineuniquekey', label: 'PO Line Key' }),
+                    search.createColumn({ name: 'item', label: 'Item ID' }),
+                    search.createColumn({ name: 'displayname', join: 'item', label: 'Item Name' }),
+                    search.createColumn({ name: 'rate', label: 'PO Rate' }),
+                    search.createColumn({ name: 'quantity', label: 'PO Quantity' }),
+                    search.createColumn({ name: 'unit', label: 'PO Unit' }),
+                    search.createColumn({ name: 'quantityuom', label: 'PO Quantity (Transaction Units)' }),
+                    search.createColumn({ name: 'currency', label: 'Currency ID' }),
+                    search.createColumn({ name: 'symbol', join: 'currency', label: 'Currency Code' }),
+                    search.createColumn({ name: 'exchangerate', label: 'PO Exchange Rate' }),
+                    // Vendor Bill columns
+                    search.createColumn({ name: 'internalid', join: 'billingtransaction', label: 'VB ID' }),
+                    search.createColumn({ name: 'tranid', join: 'billingtransaction', label: 'VB Number' }),
+                    search.createColumn({ name: 'trandate', join: 'billingtransaction', label: 'VB Date' }),
+                    search.createColumn({ name: 'lineuniquekey', join: 'billingtransaction', label: 'VB Line Key' }),
+                    search.createColumn({ name: 'quantity', join: 'billingtransaction', label: 'VB Quantity' }),
+                    search.createColumn({ name: 'rate', join: 'billingtransaction', label: 'VB Rate' }),
+                    search.createColumn({ name: 'unit', join: 'billingtransaction', label: 'VB Unit' }),
+                    search.createColumn({ name: 'quantityuom', join: 'billingtransaction', label: 'VB Quantity (Transaction Units)' }),
+                    search.createColumn({ name: 'exchangerate', join: 'billingtransaction', label: 'VB Exchange Rate' }),
+                    search.createColumn({ name: 'entity', join: 'billingtransaction', label: 'VB Vendor ID' })
+                ]
+            });
+
+            var searchResult = collectSearchRows(varianceSearch, function (result) {
+                var itemName = result.getText({ name: 'item' }) || result.getValue({ name: 'displayname', join: 'item' }) || '';
+
+                // Get vendor display name from the search results directly (no lookup needed)
+                var vendorName = result.getValue({ name: 'altname', join: 'vendor' }) ||
+                    result.getValue({ name: 'entityid', join: 'vendor' }) ||
+                    result.getText({ name: 'entity' }) ||
+                    'Unknown Vendor';
+
+                return {
+                    po_id: result.getValue({ name: 'internalid' }),
+                    po_number: result.getValue({ name: 'tranid' }),
+                    po_date: result.getValue({ name: 'trandate' }),
+                    vendor_id: result.getValue({ name: 'entity' }),
+                    vendor_name: vendorName,
+                    location_id: result.getValue({ name: 'location' }),
+                    location_name: result.getValue({ name: 'name', join: 'location' }),
+                    po_line_key: result.getValue({ name: 'lineuniquekey' }),
+                    item_id: result.getValue({ name: 'item' }),
+                    item_name: itemName,
+                    po_rate: result.getValue({ name: 'rate' }),
+                    po_quantity: result.getValue({ name: 'quantity' }),
+                    po_unit: result.getValue({ name: 'unit' }),
+                    po_quantity_uom: result.getValue({ name: 'quantityuom' }),
+                    currency_id: result.getValue({ name: 'currency' }),
+                    currency_code: result.getValue({ name: 'symbol', join: 'currency' }),
+                    po_exchange_rate: result.getValue({ name: 'exchangerate' }),
+                    vb_id: result.getValue({ name: 'internalid', join: 'billingtransaction' }),
+                    vb_number: result.getValue({ name: 'tranid', join: 'billingtransaction' }),
+                    vb_date: result.getValue({ name: 'trandate', join: 'billingtransaction' }),
+                    vb_line_key: result.getValue({ name: 'lineuniquekey', join: 'billingtransaction' }),
+                    vb_quantity: result.getValue({ name: 'quantity', join: 'billingtransaction' }),
+                    vb_rate: result.getValue({ name: 'rate', join: 'billingtransaction' }),
+                    vb_unit: result.getValue({ name: 'unit', join: 'billingtransaction' }),
+                    vb_quantity_uom: result.getValue({ name: 'quantityuom', join: 'billingtransaction' }),
+                    vb_exchange_rate: result.getValue({ name: 'exchangerate', join: 'billingtransaction' })
+                };
+            }, maxRows);
+
+            log.debug('Search Results', 'Rows read: ' + searchResult.rows.length + ' of ' + searchResult.totalRows);
+            return searchResult;
+        }
+
+        /**
+         * Queries PO/VB rate variances with SuiteQL, reaching bills through NextTransactionLineLink on
+         * the PO line. Rows have the same shape as runPOVBSearch.
+         * @param {string} locationFilter - Location filter
+         * @param {number} [maxRows] - Stop reading after this many rows (missing or 0 for no cap)
+         * @returns {Object} { rows: Array of raw search rows, totalRows: number, truncated: boolean }
+         */
+        function queryPOVBVariances(locationFilter, maxRows) {
+            var where = [
+                "po.type = 'PurchOrd'",
+                "pol.mainline = 'F'",
+                'pol.quantity <> 0',
+                'vbl.quantity <> 0',
+                'NVL(ABS(pol.foreignamount) / ABS(pol.quantity), 0) - NVL(ABS(vbl.foreignamount) / ABS(vbl.quantity), 0) <> 0',
+                "NVL(pol.custcol_rate_variance_reviewed, 'F') = 'F'",
+                "vb.trandate >= TO_DATE('2025-08-01', 'YYYY-MM-DD')"
+            ];
+
+            // Same location IDs as the search's location filter
+            if (locationFilter === 'service') {
+                where.push('pol.location = 113');
+            } else if (locationFilter === 'kitchen') {
+                where.push('pol.location = 17');
+            } else if (locationFilter === 'appliances') {
+                where.push('(pol.location IS NULL OR pol.location NOT IN (113, 17))');
+            }
+
+            var sql = 'SELECT po.id AS po_id, po.tranid AS po_number, po.trandate AS po_date,' +
+                ' po.entity AS vendor_id, COALESCE(v.altname, v.entityid, BUILTIN.DISPLAY(po.entity)) AS vendor_name,' +
+                ' pol.location AS location_id, loc.name AS location_name, pol.uniquekey AS po_line_key,' +
+                ' pol.item AS item_id, COALESCE(BUILTIN.DISPLAY(pol.item), it.displayname) AS item_name,' +
+                ' pol.rate AS po_rate, ABS(pol.quantity) AS po_quantity, BUILTIN.DISPLAY(pol.units) AS po_unit,' +
+                ' ABS(pol.quantity) / NVL(pou.conversionrate, 1) AS po_quantity_uom,' +
+                ' po.currency AS currency_id, cur.symbol AS currency_code, po.exchangerate AS po_exchange_rate,' +
+                ' vb.id AS vb_id, vb.tranid AS vb_number, vb.trandate AS vb_date,' +
+                ' vbl.uniquekey AS vb_line_key, ABS(vbl.quantity) AS vb_quantity, vbl.rate AS vb_rate,' +
+                ' BUILTIN.DISPLAY(vbl.units) AS vb_unit, ABS(vbl.quantity) / NVL(vbu.conversionrate, 1) AS vb_quantity_uom,' +
+                ' vb.exchangerate AS vb_exchange_rate' +
+                ' FROM transaction po' +
+                ' INNER JOIN transactionline pol ON pol.transaction = po.id' +
+                ' INNER JOIN NextTransactionLineLink vblink ON vblink.previousdoc = po.id AND vblink.previousline = pol.id' +
+                " INNER JOIN transaction vb ON vb.id = vblink.nextdoc AND vb.type = 'VendBill'" +
+                ' INNER JOIN transactionline vbl ON vbl.transaction = vb.id AND vbl.id = vblink.nextline' +
+                ' LEFT JOIN vendor v ON v.id = po.entity' +
+                ' LEFT JOIN location loc ON loc.id = pol.location' +
+                ' LEFT JOIN item it ON it.id = pol.item' +
+                ' LEFT JOIN currency cur ON cur.id = po.currency' +
+                ' LEFT JOIN unitstypeuom pou ON pou.internalid = pol.units' +
+                ' LEFT JOIN unitstypeuom vbu ON vbu.internalid = vbl.units' +
+                ' WHERE ' + where.join(' AND ') +
+                ' ORDER BY po.id, pol.id, vb.id';
+
+            var searchResult = collectQueryRows(sql, [], mapQueryRow, maxRows);
+
+            log.debug('Query Results', 'Rows read: ' + searchResult.rows.length + ' of ' + searchResult.totalRows);
+            return searchResult;
+        }
+
+        /**
+         * Groups raw PO/VB query results by PO Line Key
+         * @param {Array} rawResults - Raw search results from searchPOVBVariances
+         * @returns {Object} Grouped results by PO line
+         */
+        function groupBillsByPOLine(rawResults) {
+            var groups = {};
+
+            rawResults.forEach(function (row) {
+                var poLineKey = row.po_line_key;
+
+                if (!groups[poLineKey]) {
+                    // Rates are normalized to the base unit so a PO per case and a bill per each compare
+                    var poConversionRate = getUnitConversionRate(row.po_quantity, row.po_quantity_uom);
+                    groups[poLineKey] = {
+                        poInfo: {
+                            po_id: row.po_id,
+                            po_number: row.po_number,
+                            po_date: row.po_date,
+                            vendor_id: row.vendor_id,
+                            vendor_name: row.vendor_name,
+                            location_id: row.location_id,
+                            location_name: row.location_name,
+                            po_line_key: row.po_line_key,
+                            item_id: row.item_id,
+                            item_name: row.item_name,
+                            po_unit: row.po_unit,
+                            po_conversion_rate: poConversionRate,
+                            po_raw_rate: parseFloat(row.po_rate),
+                            po_rate: parseFloat(row.po_rate) / poConversionRate,
+                            po_quantity: parseFloat(row.po_quantity),
+                            currency_id: row.currency_id,
+                            currency_code: row.currency_code,
+                            po_exchange_rate: parseFloat(row.po_exchange_rate) || 1
+                        },
+                        vendorBills: []
+                    };
+                }
+
+                // Add Vendor Bill if not already added
+                var vbExists = groups[poLineKey].vendorBills.some(function (vb) {
+                    return vb.vb_line_key === row.vb_line_key;
+                });
+                if (!vbExists) {
+                    var vbConversionRate = getUnitConversionRate(row.vb_quantity, row.vb_quantity_uom);
+                    groups[poLineKey].vendorBills.push({
+                        vb_id: row.vb_id,
+                        vb_number: row.vb_number,
+                        vb_date: row.vb_date,
+                        vb_line_key: row.vb_line_key,
+                        vb_quantity: parseFloat(row.vb_quantity),
+                        vb_unit: row.vb_unit,
+                        vb_conversion_rate: vbConversionRate,
+                        vb_raw_rate: parseFloat(row.vb_rate),
+                        vb_rate: parseFloat(row.vb_rate) / vbConversionRate,
+                        vb_exchange_rate: parseFloat(row.vb_exchange_rate) || 1
+                    });
+                }
+            });
+
+            log.debug('Grouped by PO Line', 'Total PO lines with variances: ' + Object.keys(groups).length);
+            return groups;
+        }
+
+        /**
+         * Creates variance pairs by matching PO to oldest VB
+         * @param {Object} poLineGroups - Grouped results
+         * @param {Object} thresholds - Variance thresholds by location type
+         * @returns {Array} Array of variance pair objects
+         */
+        function createPOVariancePairs(poLineGroups, thresholds) {
+            var pairs = [];
+
+            Object.keys(poLineGroups).forEach(function (poLineKey) {
+                var group = poLineGroups[poLineKey];
+
+                // Sort VBs by date (oldest first)
+                group.vendorBills.sort(function (a, b) {
+                    return new Date(a.vb_date) - new Date(b.vb_date);
+                });
+
+                // Match PO line to oldest VB
+                if (group.vendorBills.length > 0) {
+                    var vb = group.vendorBills[0]; // Oldest VB
+                    // Rates compare in transaction currency; the $0.01 floor is applied in base currency at the VB's exchange rate
+                    var variance = vb.vb_rate - group.poInfo.po_rate;
+                    var baseVariance = variance * vb.vb_exchange_rate;
+                    var variancePercent = group.poInfo.po_rate !== 0 ? (variance / group.poInfo.po_rate * 100) : 0;
+
+                    // Get threshold for this location
+                    var threshold = getThresholdForLocation(group.poInfo.location_id, thresholds);
+
+                    // Only include if base variance >= 0.01 AND meets percentage threshold
+                    // Show if abs(variancePercent) >= threshold
+                    if (Math.abs(baseVariance) >= DEFAULT_MIN_VARIANCE && Math.abs(variancePercent) >= threshold) {
+                        pairs.push({
+                            po_id: group.poInfo.po_id,
+                            po_number: group.poInfo.po_number,
+                            po_date: group.poInfo.po_date,
+                            vendor_id: group.poInfo.vendor_id,
+                            vendor_name: group.poInfo.vendor_name,
+                            location_id: group.poInfo.location_id,
+                            location_name: group.poInfo.location_name,
+                            po_line_key: group.poInfo.po_line_key,
+                            item_id: group.poInfo.item_id,
+                            item_name: group.poInfo.item_name,
+                            po_unit: group.poInfo.po_unit,
+                            po_conversion_rate: group.poInfo.po_conversion_rate,
+                            po_raw_rate: group.poInfo.po_raw_rate,
+                            po_rate: group.poInfo.po_rate,
+                            po_quantity: group.poInfo.po_quantity,
+                            currency_id: group.poInfo.currency_id,
+                            currency_code: group.poInfo.currency_code,
+                            po_exchange_rate: group.poInfo.po_exchange_rate,
+                            vb_id: vb.vb_id,
+                            vb_number: vb.vb_number,
+                            vb_date: vb.vb_date,
+                            vb_line_key: vb.vb_line_key,
+                            vb_quantity: vb.vb_quantity,
+                            vb_unit: vb.vb_unit,
+                            vb_conversion_rate: vb.vb_conversion_rate,
+                            vb_raw_rate: vb.vb_raw_rate,
+                            vb_rate: vb.vb_rate,
+                            vb_exchange_rate: vb.vb_exchange_rate,
+                            variance: variance,
+                            base_variance: baseVariance
+                        });
+                    }
+                }
+            });
+
+            return pairs;
+        }
+
+        /**
+         * Gets the variance threshold for a specific location
+         * @param {string} locationId - Location internal ID
+         * @param {Object} thresholds - Variance thresholds object
+         * @returns {number} Variance threshold percentage
+         */
+        function getThresholdForLocation(locationId, thresholds) {
+            // Service location: 113
+            if (locationId === '113') {
+                return thresholds.service;
+            }
+            // Kitchen Works location: 17
+            else if (locationId === '17') {
+                return thresholds.kitchens;
+            }
+            // Appliances: all others
+            else {
+                return thresholds.appliances;
+            }
+        }
+
+        /**
+         * Loads the active, unexpired vendor/item exclusion rules
+         * @returns {Array} Rules as { vendor_id, item_id, reason, expiry }
+         */
+        function getExclusionRules() {
+            var rules = [];
+
+            search.create({
+                type: 'customrecord_vb_variance_exclusion',
+                filters: [
+                    ['isinactive', 'is', 'F'],
+                    'AND',
+                    [
+                        ['custrecord_vbve_expiry', 'isempty', ''],
+                        'OR',
+                        ['custrecord_vbve_expiry', 'onorafter', 'today']
+                    ]
+                ],
+                columns: [
+                    search.createColumn({ name: 'custrecord_vbve_vendor', label: 'Vendor' }),
+                    search.createColumn({ name: 'custrecord_vbve_item', label: 'Item' }),
+                    search.createColumn({ name: 'custrecord_vbve_reason', label: 'Reason' }),
+                    search.createColumn({ name: 'custrecord_vbve_expiry', label: 'Expiry Date' })
+                ]
+            }).run().each(function (result) {
+                var vendorId = result.getValue({ name: 'custrecord_vbve_vendor' });
+                var itemId = result.getValue({ name: 'custrecord_vbve_item' });
+
+                // A rule needs at least a vendor or an item
+                if (vendorId || itemId) {
+                    rules.push({
+                        vendor_id: vendorId,
+                        item_id: itemId,
+                        reason: result.getValue({ name: 'custrecord_vbve_reason' }),
+                        expiry: result.getValue({ name: 'custrecord_vbve_expiry' })
+                    });
+                }
+                return true;
+            });
+
+            log.debug('Exclusion Rules', 'Active rules: ' + rules.length);
+            return rules;
+        }
+
+        /**
+         * Splits variance pairs into those allowed to be updated and those matching an exclusion rule.
+         * A rule with only a vendor excludes all of that vendor's items, a rule with only an item
+         * excludes it for every vendor, and a rule with both excludes only that combination.
+         * @param {Array} variancePairs - Variance pair objects
+         * @param {Array} rules - Rules from getExclusionRules
+         * @returns {Object} { included: Array, excluded: Array } - excluded pairs carry exclusion_reason
+         */
+        function applyExclusionRules(variancePairs, rules) {
+            var included = [];
+            var excluded = [];
+
+            variancePairs.forEach(function (pair) {
+                var matchedRule = null;
+
+                rules.some(function (rule) {
+                    var vendorMatches = !rule.vendor_id || rule.vendor_id.toString() === (pair.vendor_id || '').toString();
+                    var itemMatches = !rule.item_id || rule.item_id.toString() === (pair.item_id || '').toString();
+                    if (vendorMatches && itemMatches) {
+                        matchedRule = rule;
+                        return true;
+                    }
+                    return false;
+                });
+
+                if (matchedRule) {
+                    pair.exclusion_reason = matchedRule.reason || '';
+                    pair.exclusion_expiry = matchedRule.expiry || '';
+                    excluded.push(pair);
+                } else {
+                    included.push(pair);
+                }
+            });
+
+            return {
+                included: included,
+                excluded: excluded
+            };
+        }
+
+        /**
+         * Builds the rate change ceilings from a deployment's ceiling parameters. A change above either
+         * ceiling is not applied automatically and waits for approval instead.
+         * @param {string|number} [amount] - Per unit change ceiling parameter value
+         * @param {string|number} [percent] - Change % of the old rate ceiling parameter value
+         * @returns {Object} { amount, percent } - null when not set
+         */
+        function getChangeCeilings(amount, percent) {
+            var maxAmount = parseFloat(amount);
+            var maxPercent = parseFloat(percent);
+
+            return {
+                amount: maxAmount > 0 ? maxAmount : null,
+                percent: maxPercent > 0 ? maxPercent : null
+            };
+        }
+
+        /**
+         * Checks a rate change against the change ceilings
+         * @param {number} oldRate - Current IR line rate
+         * @param {number} newRate - Rate the IR line would be updated to
+         * @param {Object} ceilings - Ceilings from getChangeCeilings
+         * @param {number} [exchangeRate] - IR exchange rate; the amount ceiling is in base currency
+         * @returns {string} Reason the change needs approval, or '' when it is within the ceilings
+         */
+        function getChangeCeilingReason(oldRate, newRate, ceilings, exchangeRate) {
+            var change = Math.abs(parseFloat(newRate) - parseFloat(oldRate));
+            var baseChange = change * (parseFloat(exchangeRate) || 1);
+
+            if (ceilings.amount !== null && baseChange > ceilings.amount) {
+                return 'Change of ' + baseChange.toFixed(2) + ' (base currency) exceeds the ' + ceilings.amount.toFixed(2) + ' ceiling';
+            }
+
+            if (ceilings.percent !== null) {
+                var changePercent = parseFloat(oldRate) ? change / Math.abs(parseFloat(oldRate)) * 100 : Infinity;
+                if (changePercent > ceilings.percent) {
+                    return 'Change of ' + (isFinite(changePercent) ? changePercent.toFixed(1) + '%' : 'a zero rate') +
+                        ' exceeds the ' + ceilings.percent + '% ceiling';
+                }
+            }
+
+            return '';
+        }
+
+        /**
+         * Finds an open or rejected approval request for the same IR line and new rate, so one
+         * change is never requested twice
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} irLineId - IR line unique key
+         * @param {number} newRate - Requested rate
+         * @returns {Object|null} { id, status } of the existing request
+         */
+        function findApprovalRequest(irId, irLineId, newRate) {
+            var existing = null;
+
+            search.create({
+                type: 'customrecord_vb_variance_approval',
+                filters: [
+                    ['custrecord_vbva_item_receipt', 'anyof', irId],
+                    'AND',
+                    ['custrecord_vbva_ir_line_id', 'is', irLineId],
+                    'AND',
+                    ['custrecord_vbva_status', 'isnot', APPROVAL_STATUS.APPROVED],
+                    'AND',
+                    ['isinactive', 'is', 'F']
+                ],
+                columns: ['custrecord_vbva_status', 'custrecord_vbva_new_rate']
+            }).run().each(function (result) {
+                var status = result.getValue({ name: 'custrecord_vbva_status' });
+                var sameRate = Math.abs(parseFloat(result.getValue({ name: 'custrecord_vbva_new_rate' })) - parseFloat(newRate)) < 0.00001;
+
+                if (status === APPROVAL_STATUS.PENDING || sameRate) {
+                    existing = { id: result.id, status: status };
+                    return false;
+                }
+                return true;
+            });
+
+            return existing;
+        }
+
+        /**
+         * Records a rate change that exceeds the ceilings as awaiting approval. The IR is not touched
+         * until a user with an approver role, other than the requester, approves it in the Suitelet.
+         * @param {Object} change - { irId, irLineId, poLineNumber, itemId, vbId, oldRate, newRate }
+         * @param {string} reason - Why the change needs approval
+         * @returns {Object} { id, status } of the new or already existing request
+         */
+        function createApprovalRequest(change, reason) {
+            var existing = findApprovalRequest(change.irId, change.irLineId, change.newRate);
+            if (existing) {
+                return existing;
+            }
+
+            var approval = record.create({
+                type: 'customrecord_vb_variance_approval',
+                isDynamic: false
+            });
+
+            approval.setValue({ fieldId: 'custrecord_vbva_item_receipt', value: change.irId });
+            approval.setValue({ fieldId: 'custrecord_vbva_ir_line_id', value: change.irLineId });
+            approval.setValue({ fieldId: 'custrecord_vbva_po_line_number', value: change.poLineNumber || '' });
+            approval.setValue({ fieldId: 'custrecord_vbva_item', value: change.itemId });
+            if (change.vbId) {
+                approval.setValue({ fieldId: 'custrecord_vbva_vendor_bill', value: change.vbId });
+            }
+            approval.setValue({ fieldId: 'custrecord_vbva_old_rate', value: parseFloat(change.oldRate) });
+            approval.setValue({ fieldId: 'custrecord_vbva_new_rate', value: parseFloat(change.newRate) });
+            approval.setValue({ fieldId: 'custrecord_vbva_reason', value: reason });
+            approval.setValue({ fieldId: 'custrecord_vbva_status', value: APPROVAL_STATUS.PENDING });
+
+            // Recorded so the approval can be refused to the same user - scheduled runs execute as the system user, left blank
+            var currentUser = runtime.getCurrentUser();
+            if (currentUser.id > 0) {
+                approval.setValue({ fieldId: 'custrecord_vbva_requested_by', value: currentUser.id });
+            }
+
+            var approvalId = approval.save({
+                enableSourcing: false,
+                ignoreMandatoryFields: true
+            });
+
+            log.audit('Rate Change Awaiting Approval', {
+                approvalId: approvalId,
+                irId: change.irId,
+                oldRate: change.oldRate,
+                newRate: change.newRate,
+                reason: reason
+            });
+
+            return { id: approvalId, status: APPROVAL_STATUS.PENDING };
+        }
+
+        /**
+         * Acquires the update lock on an Item Receipt. The lock is a custom record whose external ID
+         * is unique per IR, so only one of the scheduled script, the map/reduce and the Suitelet can
+         * hold it at a time. A lock older than LOCK_STALE_MINUTES is treated as abandoned and taken over.
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} holder - Who is taking the lock, shown to anyone who finds it busy
+         * @returns {Object} { lockId } when acquired, { heldBy, since } when another process holds it
+         */
+        function acquireItemReceiptLock(irId, holder) {
+            var externalId = 'vbv_ir_lock_' + irId;
+
+            for (var attempt = 0; attempt < 2; attempt++) {
+                try {
+                    var lock = record.create({
+                        type: 'customrecord_vb_variance_ir_lock',
+                        isDynamic: false
+                    });
+
+                    lock.setValue({ fieldId: 'externalid', value: externalId });
+                    lock.setValue({ fieldId: 'name', value: externalId });
+                    lock.setValue({ fieldId: 'custrecord_vbil_item_receipt', value: irId });
+                    lock.setValue({ fieldId: 'custrecord_vbil_holder', value: holder });
+                    lock.setValue({ fieldId: 'custrecord_vbil_acquired', value: new Date() });
+
+                    return {
+                        lockId: lock.save({
+                            enableSourcing: false,
+                            ignoreMandatoryFields: true
+                        })
+                    };
+
+                } catch (e) {
+                    // The external ID is taken - someone else holds the lock
+                    var existing = null;
+                    search.create({
+                        type: 'customrecord_vb_variance_ir_lock',
+                        filters: [['externalid', 'anyof', externalId]],
+                        columns: ['custrecord_vbil_holder', 'custrecord_vbil_acquired']
+                    }).run().each(function (result) {
+                        existing = {
+                            id: result.id,
+                            heldBy: result.getValue({ name: 'custrecord_vbil_holder' }),
+                            since: result.getValue({ name: 'custrecord_vbil_acquired' })
+                        };
+                        return false;
+                    });
+
+                    if (!existing) {
+                        throw e;
+                    }
+
+                    var acquired = existing.since ? format.parse({ value: existing.since, type: format.Type.DATETIME }) : null;
+                    var isStale = !acquired || (new Date() - acquired) > LOCK_STALE_MINUTES * 60000;
+
+                    if (!isStale || attempt > 0) {
+                        return { heldBy: existing.heldBy, since: existing.since };
+                    }
+
+                    log.audit('Stale IR Lock Released', {
+                        irId: irId,
+                        heldBy: existing.heldBy,
+                        since: existing.since
+                    });
+                    releaseItemReceiptLock(existing.id);
+                }
+            }
+        }
+
+        /**
+         * Releases an Item Receipt update lock. Failures are logged - an unreleased lock expires
+         * after LOCK_STALE_MINUTES.
+         * @param {string} lockId - Lock record internal ID
+         */
+        function releaseItemReceiptLock(lockId) {
+            try {
+                record.delete({
+                    type: 'customrecord_vb_variance_ir_lock',
+                    id: lockId
+                });
+            } catch (e) {
+                log.error('IR Lock Release Failed', {
+                    lockId: lockId,
+                    error: e.message || e.toString()
+                });
+            }
+        }
+
+        /**
+         * Updates the Item Receipt line that pairs with the Vendor Bill line with the new rate
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} irLineId - IR Line unique ID
+         * @param {string} orderLine - PO line number the IR line was received against (may be blank)
+         * @param {string} itemId - Item internal ID
+         * @param {number} newRate - New rate from vendor bill
+         * @param {boolean} [dryRun] - When true, the line is matched and reported but the IR is not saved
+         * @param {Object} [journal] - { source, batch } for the undo journal entry written after saving
+         * @returns {Array} Changed lines as { line, lineKey, oldRate, newRate }
+         */
+        function updateItemReceiptLineRate(irId, irLineId, orderLine, itemId, newRate, dryRun, journal) {
+            return saveItemReceiptLineRate(loadItemReceiptLine(irId, irLineId, orderLine, itemId), newRate, dryRun, journal);
+        }
+
+        /**
+         * Loads an Item Receipt and finds the line that pairs with the Vendor Bill line, so callers
+         * can check the rate, currency and vendor actually on the record before changing it
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} irLineId - IR Line unique ID
+         * @param {string} orderLine - PO line number the IR line was received against (may be blank)
+         * @param {string} itemId - Item internal ID
+         * @returns {Object} { record, irId, itemId, line, rate, exchangeRate, vendorId }
+         */
+        function loadItemReceiptLine(irId, irLineId, orderLine, itemId) {
+            // Load the Item Receipt in standard mode
+            var irRecord = record.load({
+                type: record.Type.ITEM_RECEIPT,
+                id: irId,
+                isDynamic: false
+            });
+
+            var line = findItemReceiptLine(irRecord, irId, irLineId, orderLine, itemId);
+
+            return {
+                record: irRecord,
+                irId: irId,
+                itemId: irRecord.getSublistValue({ sublistId: 'item', fieldId: 'item', line: line }) || itemId,
+                line: line,
+                rate: parseFloat(irRecord.getSublistValue({ sublistId: 'item', fieldId: 'rate', line: line })) || 0,
+                exchangeRate: parseFloat(irRecord.getValue({ fieldId: 'exchangerate' })) || 1,
+                vendorId: irRecord.getValue({ fieldId: 'entity' })
+            };
+        }
+
+        /**
+         * Sets the new rate on a line found by loadItemReceiptLine, saves the Item Receipt and journals the change
+         * @param {Object} irLine - Line from loadItemReceiptLine
+         * @param {number} newRate - New rate from vendor bill
+         * @param {boolean} [dryRun] - When true, the line is reported but the IR is not saved
+         * @param {Object} [journal] - { source, batch } for the undo journal entry written after saving
+         * @returns {Array} Changed lines as { line, lineKey, oldRate, newRate }
+         */
+        function saveItemReceiptLineRate(irLine, newRate, dryRun, journal) {
+            log.debug('Updating IR Line', {
+                irId: irLine.irId,
+                line: irLine.line,
+                itemId: irLine.itemId,
+                newRate: newRate,
+                dryRun: !!dryRun
+            });
+
+            var changedLines = [setRateOnLine(irLine.record, irLine.line, irLine.itemId, newRate)];
+
+            if (dryRun) {
+                return changedLines;
+            }
+
+            // Save the record
+            var savedId = irLine.record.save({
+                enableSourcing: false,
+                ignoreMandatoryFields: true
+            });
+
+            log.audit('IR Updated Successfully', {
+                irId: savedId,
+                itemId: irLine.itemId,
+                line: irLine.line,
+                newRate: newRate
+            });
+
+            if (journal) {
+                changedLines.forEach(function (changed) {
+                    writeRateChangeJournal({
+                        irId: irLine.irId,
+                        lineKey: changed.lineKey,
+                        itemId: irLine.itemId,
+                        oldRate: changed.oldRate,
+                        newRate: changed.newRate
+                    }, journal);
+                });
+            }
+
+            return changedLines;
+        }
+
+        /**
+         * Sets the rate on the line of a loaded Item Receipt that pairs with the Vendor Bill line
+         * @param {record.Record} irRecord - Item Receipt loaded in standard mode
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} irLineId - IR Line unique ID
+         * @param {string} orderLine - PO line number the IR line was received against
+         * @param {string} itemId - Item internal ID
+         * @param {number} newRate - New rate from vendor bill
+         * @returns {Object} Changed line as { line, lineKey, oldRate, newRate }
+         */
+        function setItemReceiptLineRate(irRecord, irId, irLineId, orderLine, itemId, newRate) {
+            // Find the one line that pairs with the VB line
+            return setRateOnLine(irRecord, findItemReceiptLine(irRecord, irId, irLineId, orderLine, itemId), itemId, newRate);
+        }
+
+        /**
+         * Sets the rate on one line of a loaded Item Receipt
+         * @param {record.Record} irRecord - Item Receipt loaded in standard mode
+         * @param {number} line - Line index
+         * @param {string} itemId - Item internal ID (logged)
+         * @param {number} newRate - New rate
+         * @returns {Object} Changed line as { line, lineKey, oldRate, newRate }
+         */
+        function setRateOnLine(irRecord, line, itemId, newRate) {
+            var oldRate = irRecord.getSublistValue({
+                sublistId: 'item',
+                fieldId: 'rate',
+                line: line
+            });
+
+            // Update the rate
+            irRecord.setSublistValue({
+                sublistId: 'item',
+                fieldId: 'rate',
+                line: line,
+                value: parseFloat(newRate)
+            });
+
+            log.debug('Line Updated', {
+                line: line,
+                item: itemId,
+                oldRate: oldRate,
+                newRate: newRate
+            });
+
+            return {
+                line: line,
+                lineKey: irRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'lineuniquekey',
+                    line: line
+                }),
+                oldRate: oldRate,
+                newRate: parseFloat(newRate)
+            };
+        }
+
+        /**
+         * Finds the Item Receipt line that pairs with the Vendor Bill line. Matches by IR line
+         * unique key first, then by the PO line the IR line was received against, and only
+         * falls back to the item when exactly one line carries it.
+         * @param {record.Record} irRecord - Item Receipt loaded in standard mode
+         * @param {string} irId - Item Receipt internal ID
+         * @param {string} irLineId - IR Line unique ID
+         * @param {string} orderLine - PO line number the IR line was received against
+         * @param {string} itemId - Item internal ID
+         * @returns {number} Line index
+         */
+        function findItemReceiptLine(irRecord, irId, irLineId, orderLine, itemId) {
+            var lineCount = irRecord.getLineCount({ sublistId: 'item' });
+            var orderLineMatches = [];
+            var itemMatches = [];
+
+            for (var i = 0; i < lineCount; i++) {
+                var lineKey = irRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'lineuniquekey',
+                    line: i
+                });
+
+                // Exact line - nothing else to check
+                if (irLineId && lineKey && lineKey.toString() === irLineId.toString()) {
+                    return i;
+                }
+
+                var currentItem = irRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'item',
+                    line: i
+                });
+
+                if (!currentItem || currentItem.toString() !== itemId.toString()) {
+                    continue;
+                }
+                itemMatches.push(i);
+
+                var currentOrderLine = irRecord.getSublistValue({
+                    sublistId: 'item',
+                    fieldId: 'orderline',
+                    line: i
+                });
+
+                if (orderLine && currentOrderLine && currentOrderLine.toString() === orderLine.toString()) {
+                    orderLineMatches.push(i);
+                }
+            }
+
+            var matches = orderLineMatches.length > 0 ? orderLineMatches : itemMatches;
+
+            if (matches.length === 0) {
+                throw new Error('No lines found with Item ID ' + itemId + ' on IR ' + irId);
+            }
+
+            // Same item on several lines (e.g. different PO lines at different prices) - never guess
+            if (matches.length > 1) {
+                throw new Error('Multiple lines found with Item ID ' + itemId + ' on IR ' + irId + ' - cannot determine which line pairs with the Vendor Bill');
+            }
+
+            return matches[0];
+        }
+
+        /**
+         * Writes one IR rate change to the undo journal so it can be reverted from the IR/VB Suitelet.
+         * Failures are logged but never undo the rate change itself.
+         * @param {Object} change - { irId, lineKey, itemId, oldRate, newRate }
+         * @param {Object} journal - { source, batch } describing what made the change
+         * @returns {string|null} Rate change journal internal ID
+         */
+        function writeRateChangeJournal(change, journal) {
+            try {
+                var entry = record.create({
+                    type: 'customrecord_vb_variance_rate_change',
+                    isDynamic: false
+                });
+
+                entry.setValue({ fieldId: 'custrecord_vbrc_item_receipt', value: change.irId });
+                entry.setValue({ fieldId: 'custrecord_vbrc_line_key', value: change.lineKey });
+                entry.setValue({ fieldId: 'custrecord_vbrc_item', value: change.itemId });
+                entry.setValue({ fieldId: 'custrecord_vbrc_old_rate', value: parseFloat(change.oldRate) });
+                entry.setValue({ fieldId: 'custrecord_vbrc_new_rate', value: parseFloat(change.newRate) });
+                entry.setValue({ fieldId: 'custrecord_vbrc_source', value: journal.source });
+                entry.setValue({ fieldId: 'custrecord_vbrc_batch', value: journal.batch });
+                entry.setValue({ fieldId: 'custrecord_vbrc_script', value: runtime.getCurrentScript().id });
+                entry.setValue({ fieldId: 'custrecord_vbrc_changed_date', value: new Date() });
+
+                // Scripts running as the system user have no employee to record - the script ID stands in
+                var currentUser = runtime.getCurrentUser();
+                if (currentUser.id > 0) {
+                    entry.setValue({ fieldId: 'custrecord_vbrc_changed_by', value: currentUser.id });
+                }
+
+                return entry.save({
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                });
+
+            } catch (e) {
+                log.error('Rate Change Journal Failed', {
+                    irId: change.irId,
+                    lineKey: change.lineKey,
+                    oldRate: change.oldRate,
+                    newRate: change.newRate,
+                    error: e.message || e.toString()
+                });
+                return null;
+            }
+        }
+
+        /**
+         * Updates IR header field using submitField (no GL impact)
+         * @param {string} irId - Item Receipt internal ID
+         * @param {boolean} flagValue - True to flag for closed period adj, false to clear
+         */
+        function updateIRClosedPeriodFlag(irId, flagValue) {
+            log.debug('Updating IR Closed Period Flag', {
+                irId: irId,
+                flagValue: flagValue
+            });
+
+            record.submitFields({
+                type: record.Type.ITEM_RECEIPT,
+                id: irId,
+                values: {
+                    custbody_ir_needs_closed_period_adj: flagValue
+                },
+                options: {
+                    enableSourcing: false,
+                    ignoreMandatoryFields: true
+                }
+            });
+
+            log.audit('IR Flag Updated', {
+                irId: irId,
+                flagValue: flagValue
+            });
+        }
+
+        /**
+         * Builds the Journal Entry that moves a closed period adjustment's Accrued Purchases expense line
+         * into COGS. The entry takes the Vendor Bill's currency, exchange rate and subsidiary, so in base
+         * currency its Accrued Purchases line offsets the bill's expense line exactly.
+         * @param {number} adjustmentAmount - Expense line amount added to the Vendor Bill, in the bill's currency
+         * @param {Object} bill - { number, currency, exchangeRate, subsidiary } of the Vendor Bill
+         * @param {Object} accounts - { accruedAccount, cogsAccount, cogsDepartment }
+         * @param {string} itemName - Item name for the COGS line memo
+         * @returns {Object} { currency, exchangeRate, subsidiary, expenseBaseAmount, lines: [{ account, side, amount, baseAmount, memo, department }] }
+         */
+        function buildClosedPeriodJournal(adjustmentAmount, bill, accounts, itemName) {
+            var exchangeRate = parseFloat(bill.exchangeRate) || 1;
+            var absAmount = Math.abs(adjustmentAmount);
+            var absBaseAmount = Math.round(absAmount * exchangeRate * 100) / 100;
+
+            // Positive: VB expense is positive, so CREDIT Accrued Purchases, DEBIT COGS. Negative is the reverse.
+            return {
+                currency: bill.currency,
+                exchangeRate: exchangeRate,
+                subsidiary: bill.subsidiary,
+                expenseBaseAmount: adjustmentAmount < 0 ? -absBaseAmount : absBaseAmount,
+                lines: [
+                    {
+                        account: accounts.accruedAccount,
+                        side: adjustmentAmount > 0 ? 'credit' : 'debit',
+                        amount: absAmount,
+                        baseAmount: absBaseAmount,
+                        memo: 'Offset accrued purchases - VB ' + bill.number,
+                        department: null
+                    },
+                    {
+                        account: accounts.cogsAccount,
+                        side: adjustmentAmount > 0 ? 'debit' : 'credit',
+                        amount: absAmount,
+                        baseAmount: absBaseAmount,
+                        memo: 'COGS adjustment for ' + itemName,
+                        department: accounts.cogsDepartment || null
+                    }
+                ]
+            };
+        }
+
+        /**
+         * Saves raw search rows as a JSON fixture in the File Cabinet so the run can be replayed later
+         * @param {string} kind - 'irvb' (searchIRVBLines rows) or 'povb' (searchPOVBVariances rows)
+         * @param {Array} rows - Raw search rows
+         * @param {string|number} folderId - File Cabinet folder internal ID
+         * @param {Object} [searchContext] - What the search was run with (scope, location filter), kept for reference
+         * @returns {number} File internal ID
+         */
+        function saveFixture(kind, rows, folderId, searchContext) {
+            var exported = new Date().toISOString();
+
+            var fixtureFile = file.create({
+                name: 'vb_variance_' + kind + '_' + exported.replace(/[:.]/g, '-') + '.json',
+                fileType: file.Type.JSON,
+                contents: JSON.stringify({
+                    kind: kind,
+                    exported: exported,
+                    context: searchContext || {},
+                    rows: rows
+                }),
+                folder: folderId
+            });
+
+            var fileId = fixtureFile.save();
+
+            log.audit('Fixture Saved', {
+                kind: kind,
+                fileId: fileId,
+                rows: rows.length
+            });
+
+            return fileId;
+        }
+
+        /**
+         * Loads a fixture saved by saveFixture
+         * @param {string|number} fileId - File internal ID
+         * @param {string} kind - Expected fixture kind ('irvb' or 'povb')
+         * @returns {Object} { kind, exported, context, rows }
+         */
+        function loadFixture(fileId, kind) {
+            var fixture = parseFixture(file.load({ id: fileId }).getContents(), kind);
+
+            log.audit('Fixture Loaded', {
+                kind: kind,
+                fileId: fileId,
+                exported: fixture.exported,
+                rows: fixture.rows.length
+            });
+
+            return fixture;
+        }
+
+        /**
+         * Parses fixture file contents - split from loadFixture so a fixture can be read offline
+         * @param {string} contents - JSON file contents
+         * @param {string} kind - Expected fixture kind ('irvb' or 'povb')
+         * @returns {Object} { kind, exported, context, rows }
+         */
+        function parseFixture(contents, kind) {
+            var fixture = JSON.parse(contents);
+
+            if (!fixture || fixture.kind !== kind || !Array.isArray(fixture.rows)) {
+                throw new Error('File is not a variance fixture of kind "' + kind + '"');
+            }
+
+            return fixture;
+        }
+
+        /**
+         * Checks whether the current user's role is listed in a multi-select roles deployment parameter
+         * @param {string} paramName - Script parameter ID
+         * @returns {boolean} True if the role is listed (false when the parameter is empty)
+         */
+        function hasDeploymentRole(paramName) {
+            var roles = getMultiSelectParameter(runtime.getCurrentScript(), paramName).map(String);
+
+            return roles.indexOf(String(runtime.getCurrentUser().role)) !== -1;
+        }
+
+        /**
+         * Reads a deployment's scope parameters. Empty parameters leave that dimension unfiltered.
+         * @param {string} paramPrefix - Parameter ID prefix of the script ('custscript_ir_vb_' or 'custscript_ir_vb_mr_')
+         * @returns {Object} Scope with vendors, subsidiaries, locations (ID arrays) and
+         *     irDateFrom, irDateTo, vbDateFrom, vbDateTo (formatted date strings or null)
+         */
+        function getScopeParameters(paramPrefix) {
+            var scriptObj = runtime.getCurrentScript();
+
+            return {
+                vendors: getMultiSelectParameter(scriptObj, paramPrefix + 'vendors'),
+                subsidiaries: getMultiSelectParameter(scriptObj, paramPrefix + 'subsidiaries'),
+                locations: getMultiSelectParameter(scriptObj, paramPrefix + 'locations'),
+                irDateFrom: getDateParameter(scriptObj, paramPrefix + 'ir_date_from'),
+                irDateTo: getDateParameter(scriptObj, paramPrefix + 'ir_date_to'),
+                vbDateFrom: getDateParameter(scriptObj, paramPrefix + 'vb_date_from'),
+                vbDateTo: getDateParameter(scriptObj, paramPrefix + 'vb_date_to')
+            };
+        }
+
+        /**
+         * Reads a multiple select script parameter as an array of internal IDs
+         * @param {runtime.Script} scriptObj - Current script
+         * @param {string} name - Parameter ID
+         * @returns {Array} Internal IDs (empty if not set)
+         */
+        function getMultiSelectParameter(scriptObj, name) {
+            var value = scriptObj.getParameter({ name: name });
+            if (!value) return [];
+            if (Array.isArray(value)) return value;
+            return value.toString().split(/[,\u0005]/).filter(function (id) { return id; });
+        }
+
+        /**
+         * Reads a date script parameter formatted for use in search filters
+         * @param {runtime.Script} scriptObj - Current script
+         * @param {string} name - Parameter ID
+         * @returns {string|null} Formatted date
+         */
+        function getDateParameter(scriptObj, name) {
+            var value = scriptObj.getParameter({ name: name });
+            if (!value) return null;
+            return format.format({ value: value, type: format.Type.DATE });
+        }
+
+        /**
+         * Formats a date string
+         * @param {string} dateStr - Date string
+         * @returns {string} Formatted date
+         */
+        function formatDate(dateStr) {
+            if (!dateStr) return '';
+            try {
+                var date = new Date(dateStr);
+                var month = ('0' + (date.getMonth() + 1)).slice(-2);
+                var day = ('0' + date.getDate()).slice(-2);
+                var year = date.getFullYear();
+                return month + '/' + day + '/' + year;
+            } catch (e) {
+                return dateStr;
+            }
+        }
+
+        /**
+         * Formats an amount with its currency code
+         * @param {number} amount - Amount in transaction currency
+         * @param {string} currencyCode - Currency code (falls back to '$' when unknown)
+         * @returns {string} Formatted amount
+         */
+        function formatCurrency(amount, currencyCode) {
+            return (currencyCode ? currencyCode + ' ' : '$') + parseFloat(amount).toFixed(2);
+        }
+
+        /**
+         * Formats a line rate in its own unit, with the base unit rate underneath when the units differ
+         * @param {number} rawRate - Rate as entered on the transaction line
+         * @param {string} unit - Transaction line unit
+         * @param {number} conversionRate - Base units per transaction unit
+         * @param {number} baseUnitRate - Rate per base unit
+         * @param {string} currencyCode - Currency code
+         * @returns {string} HTML content
+         */
+        function formatUnitRate(rawRate, unit, conversionRate, baseUnitRate, currencyCode) {
+            var html = escapeHtml(formatCurrency(rawRate, currencyCode)) + (unit ? ' / ' + escapeHtml(unit) : '');
+
+            if (conversionRate !== 1) {
+                html += '<br /><span class="base-variance">' + escapeHtml(formatCurrency(baseUnitRate, currencyCode)) + ' / base unit</span>';
+            }
+
+            return html;
+        }
+
+        /**
+         * Escapes HTML special characters
+         * @param {string} text - Text to escape
+         * @returns {string} Escaped text
+         */
+        function escapeHtml(text) {
+            if (!text) return '';
+            var map = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#039;'
+            };
+            return text.toString().replace(/[&<>"']/g, function (m) { return map[m]; });
+        }
+
+        return {
+            DEFAULT_MIN_VARIANCE: DEFAULT_MIN_VARIANCE,
+            APPROVAL_STATUS: APPROVAL_STATUS,
+            getIRVBVarianceData: getIRVBVarianceData,
+            searchIRVBVariances: searchIRVBVariances,
+            searchIRVBLines: searchIRVBLines,
+            groupByPOLine: groupByPOLine,
+            matchReceiptsToBills: matchReceiptsToBills,
+            roundQuantity: roundQuantity,
+            applyRateStrategy: applyRateStrategy,
+            createVariancePairs: createVariancePairs,
+            createUnmatchedLines: createUnmatchedLines,
+            getPOVBVariancePairs: getPOVBVariancePairs,
+            searchPOVBVariances: searchPOVBVariances,
+            groupBillsByPOLine: groupBillsByPOLine,
+            createPOVariancePairs: createPOVariancePairs,
+            getThresholdForLocation: getThresholdForLocation,
+            getExclusionRules: getExclusionRules,
+            applyExclusionRules: applyExclusionRules,
+            getChangeCeilings: getChangeCeilings,
+            getChangeCeilingReason: getChangeCeilingReason,
+            createApprovalRequest: createApprovalRequest,
+            acquireItemReceiptLock: acquireItemReceiptLock,
+            releaseItemReceiptLock: releaseItemReceiptLock,
+            updateItemReceiptLineRate: updateItemReceiptLineRate,
+            loadItemReceiptLine: loadItemReceiptLine,
+            saveItemReceiptLineRate: saveItemReceiptLineRate,
+            setItemReceiptLineRate: setItemReceiptLineRate,
+            findItemReceiptLine: findItemReceiptLine,
+            writeRateChangeJournal: writeRateChangeJournal,
+            updateIRClosedPeriodFlag: updateIRClosedPeriodFlag,
+            buildClosedPeriodJournal: buildClosedPeriodJournal,
+            saveFixture: saveFixture,
+            loadFixture: loadFixture,
+            parseFixture: parseFixture,
+            hasDeploymentRole: hasDeploymentRole,
+            getScopeParameters: getScopeParameters,
+            getUnitConversionRate: getUnitConversionRate,
+            formatDate: formatDate,
+            formatCurrency: formatCurrency,
+            formatUnitRate: formatUnitRate,
+            escapeHtml: escapeHtml
+        };
+    });
\ No newline at end of file
@@ -3,7 +3,7 @@
  * @NScriptType Suitelet
  * @NModuleScope SameAccount
  */
-define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/runtime'],
+define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/runtime', './vendor_bill_variance_lib'],
     /**
      * @param {serverWidget} serverWidget
      * @param {search} search
@@ -11,8 +11,9 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
      * @param {redirect} redirect
      * @param {log} log
      * @param {runtime} runtime
+     * @param {Object} varianceLib - Shared variance engine (vendor_bill_variance_lib.js)
      */
-    function (serverWidget, search, record, redirect, log, runtime) {
+    function (serverWidget, search, record, redirect, log, runtime, varianceLib) {
 
         /**
          * Handles GET and POST requests to the Suitelet
@@ -59,7 +60,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     type: serverWidget.FieldType.INLINEHTML,
                     label: 'Error'
                 });
-                errorField.defaultValue = '<div style="color: red; padding: 20px;">Error: ' + escapeHtml(e.toString()) + '</div>';
+                errorField.defaultValue = '<div style="color: red; padding: 20px;">Error: ' + varianceLib.escapeHtml(e.toString()) + '</div>';
             }
 
             response.writePage(form);
@@ -71,6 +72,13 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
          */
         function handlePost(context) {
             var request = context.request;
+
+            // Check if this is an export of the search results as a fixture
+            if (request.parameters.action === 'export_fixture') {
+                handleExportFixture(context);
+                return;
+            }
+
             var selectedVariances = request.parameters.selected_variances;
             var batchIndex = parseInt(request.parameters.batch_index || '0');
             var locationFilter = request.parameters.location_filter || 'all';
@@ -328,24 +336,119 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
         }
 
         /**
-         * Gets the variance threshold for a specific location
-         * @param {string} locationId - Location internal ID
-         * @param {Object} thresholds - Variance thresholds object
-         * @returns {number} Variance threshold percentage
+         * Gets the variance query engine from the deployment
+         * @returns {string} 'search' (joined transaction search, default) or 'suiteql' (NextTransactionLineLink)
          */
-        function getThresholdForLocation(locationId, thresholds) {
-            // Service location: 113
-            if (locationId === '113') {
-                return thresholds.service;
-            }
-            // Kitchen Works location: 17
-            else if (locationId === '17') {
-                return thresholds.kitchens;
-            }
-            // Appliances: all others
-            else {
-                return thresholds.appliances;
+        function getQueryEngine() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_po_vb_query_engine' }) || 'search';
+        }
+
+        /**
+         * Gets the File Cabinet folder fixtures are exported to from the deployment
+         * @returns {string|null} Folder internal ID
+         */
+        function getFixtureFolder() {
+            return runtime.getCurrentScript().getParameter({ name: 'custscript_po_vb_fixture_folder' }) || null;
+        }
+
+        /**
+         * Checks whether the current user's role may export the search results as a fixture file
+         * @returns {boolean} True if the role is in the deployment's fixture export roles
+         */
+        function canExportFixtures() {
+            return varianceLib.hasDeploymentRole('custscript_po_vb_fixture_roles');
+        }
+
+        /**
+         * Exports the search rows for a location filter to a fixture file in the deployment's fixture
+         * folder, then redirects to the replay of that file. Only roles listed on the deployment may export.
+         * @param {Object} context
+         */
+        function handleExportFixture(context) {
+            var locationFilter = context.request.parameters.location_filter || 'all';
+            var redirectParams = {};
+
+            try {
+                var fixtureFolder = getFixtureFolder();
+                if (!fixtureFolder) {
+                    throw new Error('No fixture folder is set on this deployment - the search results were not exported');
+                }
+                if (!canExportFixtures()) {
+                    throw new Error('Your role is not allowed to export fixtures');
+                }
+
+                var exportSearch = varianceLib.searchPOVBVariances(locationFilter, getMaxRows(), getQueryEngine());
+                var fixtureFileId = varianceLib.saveFixture('povb', exportSearch.rows, fixtureFolder, {
+                    locationFilter: locationFilter,
+                    queryEngine: getQueryEngine()
+                });
+
+                log.audit('Fixture Exported', {
+                    fileId: fixtureFileId,
+                    rows: exportSearch.rows.length,
+                    locationFilter: locationFilter,
+                    user: runtime.getCurrentUser().id
+                });
+
+                redirectParams = {
+                    fixture: fixtureFileId,
+                    fixtureExported: 'T',
+                    location_filter: locationFilter
+                };
+                if (exportSearch.truncated) {
+                    redirectParams.fixtureRowCount = exportSearch.rows.length;
+                    redirectParams.fixtureTotalRows = exportSearch.totalRows;
+                }
+            } catch (e) {
+                log.error('Error Exporting Fixture', e.toString());
+                redirectParams = { error: e.message || e.toString() };
             }
+
+            redirect.toSuitelet({
+                scriptId: runtime.getCurrentScript().id,
+                deploymentId: runtime.getCurrentScript().deploymentId,
+                parameters: redirectParams
+            });
+        }
+
+        /**
+         * Gets the search row cap from the deployment
+         * @returns {number} Maximum variance search rows to read (0 for no cap)
+         */
+        function getMaxRows() {
+            return parseInt(runtime.getCurrentScript().getParameter({ name: 'custscript_po_vb_max_rows' }), 10) || 0;
+        }
+
+        /**
+         * Builds the warning shown when the deployment row cap stopped the variance search early
+         * @param {number} rowCount - Search rows read
+         * @param {number} totalRows - Search rows found
+         * @returns {string} HTML content
+         */
+        function buildRowCapWarning(rowCount, totalRows) {
+            var html = '<div class="warning-message">';
+            html += '<strong>⚠ Results Capped</strong><br />';
+            html += 'Only the first ' + rowCount + ' of ' + totalRows + ' search rows were read (row cap on this deployment). ';
+            html += 'Variances on the remaining rows are not listed. Narrow the location filter or raise the cap to see everything.';
+            html += '</div>';
+            return html;
+        }
+
+        /**
+         * Builds a link back to this Suitelet deployment
+         * @param {Object} urlParams - URL parameters to add
+         * @returns {string} Relative URL
+         */
+        function getSuiteletUrl(urlParams) {
+            var scriptObj = runtime.getCurrentScript();
+            var link = '/app/site/hosting/scriptlet.nl?script=' + encodeURIComponent(scriptObj.id) +
+                '&deploy=' + encodeURIComponent(scriptObj.deploymentId);
+
+            Object.keys(urlParams).forEach(function (key) {
+                link += '&' + key + '=' + encodeURIComponent(urlParams[key]);
+            });
+
+            return link;
         }
 
         /**
@@ -407,13 +510,13 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                 html += '</div>';
 
                 html += '<form id="continueForm" method="POST" style="display:none;">';
-                html += '<input type="hidden" name="selected_variances" value="' + escapeHtml(params.selected_variances || '') + '" />';
-                html += '<input type="hidden" name="batch_index" value="' + escapeHtml(params.batch_index || '0') + '" />';
-                html += '<input type="hidden" name="success_count" value="' + escapeHtml(params.success_count || '0') + '" />';
-                html += '<input type="hidden" name="error_count" value="' + escapeHtml(params.error_count || '0') + '" />';
-                html += '<input type="hidden" name="previous_errors" value="' + escapeHtml(params.previous_errors || '[]') + '" />';
-                html += '<input type="hidden" name="previous_updated" value="' + escapeHtml(params.previous_updated || '[]') + '" />';
-                html += '<input type="hidden" name="location_filter" value="' + escapeHtml(locationFilter) + '" />';
+                html += '<input type="hidden" name="selected_variances" value="' + varianceLib.escapeHtml(params.selected_variances || '') + '" />';
+                html += '<input type="hidden" name="batch_index" value="' + varianceLib.escapeHtml(params.batch_index || '0') + '" />';
+                html += '<input type="hidden" name="success_count" value="' + varianceLib.escapeHtml(params.success_count || '0') + '" />';
+                html += '<input type="hidden" name="error_count" value="' + varianceLib.escapeHtml(params.error_count || '0') + '" />';
+                html += '<input type="hidden" name="previous_errors" value="' + varianceLib.escapeHtml(params.previous_errors || '[]') + '" />';
+                html += '<input type="hidden" name="previous_updated" value="' + varianceLib.escapeHtml(params.previous_updated || '[]') + '" />';
+                html += '<input type="hidden" name="location_filter" value="' + varianceLib.escapeHtml(locationFilter) + '" />';
                 html += '</form>';
                 html += '<script>setTimeout(function() { document.getElementById("continueForm").submit(); }, 1000);</script>';
                 html += '</div>';
@@ -429,18 +532,47 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             if (params.error && !params.location_filter) {
                 html += '<div class="error-message">';
                 html += '<strong>✗ Error</strong><br />';
-                html += escapeHtml(params.error);
+                html += varianceLib.escapeHtml(params.error);
+                html += '</div>';
+            }
+
+            // Replay recorded search rows instead of a plain live search
+            var fixtureRows = null;
+            var isReplay = !!params.fixture;
+            if (isReplay) {
+                var fixture = varianceLib.loadFixture(params.fixture, 'povb');
+                fixtureRows = fixture.rows;
+
+                if (params.fixtureExported === 'T') {
+                    html += '<div class="success-message">';
+                    html += '<strong>✓ Fixture Exported</strong><br />';
+                    html += fixtureRows.length + ' search row(s) saved to file ' + varianceLib.escapeHtml(params.fixture) + ' - replayed below.';
+                    html += '</div>';
+                    if (params.fixtureRowCount) {
+                        html += buildRowCapWarning(parseInt(params.fixtureRowCount, 10), parseInt(params.fixtureTotalRows, 10));
+                    }
+                }
+
+                html += '<div class="info-message">';
+                html += '<strong>ℹ Fixture Replay - Read Only</strong><br />';
+                html += 'Showing the ' + fixtureRows.length + ' search row(s) recorded ' + varianceLib.escapeHtml(fixture.exported) +
+                    ' in file ' + varianceLib.escapeHtml(params.fixture) + ' with location filter "' + varianceLib.escapeHtml(fixture.context.locationFilter || 'all') + '". ';
+                html += 'Thresholds can still be changed; nothing can be marked as reviewed from this view. <a href="' + getSuiteletUrl({}) + '">Back to live results</a>';
                 html += '</div>';
             }
 
             // Add filter section with location and thresholds
             html += '<div class="filter-section">';
             html += '<form method="GET" id="filterForm">';
+            if (isReplay) {
+                // Keep replaying the same rows when thresholds are re-applied
+                html += '<input type="hidden" name="fixture" value="' + varianceLib.escapeHtml(params.fixture) + '" />';
+            }
 
             // Location Filter
             html += '<div style="margin-bottom: 15px;">';
             html += '<label for="location_filter" style="font-weight: bold; margin-right: 10px;">Filter by Location:</label>';
-            html += '<select id="location_filter" name="location_filter" style="padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px;">';
+            html += '<select id="location_filter" name="location_filter"' + (isReplay ? ' disabled' : '') + ' style="padding: 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px;">';
             html += '<option value="all"' + (locationFilter === 'all' ? ' selected' : '') + '>All Locations</option>';
             html += '<option value="service"' + (locationFilter === 'service' ? ' selected' : '') + '>Service</option>';
             html += '<option value="kitchen"' + (locationFilter === 'kitchen' ? ' selected' : '') + '>Kitchen Works</option>';
@@ -476,10 +608,18 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '</div>';
 
             html += '</form>';
+            if (!isReplay && getFixtureFolder() && canExportFixtures()) {
+                html += '<div style="margin-top: 10px; font-size: 13px;"><a href="#" onclick="exportFixture(\'' + varianceLib.escapeHtml(locationFilter) + '\'); return false;">Export these search results as a fixture</a></div>';
+            }
             html += '</div>';
 
             // Get variance data with current thresholds
-            var variancePairs = getVariancePairsWithThresholds(locationFilter, thresholds);
+            var varianceData = varianceLib.getPOVBVariancePairs(locationFilter, thresholds, fixtureRows, getMaxRows(), getQueryEngine());
+            var variancePairs = varianceData.pairs;
+
+            if (varianceData.truncated) {
+                html += buildRowCapWarning(varianceData.rowCount, varianceData.totalRows);
+            }
 
             if (variancePairs.length === 0) {
                 html += '<div class="info-message">';
@@ -496,7 +636,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     html += ' <span style="color: #666;">' + filterText + '</span>';
                 }
                 html += '</div>';
-                html += buildVarianceTable(variancePairs, locationFilter);
+                html += buildVarianceTable(variancePairs, locationFilter, isReplay);
             }
 
             html += '</div>';
@@ -534,9 +674,9 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         html += '<tbody>';
                         errors.forEach(function (err) {
                             html += '<tr style="border-bottom: 1px solid #f5c6cb;">';
-                            html += '<td style="padding: 8px;"><a href="/app/accounting/transactions/purchord.nl?id=' + err.poId + '" target="_blank">' + escapeHtml(err.poNumber) + '</a></td>';
-                            html += '<td style="padding: 8px;">' + escapeHtml(err.itemName) + '</td>';
-                            html += '<td style="padding: 8px; color: #721c24;">' + escapeHtml(err.error) + '</td>';
+                            html += '<td style="padding: 8px;"><a href="/app/accounting/transactions/purchord.nl?id=' + err.poId + '" target="_blank">' + varianceLib.escapeHtml(err.poNumber) + '</a></td>';
+                            html += '<td style="padding: 8px;">' + varianceLib.escapeHtml(err.itemName) + '</td>';
+                            html += '<td style="padding: 8px; color: #721c24;">' + varianceLib.escapeHtml(err.error) + '</td>';
                             html += '</tr>';
                         });
                         html += '</tbody>';
@@ -558,7 +698,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                         html += '<div style="max-height: 200px; overflow-y: auto; margin-top: 5px;">';
                         html += '<ul style="margin: 0; padding-left: 20px;">';
                         updated.forEach(function (rec) {
-                            html += '<li>' + escapeHtml(rec.poNumber) + ' - ' + escapeHtml(rec.itemName) + '</li>';
+                            html += '<li>' + varianceLib.escapeHtml(rec.poNumber) + ' - ' + varianceLib.escapeHtml(rec.itemName) + '</li>';
                         });
                         html += '</ul>';
                         html += '</div>';
@@ -577,11 +717,12 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
          * Builds the variance table HTML
          * @param {Array} variancePairs - Array of variance pair objects
          * @param {string} locationFilter - Current location filter
+         * @param {boolean} [readOnly] - Disable selection and omit the submit button (fixture replay)
          * @returns {string} HTML table content
          */
-        function buildVarianceTable(variancePairs, locationFilter) {
+        function buildVarianceTable(variancePairs, locationFilter, readOnly) {
             var html = '<form id="varianceForm" method="POST">';
-            html += '<input type="hidden" name="location_filter" value="' + escapeHtml(locationFilter || 'all') + '" />';
+            html += '<input type="hidden" name="location_filter" value="' + varianceLib.escapeHtml(locationFilter || 'all') + '" />';
 
             html += '<table class="variance-table">';
             html += '<thead>';
@@ -592,7 +733,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<th>Location</th>';
             html += '<th>Vendor</th>';
             html += '<th class="variance-cell">Variance %</th>';
-            html += '<th class="variance-cell">Variance $</th>';
+            html += '<th class="variance-cell">Variance</th>';
             html += '<th>Item</th>';
             html += '<th>PO #</th>';
             html += '<th class="rate-cell">VB Rate</th>';
@@ -602,7 +743,7 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
             html += '<tbody>';
 
             variancePairs.forEach(function (pair) {
-                var variance = pair.vb_rate - pair.po_rate;
+                var variance = pair.variance;
                 var variancePercent = pair.po_rate !== 0 ? (variance / pair.po_rate * 100) : 0;
 
                 // Negative variance = good (paid less), Positive variance = bad (paid more)
@@ -620,292 +761,38 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     pair.item_name;
 
                 html += '<tr>';
-                html += '<td class="checkbox-col"><input type="checkbox" class="variance-checkbox" value="' + escapeHtml(checkboxValue) + '" /></td>';
-                html += '<td>' + formatDate(pair.vb_date) + '</td>';
-                html += '<td><a href="/app/accounting/transactions/vendbill.nl?id=' + pair.vb_id + '" target="_blank">' + escapeHtml(pair.vb_number) + '</a></td>';
-                html += '<td>' + escapeHtml(pair.location_name || '') + '</td>';
-                html += '<td>' + escapeHtml(pair.vendor_name || '') + '</td>';
+                html += '<td class="checkbox-col"><input type="checkbox" class="variance-checkbox" value="' + varianceLib.escapeHtml(checkboxValue) + '"' + (readOnly ? ' disabled' : '') + ' /></td>';
+                html += '<td>' + varianceLib.formatDate(pair.vb_date) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/vendbill.nl?id=' + pair.vb_id + '" target="_blank">' + varianceLib.escapeHtml(pair.vb_number) + '</a></td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.location_name || '') + '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.vendor_name || '') + '</td>';
                 html += '<td class="variance-cell ' + varianceClass + '">' + variancePercent.toFixed(1) + '%</td>';
-                html += '<td class="variance-cell ' + varianceClass + '">$' + variance.toFixed(2) + '</td>';
-                html += '<td>' + escapeHtml(pair.item_name) + '</td>';
-                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + pair.po_id + '" target="_blank">' + escapeHtml(pair.po_number) + '</a></td>';
-                html += '<td class="rate-cell">$' + pair.vb_rate.toFixed(2) + '</td>';
-                html += '<td class="rate-cell">$' + pair.po_rate.toFixed(2) + '</td>';
+                html += '<td class="variance-cell ' + varianceClass + '">' + varianceLib.escapeHtml(varianceLib.formatCurrency(variance, pair.currency_code));
+                if (pair.vb_exchange_rate !== 1) {
+                    html += '<br /><span class="base-variance" title="VB exchange rate ' + pair.vb_exchange_rate + '">Base: ' + pair.base_variance.toFixed(2) + '</span>';
+                }
+                html += '</td>';
+                html += '<td>' + varianceLib.escapeHtml(pair.item_name) + '</td>';
+                html += '<td><a href="/app/accounting/transactions/purchord.nl?id=' + pair.po_id + '" target="_blank">' + varianceLib.escapeHtml(pair.po_number) + '</a></td>';
+                html += '<td class="rate-cell">' + varianceLib.formatUnitRate(pair.vb_raw_rate, pair.vb_unit, pair.vb_conversion_rate, pair.vb_rate, pair.currency_code) + '</td>';
+                html += '<td class="rate-cell">' + varianceLib.formatUnitRate(pair.po_raw_rate, pair.po_unit, pair.po_conversion_rate, pair.po_rate, pair.currency_code) + '</td>';
                 html += '</tr>';
             });
 
             html += '</tbody>';
             html += '</table>';
 
-            html += '<div class="button-container">';
-            html += '<button type="button" class="submit-button" onclick="submitVariances()">Mark Selected as Reviewed</button>';
-            html += '</div>';
+            if (!readOnly) {
+                html += '<div class="button-container">';
+                html += '<button type="button" class="submit-button" onclick="submitVariances()">Mark Selected as Reviewed</button>';
+                html += '</div>';
+            }
 
             html += '</form>';
 
             return html;
         }
 
-        /**
-         * Formats a date string
-         * @param {string} dateStr - Date string
-         * @returns {string} Formatted date
-         */
-        function formatDate(dateStr) {
-            if (!dateStr) return '';
-            try {
-                var date = new Date(dateStr);
-                var month = ('0' + (date.getMonth() + 1)).slice(-2);
-                var day = ('0' + date.getDate()).slice(-2);
-                var year = date.getFullYear();
-                return month + '/' + day + '/' + year;
-            } catch (e) {
-                return dateStr;
-            }
-        }
-
-        /**
-        * Gets variance pairs with custom thresholds
-        * @param {string} locationFilter - Location filter (all/service/kitchen/appliances)
-        * @param {Object} thresholds - Custom variance thresholds
-        * @returns {Array} Array of variance pair objects
-        */
-        function getVariancePairsWithThresholds(locationFilter, thresholds) {
-            var rawResults = searchPOVBVariances(locationFilter);
-            var poLineGroups = groupByPOLine(rawResults);
-            var variancePairs = createVariancePairs(poLineGroups, thresholds);
-
-            // Sort by VB Date descending (newest first)
-            variancePairs.sort(function (a, b) {
-                return new Date(b.vb_date) - new Date(a.vb_date);
-            });
-
-            log.debug('Variance Pairs Created', 'Total pairs: ' + variancePairs.length);
-
-            return variancePairs;
-        }
-
-        /**
-  * Searches for PO/VB rate variances
-  * @param {string} locationFilter - Location filter
-  * @returns {Array} Raw search results
-  */
-        function searchPOVBVariances(locationFilter) {
-            var filters = [
-                ['type', 'anyof', 'PurchOrd'],
-                'AND',
-                ['mainline', 'is', 'F'],
-                'AND',
-                ['billingtransaction.quantity', 'greaterthan', '0'],
-                'AND',
-                ['quantity', 'greaterthan', '0'],
-                'AND',
-                ['formulanumeric: NVL({rate},0)-NVL({billingtransaction.amount}/{billingtransaction.quantity},0)', 'notequalto', '0'],
-                'AND',
-                ['custcol_rate_variance_reviewed', 'is', 'F'],
-                'AND',
-                ['billingtransaction.trandate', 'onorafter', '8/1/2025']
-            ];
-
-            // Add location filter
-            if (locationFilter === 'service') {
-                filters.push('AND', ['location', 'anyof', '113']);
-            } else if (locationFilter === 'kitchen') {
-                filters.push('AND', ['location', 'anyof', '17']);
-            } else if (locationFilter === 'appliances') {
-                filters.push('AND', ['location', 'noneof', '113', '17']);
-            }
-
-            var varianceSearch = search.create({
-                type: search.Type.TRANSACTION,
-                filters: filters,
-                columns: [
-                    search.createColumn({ name: 'internalid', label: 'PO ID' }),
-                    search.createColumn({ name: 'tranid', label: 'PO Number' }),
-                    search.createColumn({ name: 'trandate', label: 'PO Date' }),
-                    search.createColumn({ name: 'entity', label: 'Vendor ID' }),
-                    search.createColumn({ name: 'altname', join: 'vendor', label: 'Vendor Display Name' }), // ADD THIS LINE
-                    search.createColumn({ name: 'entityid', join: 'vendor', label: 'Vendor Name' }), // ADD THIS LINE
-                    search.createColumn({ name: 'location', label: 'Location ID' }),
-                    search.createColumn({ name: 'name', join: 'location', label: 'Location Name' }),
-                    search.createColumn({ name: 'lineuniquekey', label: 'PO Line Key' }),
-                    search.createColumn({ name: 'item', label: 'Item ID' }),
-                    search.createColumn({ name: 'displayname', join: 'item', label: 'Item Name' }),
-                    search.createColumn({ name: 'rate', label: 'PO Rate' }),
-                    search.createColumn({ name: 'quantity', label: 'PO Quantity' }),
-                    // Vendor Bill columns
-                    search.createColumn({ name: 'internalid', join: 'billingtransaction', label: 'VB ID' }),
-                    search.createColumn({ name: 'tranid', join: 'billingtransaction', label: 'VB Number' }),
-                    search.createColumn({ name: 'trandate', join: 'billingtransaction', label: 'VB Date' }),
-                    search.createColumn({ name: 'lineuniquekey', join: 'billingtransaction', label: 'VB Line Key' }),
-                    search.createColumn({ name: 'quantity', join: 'billingtransaction', label: 'VB Quantity' }),
-                    search.createColumn({ name: 'rate', join: 'billingtransaction', label: 'VB Rate' }),
-                    search.createColumn({ name: 'entity', join: 'billingtransaction', label: 'VB Vendor ID' })
-                ]
-            });
-
-            var results = [];
-
-            varianceSearch.run().each(function (result) {
-                var itemName = result.getText({ name: 'item' }) || result.getValue({ name: 'displayname', join: 'item' }) || '';
-
-                // Get vendor display name from the search results directly (no lookup needed)
-                var vendorName = result.getValue({ name: 'altname', join: 'vendor' }) ||
-                    result.getValue({ name: 'entityid', join: 'vendor' }) ||
-                    result.getText({ name: 'entity' }) ||
-                    'Unknown Vendor';
-
-                results.push({
-                    po_id: result.getValue({ name: 'internalid' }),
-                    po_number: result.getValue({ name: 'tranid' }),
-                    po_date: result.getValue({ name: 'trandate' }),
-                    vendor_id: result.getValue({ name: 'entity' }),
-                    vendor_name: vendorName, // UPDATED THIS
-                    location_id: result.getValue({ name: 'location' }),
-                    location_name: result.getValue({ name: 'name', join: 'location' }),
-                    po_line_key: result.getValue({ name: 'lineuniquekey' }),
-                    item_id: result.getValue({ name: 'item' }),
-                    item_name: itemName,
-                    po_rate: result.getValue({ name: 'rate' }),
-                    po_quantity: result.getValue({ name: 'quantity' }),
-                    vb_id: result.getValue({ name: 'internalid', join: 'billingtransaction' }),
-                    vb_number: result.getValue({ name: 'tranid', join: 'billingtransaction' }),
-                    vb_date: result.getValue({ name: 'trandate', join: 'billingtransaction' }),
-                    vb_line_key: result.getValue({ name: 'lineuniquekey', join: 'billingtransaction' }),
-                    vb_quantity: result.getValue({ name: 'quantity', join: 'billingtransaction' }),
-                    vb_rate: result.getValue({ name: 'rate', join: 'billingtransaction' })
-                });
-                return true;
-            });
-
-            log.debug('Search Results', 'Total rows: ' + results.length);
-            return results;
-        }
-
-        /**
-         * Groups raw query results by PO Line Key
-         * @param {Array} rawResults - Raw search results
-         * @returns {Object} Grouped results by PO line
-         */
-        function groupByPOLine(rawResults) {
-            var groups = {};
-
-            rawResults.forEach(function (row) {
-                var poLineKey = row.po_line_key;
-
-                if (!groups[poLineKey]) {
-                    groups[poLineKey] = {
-                        poInfo: {
-                            po_id: row.po_id,
-                            po_number: row.po_number,
-                            po_date: row.po_date,
-                            vendor_id: row.vendor_id,
-                            vendor_name: row.vendor_name,
-                            location_id: row.location_id,
-                            location_name: row.location_name,
-                            po_line_key: row.po_line_key,
-                            item_id: row.item_id,
-                            item_name: row.item_name,
-                            po_rate: parseFloat(row.po_rate),
-                            po_quantity: parseFloat(row.po_quantity)
-                        },
-                        vendorBills: []
-                    };
-                }
-
-                // Add Vendor Bill if not already added
-                var vbExists = groups[poLineKey].vendorBills.some(function (vb) {
-                    return vb.vb_line_key === row.vb_line_key;
-                });
-                if (!vbExists) {
-                    groups[poLineKey].vendorBills.push({
-                        vb_id: row.vb_id,
-                        vb_number: row.vb_number,
-                        vb_date: row.vb_date,
-                        vb_line_key: row.vb_line_key,
-                        vb_quantity: parseFloat(row.vb_quantity),
-                        vb_rate: parseFloat(row.vb_rate)
-                    });
-                }
-            });
-
-            log.debug('Grouped by PO Line', 'Total PO lines with variances: ' + Object.keys(groups).length);
-            return groups;
-        }
-
-        /**
-         * Creates variance pairs by matching PO to oldest VB
-         * @param {Object} poLineGroups - Grouped results
-         * @param {Object} thresholds - Variance thresholds by location type
-         * @returns {Array} Array of variance pair objects
-         */
-        function createVariancePairs(poLineGroups, thresholds) {
-            var pairs = [];
-
-            Object.keys(poLineGroups).forEach(function (poLineKey) {
-                var group = poLineGroups[poLineKey];
-
-                // Sort VBs by date (oldest first)
-                group.vendorBills.sort(function (a, b) {
-                    return new Date(a.vb_date) - new Date(b.vb_date);
-                });
-
-                // Match PO line to oldest VB
-                if (group.vendorBills.length > 0) {
-                    var vb = group.vendorBills[0]; // Oldest VB
-                    var variance = vb.vb_rate - group.poInfo.po_rate;
-                    var variancePercent = group.poInfo.po_rate !== 0 ? (variance / group.poInfo.po_rate * 100) : 0;
-
-                    // Get threshold for this location
-                    var threshold = getThresholdForLocation(group.poInfo.location_id, thresholds);
-
-                    // Only include if variance >= $0.01 AND meets percentage threshold
-                    // Show if abs(variancePercent) >= threshold
-                    if (Math.abs(variance) >= 0.01 && Math.abs(variancePercent) >= threshold) {
-                        pairs.push({
-                            po_id: group.poInfo.po_id,
-                            po_number: group.poInfo.po_number,
-                            po_date: group.poInfo.po_date,
-                            vendor_id: group.poInfo.vendor_id,
-                            vendor_name: group.poInfo.vendor_name,
-                            location_id: group.poInfo.location_id,
-                            location_name: group.poInfo.location_name,
-                            po_line_key: group.poInfo.po_line_key,
-                            item_id: group.poInfo.item_id,
-                            item_name: group.poInfo.item_name,
-                            po_rate: group.poInfo.po_rate,
-                            po_quantity: group.poInfo.po_quantity,
-                            vb_id: vb.vb_id,
-                            vb_number: vb.vb_number,
-                            vb_date: vb.vb_date,
-                            vb_line_key: vb.vb_line_key,
-                            vb_quantity: vb.vb_quantity,
-                            vb_rate: vb.vb_rate
-                        });
-                    }
-                }
-            });
-
-            return pairs;
-        }
-
-        /**
-         * Escapes HTML special characters
-         * @param {string} text - Text to escape
-         * @returns {string} Escaped text
-         */
-        function escapeHtml(text) {
-            if (!text) return '';
-            var map = {
-                '&': '&amp;',
-                '<': '&lt;',
-                '>': '&gt;',
-                '"': '&quot;',
-                "'": '&#039;'
-            };
-            return text.toString().replace(/[&<>"']/g, function (m) { return map[m]; });
-        }
-
         /**
          * Returns CSS styles for the page
          * @returns {string} CSS content
@@ -1090,6 +977,15 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     margin-bottom: 20px;
                 }
                 
+                .warning-message {
+                    background: #fff3cd;
+                    border: 1px solid #ffeeba;
+                    color: #856404;
+                    padding: 15px;
+                    border-radius: 8px;
+                    margin-bottom: 20px;
+                }
+                
                 .variance-table {
                     width: 100%;
                     border-collapse: collapse;
@@ -1142,6 +1038,12 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     text-align: center;
                 }
                 
+                .base-variance {
+                    font-size: 11px;
+                    font-weight: normal;
+                    color: #666;
+                }
+                
                 .rate-cell {
                     text-align: right;
                     font-family: Arial, sans-serif;
@@ -1235,6 +1137,28 @@ define(['N/ui/serverWidget', 'N/search', 'N/record', 'N/redirect', 'N/log', 'N/r
                     }
                 });
                 
+                function exportFixture(locationFilter) {
+                    var form = document.createElement('form');
+                    form.method = 'POST';
+                    form.style.display = 'none';
+
+                    var inputs = {
+                        action: 'export_fixture',
+                        location_filter: locationFilter
+                    };
+
+                    for (var key in inputs) {
+                        var input = document.createElement('input');
+                        input.type = 'hidden';
+                        input.name = key;
+                        input.value = inputs[key];
+                        form.appendChild(input);
+                    }
+
+                    document.body.appendChild(form);
+                    form.submit();
+                }
+
                 function submitVariances() {
                     var checkboxes = document.querySelectorAll('.variance-checkbox:checked');
                     